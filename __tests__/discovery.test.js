@@ -0,0 +1,348 @@
+// Tests for element discovery: selectors, scan roots, data attributes and init options
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+import AME from '../src/index.js';
+
+describe('🔎 Discovery', () => {
+  let mgr;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    mgr && mgr.detachListeners();
+    mgr = null;
+    jest.restoreAllMocks();
+  });
+
+  test('🏷️ scan uses custom selectors with their own options', () => {
+    document.body.innerHTML = `
+      <img src="a.png" class="ds-sprite" id="sprite" />
+      <img src="b.png" class="ds-icon" id="icon" />
+      <img src="c.png" class="alpha-mask-events" id="default" />
+    `;
+    mgr = new Manager({
+      useIntersectionObserver: false,
+      selector: ['.ds-sprite', { selector: '.ds-icon', options: { threshold: 0.25 } }]
+    });
+
+    mgr.scan();
+
+    expect(mgr.registry.get(document.getElementById('sprite')).threshold).toBe(0.999);
+    expect(mgr.registry.get(document.getElementById('icon')).threshold).toBe(0.25);
+    expect(mgr.registry.has(document.getElementById('default'))).toBe(false);
+  });
+
+  test('🌳 scan and observation are limited to the root', () => {
+    document.body.innerHTML = `
+      <section id="app"><img src="in.png" class="alpha-mask-events" id="inside" /></section>
+      <img src="out.png" class="alpha-mask-events" id="outside" />
+    `;
+    const observeSpy = jest.spyOn(global.MutationObserver.prototype, 'observe');
+    mgr = new Manager({ useIntersectionObserver: false, root: '#app' });
+
+    mgr.scan();
+
+    expect(mgr.registry.has(document.getElementById('inside'))).toBe(true);
+    expect(mgr.registry.has(document.getElementById('outside'))).toBe(false);
+    expect(observeSpy).toHaveBeenCalledWith(document.getElementById('app'), expect.any(Object));
+  });
+
+  test('📝 data-ame-* attributes override register options', () => {
+    document.body.innerHTML = `
+      <img src="a.png" id="markup" data-ame-threshold="0.4" data-ame-custom-flag="true" />
+      <img src="b.png" id="invalid" data-ame-threshold="high" />
+    `;
+    mgr = new Manager({ useIntersectionObserver: false });
+
+    mgr.add('#markup', { threshold: 0.9 });
+    mgr.add('#invalid', { threshold: 0.9 });
+
+    const entry = mgr.registry.get(document.getElementById('markup'));
+    expect(entry.threshold).toBe(0.4);
+    expect(entry.options.customFlag).toBe(true);
+    expect(mgr.registry.get(document.getElementById('invalid')).threshold).toBe(0.9);
+  });
+
+  test('🧺 selectors register, retune and unregister every match', () => {
+    document.body.innerHTML = `
+      <img src="a.png" class="layer" />
+      <img src="b.png" class="layer" />
+      <img src="c.png" class="layer" />
+    `;
+    mgr = new Manager({ useIntersectionObserver: false });
+
+    mgr.add('.layer');
+    expect(mgr.registry.size).toBe(3);
+
+    mgr.setThreshold(0.3, '.layer');
+    mgr.registry.forEach(entry => expect(entry.threshold).toBe(0.3));
+
+    mgr.remove('.layer');
+    expect(mgr.registry.size).toBe(0);
+  });
+
+  test('👀 mutations add matches and drop only auto-registered elements', () => {
+    mgr = new Manager({ useIntersectionObserver: false, selector: '.ds-sprite' });
+    mgr.scan();
+
+    const discovered = document.createElement('img');
+    discovered.src = 'a.png';
+    discovered.className = 'ds-sprite';
+    const manual = document.createElement('img');
+    manual.src = 'b.png';
+    document.body.append(discovered, manual);
+    mgr.add(manual);
+
+    const notify = records => mgr._mutationObserver.callback(records);
+    notify([{ type: 'childList', addedNodes: [discovered], removedNodes: [] }]);
+    expect(mgr.registry.get(discovered).autoRegistered).toBe(true);
+
+    // Class removed: discovered element is dropped, manual one is kept
+    discovered.className = '';
+    notify([
+      { type: 'attributes', attributeName: 'class', target: discovered, addedNodes: [], removedNodes: [] },
+      { type: 'attributes', attributeName: 'class', target: manual, addedNodes: [], removedNodes: [] }
+    ]);
+    expect(mgr.registry.has(discovered)).toBe(false);
+    expect(mgr.registry.has(manual)).toBe(true);
+
+    // Threshold attribute changes are picked up live
+    manual.setAttribute('data-ame-threshold', '0.6');
+    notify([{ type: 'attributes', attributeName: 'data-ame-threshold', target: manual, addedNodes: [], removedNodes: [] }]);
+    expect(mgr.registry.get(manual).threshold).toBe(0.6);
+  });
+
+  test('🎚️ every data-ame-* option is followed live, dropping what was derived from it', () => {
+    document.body.innerHTML = '<div class="alpha-mask-events" id="live" style="background-image: url(a.png)"></div>';
+    const observeSpy = jest.spyOn(global.MutationObserver.prototype, 'observe');
+    mgr = new Manager({ useIntersectionObserver: false });
+    mgr.scan();
+    expect(observeSpy.mock.calls[0][1].attributeFilter).toEqual(expect.arrayContaining(['data-ame-hit-radius', 'data-ame-sprite-grid', 'data-ame-mode']));
+    const el = document.getElementById('live');
+    const entry = mgr.registry.get(el);
+    const notify = name => mgr._mutationObserver.callback([{ type: 'attributes', attributeName: name, target: el, addedNodes: [], removedNodes: [] }]);
+    expect(mgr._hitRadii(entry).touch).toBe(0);
+
+    el.setAttribute('data-ame-hit-radius', 'touch: 12');
+    notify('data-ame-hit-radius');
+    expect(mgr._hitRadii(entry).touch).toBe(12);
+
+    el.setAttribute('data-ame-mode', 'attribute');
+    notify('data-ame-mode');
+    expect(entry.mode).toBe('attribute');
+    expect(el.style.pointerEvents).toBe(''); // Handed over from pointer-events mode
+    expect(el.getAttribute('data-ame-state')).toBe('loading');
+
+    el.removeAttribute('data-ame-hit-radius');
+    notify('data-ame-hit-radius');
+    expect(entry.options.hitRadius).toBeUndefined();
+    expect(mgr._hitRadii(entry).touch).toBe(0);
+    expect(mgr.registry.get(el)).toBe(entry);
+  });
+
+  test('⏸️ init({ autoScan: false }) does not scan', () => {
+    document.body.innerHTML = '<img src="a.png" class="alpha-mask-events" id="auto" />';
+
+    const instance = AME.init({ autoScan: false, useIntersectionObserver: false });
+
+    expect(instance.registry.size).toBe(0);
+    AME.register('#auto');
+    expect(instance.registry.has(document.getElementById('auto'))).toBe(true);
+    AME.destroy();
+  });
+
+  describe('🌘 Shadow DOM', () => {
+    function createHost(parent, html, mode = 'open') {
+      const host = document.createElement('div');
+      const shadowRoot = host.attachShadow({ mode });
+      shadowRoot.innerHTML = html;
+      parent.appendChild(host);
+      return { host, shadowRoot };
+    }
+
+    test('🪆 scan finds elements in nested open shadow roots and observes them', () => {
+      const observeSpy = jest.spyOn(global.MutationObserver.prototype, 'observe');
+      const outer = createHost(document.body, '<img src="outer.png" class="alpha-mask-events" />');
+      const inner = createHost(outer.shadowRoot, '<img src="inner.png" class="alpha-mask-events" />');
+      mgr = new Manager({ useIntersectionObserver: false });
+
+      mgr.scan();
+
+      expect(mgr.registry.has(outer.shadowRoot.querySelector('img'))).toBe(true);
+      expect(mgr.registry.has(inner.shadowRoot.querySelector('img'))).toBe(true);
+      const observed = observeSpy.mock.calls.map(([target]) => target);
+      expect(observed).toEqual(expect.arrayContaining([document.body, outer.shadowRoot, inner.shadowRoot]));
+    });
+
+    test('🚪 shadowDom: false keeps discovery in the light DOM', () => {
+      const { shadowRoot } = createHost(document.body, '<img src="hidden.png" class="alpha-mask-events" />');
+      mgr = new Manager({ useIntersectionObserver: false, shadowDom: false });
+
+      mgr.scan();
+
+      expect(mgr.registry.has(shadowRoot.querySelector('img'))).toBe(false);
+    });
+
+    test('🔐 shadow roots work as a root, a scan scope and a register target', () => {
+      const open = createHost(document.body, '<img src="a.png" class="alpha-mask-events" />');
+      const closed = createHost(document.body, '<img src="b.png" class="alpha-mask-events" />', 'closed');
+      const other = createHost(document.body, '<img src="c.png" class="alpha-mask-events" />');
+
+      mgr = new Manager({ useIntersectionObserver: false, root: open.shadowRoot });
+      mgr.scan();
+      expect(mgr.registry.size).toBe(1);
+
+      // Closed roots can't be walked, but their owner can hand them over
+      mgr.scan(closed.shadowRoot);
+      expect(mgr.registry.has(closed.shadowRoot.querySelector('img'))).toBe(true);
+
+      mgr.add(other.shadowRoot, { threshold: 0.3 });
+      expect(mgr.registry.get(other.shadowRoot.querySelector('img')).threshold).toBe(0.3);
+    });
+
+    test('🗑️ removing a shadow host unregisters the elements inside it', () => {
+      const { host, shadowRoot } = createHost(document.body, '<img src="a.png" class="alpha-mask-events" />');
+      const moved = document.createElement('img');
+      moved.src = 'moved.png';
+      moved.className = 'alpha-mask-events';
+      document.body.appendChild(moved);
+      mgr = new Manager({ useIntersectionObserver: false });
+      mgr.scan();
+      expect(mgr.registry.size).toBe(2);
+
+      host.remove();
+      document.body.appendChild(moved); // Moved, still connected
+      mgr._mutationObserver.callback([
+        { type: 'childList', addedNodes: [], removedNodes: [host, moved] }
+      ]);
+
+      expect(mgr.registry.has(shadowRoot.querySelector('img'))).toBe(false);
+      expect(mgr.registry.has(moved)).toBe(true);
+    });
+
+    test('🎯 hit-tests elements inside shadow trees', () => {
+      const { shadowRoot } = createHost(document.body, '<div class="alpha-mask-events" style="background-image: url(s.png); background-size: 100% 100%"></div>');
+      const el = shadowRoot.querySelector('div');
+      mgr = new Manager({ useIntersectionObserver: false });
+      mgr.scan();
+
+      const entry = mgr.registry.get(el);
+      entry.imageLoaded = true;
+      Object.assign(entry.layers[0], { loaded: true, bitmap: { width: 2, height: 1, data: new Uint8Array([255, 0]) } });
+      jest.spyOn(el, 'getBoundingClientRect').mockReturnValue({ top: 0, left: 0, bottom: 10, right: 20, width: 20, height: 10 });
+
+      mgr._hitTest({ clientX: 5, clientY: 5 });
+      expect(el.style.pointerEvents).toBe('auto');
+      mgr._hitTest({ clientX: 15, clientY: 5 });
+      expect(el.style.pointerEvents).toBe('none');
+    });
+  });
+
+  describe('🪟 Frames', () => {
+    const HALF_OPAQUE = { width: 2, height: 1, data: new Uint8Array([255, 0]) };
+
+    function createFrame(html) {
+      const iframe = document.createElement('iframe');
+      document.body.appendChild(iframe);
+      iframe.contentDocument.body.innerHTML = html;
+      return iframe;
+    }
+
+    function makeHittable(entry, rect) {
+      entry.imageLoaded = true;
+      Object.assign(entry.layers[0], { loaded: true, bitmap: HALF_OPAQUE });
+      entry.el.style.backgroundSize = '100% 100%';
+      jest.spyOn(entry.el, 'getBoundingClientRect').mockReturnValue(rect);
+    }
+
+    afterEach(() => {
+      mgr && mgr.destroy();
+    });
+
+    test('🧭 frames: true registers, observes and listens inside same-origin iframes', () => {
+      const iframe = createFrame('<img src="a.png" class="alpha-mask-events" />');
+      const frameDoc = iframe.contentDocument;
+      const observeSpy = jest.spyOn(global.MutationObserver.prototype, 'observe');
+      const listenSpy = jest.spyOn(frameDoc, 'addEventListener');
+
+      mgr = new Manager({ useIntersectionObserver: false });
+      mgr.scan();
+      expect(mgr.registry.has(frameDoc.querySelector('img'))).toBe(false);
+      mgr.destroy();
+
+      mgr = new Manager({ useIntersectionObserver: false, frames: true });
+      mgr.scan();
+      mgr.attachListeners();
+
+      expect(mgr.registry.has(frameDoc.querySelector('img'))).toBe(true);
+      expect(observeSpy).toHaveBeenCalledWith(frameDoc, expect.any(Object));
+      expect(listenSpy).toHaveBeenCalledWith('pointermove', mgr._handler, { passive: true });
+    });
+
+    test('📐 translates pointer coordinates between the page and frame documents', () => {
+      const iframe = createFrame('<div class="alpha-mask-events" style="background-image: url(f.png)"></div>');
+      const inFrame = iframe.contentDocument.querySelector('div');
+      const onPage = document.createElement('div');
+      onPage.className = 'alpha-mask-events';
+      onPage.style.backgroundImage = 'url(p.png)';
+      document.body.insertBefore(onPage, iframe); // Painted below the frame
+      jest.spyOn(iframe, 'getBoundingClientRect').mockReturnValue({ top: 50, left: 100, bottom: 150, right: 300, width: 200, height: 100 });
+
+      mgr = new Manager({ useIntersectionObserver: false, frames: true });
+      mgr.scan();
+      makeHittable(mgr.registry.get(inFrame), { top: 0, left: 0, bottom: 10, right: 20, width: 20, height: 10 });
+      makeHittable(mgr.registry.get(onPage), { top: 50, left: 100, bottom: 60, right: 120, width: 20, height: 10 });
+
+      // Page coordinates over the frame's opaque half
+      mgr._hitTest({ clientX: 105, clientY: 55, target: document.body });
+      expect(inFrame.style.pointerEvents).toBe('auto');
+      expect(mgr.registry.get(onPage).pointerStates.get(1)).toBe(false); // Opaque there too, but covered
+      expect(onPage.style.pointerEvents).toBe('none');
+      expect(mgr.targetAt(105, 55)).toBe(inFrame);
+
+      // The same spot reported by the frame document in its own coordinates
+      mgr._hitTest({ clientX: 15, clientY: 5, target: iframe.contentDocument.body });
+      expect(inFrame.style.pointerEvents).toBe('none');
+      expect(onPage.style.pointerEvents).toBe('none');
+    });
+
+    test('🚪 unloading or removing a frame cleans up its document', () => {
+      const iframe = createFrame('<img src="a.png" class="alpha-mask-events" />');
+      const frameDoc = iframe.contentDocument;
+      const frameWindow = iframe.contentWindow;
+      const img = frameDoc.querySelector('img');
+      const unlistenSpy = jest.spyOn(frameDoc, 'removeEventListener');
+
+      mgr = new Manager({ useIntersectionObserver: false, frames: true });
+      mgr.scan();
+      mgr.attachListeners();
+      expect(mgr.registry.has(img)).toBe(true);
+
+      frameWindow.dispatchEvent(new frameWindow.Event('pagehide'));
+      expect(mgr.registry.has(img)).toBe(false);
+      expect(unlistenSpy).toHaveBeenCalledWith('pointermove', mgr._handler);
+
+      // A later load reconnects, removal from the page stops tracking
+      iframe.dispatchEvent(new Event('load'));
+      expect(mgr.registry.has(img)).toBe(true);
+      iframe.remove();
+      mgr._mutationObserver.callback([{ type: 'childList', addedNodes: [], removedNodes: [iframe] }]);
+      expect(mgr.registry.has(img)).toBe(false);
+      expect(mgr._frames.size).toBe(0);
+    });
+
+    test('🔒 cross-origin frames are skipped', () => {
+      const iframe = createFrame('');
+      Object.defineProperty(iframe, 'contentDocument', {
+        get() { throw new DOMException('Blocked a frame', 'SecurityError'); }
+      });
+
+      mgr = new Manager({ useIntersectionObserver: false, frames: true });
+
+      expect(() => mgr.scan()).not.toThrow();
+      expect(mgr.registry.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// Tests for CSS gradient parsing and alpha evaluation
+import { describe, test, expect } from '@jest/globals';
+import { splitTopLevel, parseColorAlpha, parseColorLuminance, parseGradient, gradientAlpha } from '../src/gradients.js';
+
+describe('🌈 Gradients', () => {
+  const alphaAt = (value, x, y, width, height) => gradientAlpha(parseGradient(value), x, y, width, height);
+
+  test('✂️ splits lists and tokens outside parentheses', () => {
+    expect(splitTopLevel('url("a,b.png"), linear-gradient(red, blue)')).toEqual([
+      'url("a,b.png")',
+      'linear-gradient(red, blue)'
+    ]);
+    expect(splitTopLevel('rgba(0, 0, 0, 0.5) 10% 20%', ' ')).toEqual(['rgba(0, 0, 0, 0.5)', '10%', '20%']);
+  });
+
+  test('🎨 reads color alpha from every common syntax', () => {
+    expect(parseColorAlpha('transparent')).toBe(0);
+    expect(parseColorAlpha('red')).toBe(1);
+    expect(parseColorAlpha('rgb(255, 0, 0)')).toBe(1);
+    expect(parseColorAlpha('rgba(255, 0, 0, 0.25)')).toBe(0.25);
+    expect(parseColorAlpha('rgb(255 0 0 / 40%)')).toBe(0.4);
+    expect(parseColorAlpha('#ff000080')).toBeCloseTo(0.5, 2);
+    expect(parseColorAlpha('#f000')).toBe(0);
+  });
+
+  test('💡 reads color luminance premultiplied by alpha', () => {
+    expect(parseColorLuminance('white')).toBe(1);
+    expect(parseColorLuminance('#000')).toBe(0);
+    expect(parseColorLuminance('rgb(0, 255, 0)')).toBeCloseTo(0.7154);
+    expect(parseColorLuminance('rgba(255, 255, 255, 0.5)')).toBeCloseTo(0.5);
+    expect(parseColorLuminance('transparent')).toBe(0);
+
+    const gradient = parseGradient('linear-gradient(to right, white, black)');
+    expect(gradientAlpha(gradient, 25, 5, 100, 10, 'luminance')).toBeCloseTo(0.75);
+    expect(gradientAlpha(gradient, 25, 5, 100, 10)).toBe(1);
+  });
+
+  test('➡️ linear gradients follow angles, sides and corners', () => {
+    expect(alphaAt('linear-gradient(to right, transparent, black)', 25, 5, 100, 10)).toBeCloseTo(0.25);
+    expect(alphaAt('linear-gradient(90deg, transparent, black)', 25, 5, 100, 10)).toBeCloseTo(0.25);
+    expect(alphaAt('linear-gradient(transparent, black)', 50, 10, 100, 40)).toBeCloseTo(0.25); // Default: to bottom
+
+    const corner = 'linear-gradient(to top right, transparent, black)';
+    expect(alphaAt(corner, 100, 0, 100, 50)).toBeCloseTo(1);
+    expect(alphaAt(corner, 0, 50, 100, 50)).toBeCloseTo(0);
+    // The 50% line runs through the other two corners
+    expect(alphaAt(corner, 0, 0, 100, 50)).toBeCloseTo(0.5);
+    expect(alphaAt(corner, 100, 50, 100, 50)).toBeCloseTo(0.5);
+  });
+
+  test('📍 stop positions accept percentages and pixels', () => {
+    const value = 'linear-gradient(to right, black 20px, transparent 50%)';
+    expect(alphaAt(value, 10, 0, 100, 10)).toBe(1);
+    expect(alphaAt(value, 35, 0, 100, 10)).toBeCloseTo(0.5);
+    expect(alphaAt(value, 80, 0, 100, 10)).toBe(0);
+  });
+
+  test('⭕ radial gradients size circles and ellipses', () => {
+    const circle = 'radial-gradient(circle closest-side, black 50%, transparent 50%)';
+    expect(alphaAt(circle, 20, 10, 40, 20)).toBe(1);
+    expect(alphaAt(circle, 26, 10, 40, 20)).toBe(0); // Radius is 10, the stop at 5
+
+    // Default ellipse through the farthest corner: the corners sit exactly on 100%
+    const ellipse = 'radial-gradient(black, transparent)';
+    expect(alphaAt(ellipse, 20, 10, 40, 20)).toBe(1);
+    expect(alphaAt(ellipse, 0, 0, 40, 20)).toBeCloseTo(0);
+
+    const offset = 'radial-gradient(circle 10px at left top, black 99%, transparent 100%)';
+    expect(alphaAt(offset, 5, 5, 40, 20)).toBe(1);
+    expect(alphaAt(offset, 30, 15, 40, 20)).toBe(0);
+  });
+
+  test('🥧 conic gradients sweep clockwise from the start angle', () => {
+    const value = 'conic-gradient(from 90deg, black 25%, transparent 25%)';
+    expect(alphaAt(value, 15, 11, 20, 20)).toBe(1); // Just past 90deg
+    expect(alphaAt(value, 5, 15, 20, 20)).toBe(0); // 225deg
+    expect(alphaAt(value, 10, 5, 20, 20)).toBe(0); // 0deg
+  });
+
+  test('🔁 repeating gradients repeat their stop range', () => {
+    const value = 'repeating-linear-gradient(to right, black 0px, black 5px, transparent 5px, transparent 10px)';
+    expect(alphaAt(value, 12, 0, 40, 10)).toBe(1);
+    expect(alphaAt(value, 17, 0, 40, 10)).toBe(0);
+  });
+
+  test('🚫 non-gradient values are not parsed', () => {
+    expect(parseGradient('url(a.png)')).toBeNull();
+    expect(parseGradient('none')).toBeNull();
+  });
+});
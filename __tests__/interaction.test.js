@@ -0,0 +1,467 @@
+// Tests for how hit-test results reach the page: pointer-events toggling, event forwarding and state modes
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+
+// 2x1 bitmap: left pixel opaque, right pixel transparent
+const HALF_OPAQUE = { width: 2, height: 1, data: new Uint8Array([255, 0]) };
+
+// jsdom has no PointerEvent
+class PointerEvent extends MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.pointerId = init.pointerId ?? 1;
+    this.pointerType = init.pointerType ?? 'mouse';
+  }
+}
+
+describe('🖱️ Interaction', () => {
+  let mgr;
+
+  afterEach(() => {
+    mgr.destroy();
+    jest.restoreAllMocks();
+    delete document.elementsFromPoint;
+  });
+
+  // A loaded 100x10 element at the viewport origin, opaque on its left half
+  function register(opts = {}) {
+    const el = document.createElement('div');
+    el.style.cssText = 'background-image: url(shape.png); background-size: 100% 100%';
+    document.body.appendChild(el);
+    el.getBoundingClientRect = () => ({ left: 0, top: 0, right: 100, bottom: 10, width: 100, height: 10 });
+    mgr.add(el, opts);
+    const entry = mgr.registry.get(el);
+    entry.imageLoaded = true;
+    Object.assign(entry.layers[0], { loaded: true, bitmap: HALF_OPAQUE });
+    return el;
+  }
+
+  describe('📨 Forwarding', () => {
+    let el;
+    let below;
+
+    beforeEach(() => {
+      document.body.innerHTML = '<button id="below"></button>';
+      below = document.getElementById('below');
+      mgr = new Manager({ useIntersectionObserver: false, mode: 'forward' });
+      mgr.attachListeners();
+      el = register();
+      document.elementsFromPoint = jest.fn(() => [el, below, document.body, document.documentElement]);
+    });
+
+    test('🖐️ leaves the element interactive and its pointer-events alone', () => {
+      expect(el.style.pointerEvents).toBe('');
+      mgr._hitTest({ clientX: 80, clientY: 5 });
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      expect(el.style.pointerEvents).toBe('');
+      mgr.remove(el);
+      expect(el.getAttribute('style')).not.toContain('pointer-events');
+    });
+
+    test('↪️ re-dispatches events on transparent pixels to the element underneath', () => {
+      const onElement = jest.fn();
+      const onBelow = jest.fn();
+      el.addEventListener('click', onElement);
+      below.addEventListener('click', onBelow);
+
+      const original = new MouseEvent('click', { clientX: 80, clientY: 5, button: 0, ctrlKey: true, shiftKey: true, bubbles: true, cancelable: true });
+      el.dispatchEvent(original);
+
+      expect(onElement).not.toHaveBeenCalled();
+      expect(onBelow).toHaveBeenCalledTimes(1);
+      const forwarded = onBelow.mock.calls[0][0];
+      expect(forwarded).not.toBe(original);
+      expect(forwarded).toBeInstanceOf(MouseEvent);
+      expect(forwarded).toMatchObject({ clientX: 80, clientY: 5, ctrlKey: true, shiftKey: true, altKey: false });
+      expect(original.defaultPrevented).toBe(true); // The copy performs the click
+
+      el.dispatchEvent(new MouseEvent('click', { clientX: 20, clientY: 5, bubbles: true }));
+      expect(onElement).toHaveBeenCalledTimes(1);
+      expect(onBelow).toHaveBeenCalledTimes(1);
+    });
+
+    test('👶 forwards events that land on the content of the element', () => {
+      const child = document.createElement('span');
+      el.appendChild(child);
+      document.elementsFromPoint = jest.fn(() => [child, el, below, document.body, document.documentElement]);
+      const onElement = jest.fn();
+      const onBelow = jest.fn();
+      el.addEventListener('click', onElement);
+      below.addEventListener('click', onBelow);
+
+      child.dispatchEvent(new MouseEvent('click', { clientX: 80, clientY: 5, bubbles: true, cancelable: true }));
+      expect(onElement).not.toHaveBeenCalled();
+      expect(onBelow).toHaveBeenCalledTimes(1);
+
+      child.dispatchEvent(new MouseEvent('click', { clientX: 20, clientY: 5, bubbles: true }));
+      expect(onElement).toHaveBeenCalledTimes(1);
+      expect(onBelow).toHaveBeenCalledTimes(1);
+    });
+
+    test('🛞 forwards wheel and context menu events with their fields', () => {
+      const wheel = jest.fn();
+      const contextmenu = jest.fn(e => e.preventDefault());
+      below.addEventListener('wheel', wheel);
+      below.addEventListener('contextmenu', contextmenu);
+
+      el.dispatchEvent(new WheelEvent('wheel', { clientX: 90, clientY: 5, deltaY: 120, bubbles: true }));
+      expect(wheel.mock.calls[0][0]).toMatchObject({ deltaY: 120, clientX: 90 });
+
+      const menu = new MouseEvent('contextmenu', { clientX: 90, clientY: 5, button: 2, bubbles: true, cancelable: true });
+      el.dispatchEvent(menu);
+      expect(contextmenu.mock.calls[0][0].button).toBe(2);
+      expect(menu.defaultPrevented).toBe(true); // Prevented underneath, so prevented here
+    });
+
+    test('🥞 skips other forwarding elements that are transparent at the point', () => {
+      const top = register();
+      document.elementsFromPoint = jest.fn(() => [top, el, below, document.body]);
+      const onElement = jest.fn();
+      const onBelow = jest.fn();
+      el.addEventListener('mousedown', onElement);
+      below.addEventListener('mousedown', onBelow);
+
+      top.dispatchEvent(new MouseEvent('mousedown', { clientX: 80, clientY: 5, bubbles: true }));
+      expect(onElement).not.toHaveBeenCalled();
+      expect(onBelow).toHaveBeenCalledTimes(1);
+    });
+
+    test('⚠️ warns about an unknown mode', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const other = register({ mode: 'teleport' });
+      expect(mgr.registry.get(other).mode).toBe('pointer-events');
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown mode'));
+    });
+  });
+
+  describe('🏷️ State modes', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    test('🎓 class mode toggles state classes and leaves inline styles alone', () => {
+      mgr = new Manager({ useIntersectionObserver: false, mode: 'class' });
+      const el = register();
+      el.classList.add('sprite');
+      expect(el.className).toBe('ame-loading sprite');
+
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      expect(el.className).toBe('sprite ame-opaque');
+      mgr._hitTest({ clientX: 80, clientY: 5 });
+      expect(el.className).toBe('sprite ame-transparent');
+      mgr._hitTest({ clientX: 200, clientY: 5 });
+      expect(el.className).toBe('sprite');
+
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      mgr.remove(el);
+      expect(el.className).toBe('sprite');
+      expect(el.style.pointerEvents).toBe('');
+    });
+
+    test('🔖 attribute mode sets data-ame-state, which is not read as an option', () => {
+      mgr = new Manager({ useIntersectionObserver: false, mode: 'attribute' });
+      const el = register();
+      mgr._hitTest({ clientX: 80, clientY: 5 });
+      expect(el.getAttribute('data-ame-state')).toBe('transparent');
+      expect(mgr._readDataOptions(el)).toEqual({});
+
+      mgr.remove(el);
+      expect(el.hasAttribute('data-ame-state')).toBe(false);
+      expect(el.style.pointerEvents).toBe('');
+    });
+
+    test('🎛️ custom-property mode sets --ame-pointer-events and removes it again', () => {
+      mgr = new Manager({ useIntersectionObserver: false, mode: 'custom-property' });
+      const el = register();
+      expect(el.style.getPropertyValue('--ame-pointer-events')).toBe('none');
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      expect(el.style.getPropertyValue('--ame-pointer-events')).toBe('auto');
+      expect(el.style.pointerEvents).toBe('');
+
+      el.removeAttribute('style');
+      mgr._hitTest({ clientX: 80, clientY: 5 });
+      mgr.remove(el);
+      expect(el.hasAttribute('style')).toBe(false);
+    });
+  });
+
+  describe('👆 Taps', () => {
+    let el;
+    let below;
+    let frames;
+
+    beforeEach(() => {
+      document.body.innerHTML = '<button id="below"></button>';
+      below = document.getElementById('below');
+      mgr = new Manager({ useIntersectionObserver: false });
+      mgr.attachListeners();
+      el = register();
+      // Like the browser: elements with pointer-events: none aren't hit
+      document.elementsFromPoint = jest.fn(() => [el, below, document.body].filter(node => node.style.pointerEvents !== 'none'));
+      frames = [];
+      jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+    });
+
+    const GESTURE_EVENT_TYPES = ['pointerdown', 'mousedown', 'touchstart', 'pointerup', 'mouseup', 'touchend', 'click'];
+
+    // The element the browser would hit with the current pointer-events
+    const hit = x => document.elementsFromPoint(x, 5)[0];
+
+    const fire = (target, type, x, init = {}) => {
+      const Type = type.startsWith('pointer') ? PointerEvent : type.startsWith('touch') ? Event : MouseEvent;
+      const event = new Type(type, { clientX: x, clientY: 5, bubbles: true, cancelable: true, ...init });
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    const tap = (type, x, init = {}) => fire(hit(x), type, x, init);
+
+    // A mouse click as the browser routes it: pointerdown and mousedown to the element hit on
+    // press, pointerup and mouseup to the one hit on release, click to their common ancestor
+    const click = x => {
+      const down = hit(x);
+      const events = [fire(down, 'pointerdown', x), fire(down, 'mousedown', x)];
+      const up = hit(x);
+      events.push(fire(up, 'pointerup', x), fire(up, 'mouseup', x));
+      let ancestor = down;
+      while (!ancestor.contains(up)) ancestor = ancestor.parentNode;
+      events.push(fire(ancestor, 'click', x));
+      return events;
+    };
+
+    function listen() {
+      const onElement = jest.fn();
+      const onBelow = jest.fn();
+      GESTURE_EVENT_TYPES.forEach(type => {
+        el.addEventListener(type, onElement);
+        below.addEventListener(type, onBelow);
+      });
+      return { onElement, onBelow };
+    }
+
+    test('🫥 a first tap on a transparent pixel goes to the element underneath', () => {
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      document.dispatchEvent(new PointerEvent('pointerout')); // The earlier pointer left the page
+      expect(el.style.pointerEvents).toBe(''); // Back to the original style, which lets the tap through
+      const { onElement, onBelow } = listen();
+
+      // Touch events stay with the touchstart target; mouse events follow the tap, hit-tested then
+      const touch = { pointerType: 'touch', pointerId: 7 };
+      const down = hit(80);
+      fire(down, 'pointerdown', 80, touch);
+      expect(el.style.pointerEvents).toBe('none'); // Without waiting for an animation frame
+      expect(onBelow.mock.calls[0][0]).toMatchObject({ type: 'pointerdown', clientX: 80, pointerType: 'touch', pointerId: 7 });
+      fire(down, 'touchstart', 80);
+      tap('pointerup', 80, touch);
+      fire(down, 'touchend', 80);
+      ['mousedown', 'mouseup', 'click'].forEach(type => tap(type, 80));
+
+      expect(onElement).not.toHaveBeenCalled();
+      expect(onBelow.mock.calls.map(([e]) => e.type))
+        .toEqual(['pointerdown', 'touchstart', 'pointerup', 'touchend', 'mousedown', 'mouseup', 'click']);
+    });
+
+    test('🎯 a first click on an opaque pixel reaches the element', () => {
+      expect(el.style.pointerEvents).toBe('none'); // Not hit-tested yet
+      el.tabIndex = 0;
+      const { onElement, onBelow } = listen();
+
+      const [pointerdown, mousedown, , , activation] = click(20);
+      expect(el.style.pointerEvents).toBe('auto');
+      expect(onBelow).not.toHaveBeenCalled();
+      expect(onElement.mock.calls.map(([e]) => e.type)).toEqual(['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']);
+      expect(onElement.mock.calls[0][0]).not.toBe(pointerdown);
+
+      // The button the mousedown went to doesn't take focus or activate
+      expect(mousedown.defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(el);
+      expect(activation.defaultPrevented).toBe(true);
+    });
+
+    test('🖱️ clicks the browser already routed right are left alone', () => {
+      click(20);
+      const { onElement, onBelow } = listen();
+      const events = click(20);
+      expect(onBelow).not.toHaveBeenCalled();
+      expect(onElement.mock.calls.map(([e]) => e.type)).toEqual(['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']);
+      onElement.mock.calls.forEach(([e], i) => expect(e).toBe(events[i])); // The originals, not copies
+    });
+
+    test('🤏 touchstart is hit-tested right away too', () => {
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      const touchstart = new Event('touchstart', { bubbles: true });
+      Object.defineProperty(touchstart, 'changedTouches', { value: [{ clientX: 80, clientY: 5 }] });
+      el.dispatchEvent(touchstart);
+      expect(el.style.pointerEvents).toBe('none');
+    });
+
+    test('🐢 moves still wait for the next animation frame', () => {
+      tap('pointerdown', 20);
+      tap('pointerup', 20);
+      tap('pointermove', 80);
+      tap('pointermove', 90);
+      expect(el.style.pointerEvents).toBe('auto');
+      expect(frames).toHaveLength(1);
+      frames[0]();
+      expect(el.style.pointerEvents).toBe('none');
+    });
+  });
+
+  describe('🖐️ Multi-pointer', () => {
+    let el;
+    let events;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      mgr = new Manager({ useIntersectionObserver: false });
+      mgr.attachListeners();
+      el = register();
+      events = [];
+      el.addEventListener('alpha-mask-over', e => events.push(['over', e.detail.pointerId, e.detail.pointerType]));
+      el.addEventListener('alpha-mask-out', e => events.push(['out', e.detail.pointerId, e.detail.pointerType]));
+    });
+
+    test('✌️ tracks each pointer on its own', () => {
+      mgr._hitTest({ clientX: 20, clientY: 5, pointerId: 2, pointerType: 'touch' });
+      mgr._hitTest({ clientX: 80, clientY: 5, pointerId: 3, pointerType: 'touch' });
+      expect(el.style.pointerEvents).toBe('auto'); // Opaque under one of them
+      expect(events).toEqual([['over', 2, 'touch'], ['out', 3, 'touch']]);
+
+      mgr._hitTest({ clientX: 90, clientY: 5, pointerId: 2, pointerType: 'touch' });
+      expect(el.style.pointerEvents).toBe('none');
+      mgr._hitTest({ clientX: 200, clientY: 5, pointerId: 2, pointerType: 'touch' });
+      mgr._hitTest({ clientX: 200, clientY: 5, pointerId: 3, pointerType: 'touch' });
+      expect(el.style.pointerEvents).toBe('');
+      expect(events).toHaveLength(3);
+    });
+
+    test('🧹 forgets pointers that leave the page', () => {
+      jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => callback());
+      document.dispatchEvent(new PointerEvent('pointermove', { clientX: 20, clientY: 5, pointerId: 1 }));
+      document.dispatchEvent(new PointerEvent('pointermove', { clientX: 30, clientY: 5, pointerId: 4, pointerType: 'pen' }));
+      expect(mgr._pointers.size).toBe(2);
+
+      document.dispatchEvent(new PointerEvent('pointerout', { pointerId: 4, pointerType: 'pen' }));
+      expect(events).toEqual([['over', 1, 'mouse'], ['over', 4, 'pen'], ['out', 4, 'pen']]);
+      expect(el.style.pointerEvents).toBe('auto'); // The mouse is still there
+      expect(Array.from(mgr._pointers.keys())).toEqual([1]);
+      expect(mgr._lastEvent.pointerId).toBe(1);
+
+      document.dispatchEvent(new PointerEvent('pointerout', { pointerId: 1, relatedTarget: el }));
+      expect(mgr._pointers.size).toBe(1); // Moved onto another element, still on the page
+      document.dispatchEvent(new PointerEvent('pointerout', { pointerId: 1 }));
+      expect(el.style.pointerEvents).toBe('');
+      expect(mgr._lastEvent).toBeNull();
+    });
+  });
+
+  describe('🔒 Drag lock', () => {
+    let el;
+    let frames;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      mgr = new Manager({ useIntersectionObserver: false });
+      mgr.attachListeners();
+      el = register();
+      frames = [];
+      jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+    });
+
+    const dispatch = (type, x, init = {}) => el.dispatchEvent(new PointerEvent(type, { clientX: x, clientY: 5, bubbles: true, ...init }));
+    const flush = () => frames.splice(0).forEach(frame => frame());
+
+    test('🧲 holds the state from pointerdown until pointerup', () => {
+      dispatch('pointerdown', 20);
+      dispatch('pointermove', 80);
+      flush();
+      expect(el.style.pointerEvents).toBe('auto'); // Dragged over a transparent pixel
+
+      dispatch('pointerup', 80);
+      expect(el.style.pointerEvents).toBe('none');
+      expect(frames).toHaveLength(1); // The pointers are hit-tested again
+    });
+
+    test('🫳 gestures starting on a transparent pixel stay click-through', () => {
+      dispatch('pointerdown', 80);
+      dispatch('pointermove', 20);
+      flush();
+      expect(el.style.pointerEvents).toBe('none');
+      dispatch('pointercancel', 20);
+      expect(el.style.pointerEvents).toBe('auto');
+    });
+
+    test('🪝 lets go when capture is released and only holds the pressed pointer', () => {
+      dispatch('pointerdown', 20, { pointerId: 2, pointerType: 'pen' });
+      mgr._hitTest({ clientX: 80, clientY: 5, pointerId: 3, pointerType: 'touch' });
+      dispatch('pointermove', 90, { pointerId: 2, pointerType: 'pen' });
+      flush();
+      expect(el.style.pointerEvents).toBe('auto');
+
+      dispatch('lostpointercapture', 90, { pointerId: 3 }); // Not the pressed pointer
+      expect(el.style.pointerEvents).toBe('auto');
+      dispatch('lostpointercapture', 90, { pointerId: 2, pointerType: 'pen' });
+      expect(el.style.pointerEvents).toBe('none');
+    });
+
+    test('🖊️ other pointers still count while one is held', () => {
+      dispatch('pointerdown', 80, { pointerId: 2, pointerType: 'touch' }); // Locked transparent
+      mgr._hitTest({ clientX: 20, clientY: 5, pointerId: 3, pointerType: 'pen' });
+      expect(el.style.pointerEvents).toBe('auto'); // The hovering pen is over an opaque pixel
+      mgr._hitTest({ clientX: 90, clientY: 5, pointerId: 3, pointerType: 'pen' });
+      expect(el.style.pointerEvents).toBe('none');
+    });
+
+    test('🔓 can be turned off per element', () => {
+      const unlocked = register({ dragLock: false }); // On top of el
+      dispatch('pointerdown', 80);
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      expect(unlocked.style.pointerEvents).toBe('auto');
+      expect(mgr.registry.get(el).locks.get(1)).toBe('transparent');
+      expect(mgr.registry.get(unlocked).locks.size).toBe(0);
+    });
+  });
+
+  describe('🥞 Overlaps', () => {
+    let bottom;
+    let top;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      mgr = new Manager({ useIntersectionObserver: false });
+      bottom = register();
+      top = register();
+    });
+
+    test('🔝 leaves only the topmost opaque element interactive', () => {
+      const events = [];
+      bottom.addEventListener('alpha-mask-out', e => events.push(e.detail.alpha));
+      mgr._hitTest({ clientX: 20, clientY: 5 });
+      expect(top.style.pointerEvents).toBe('auto');
+      expect(bottom.style.pointerEvents).toBe('none');
+      expect(events).toEqual([1]); // Opaque, but covered
+      expect(mgr.targetAt(20, 5)).toBe(top);
+      expect(mgr.targetAt(80, 5)).toBeNull();
+    });
+
+    test('🔢 follows z-index and nesting', () => {
+      Object.assign(bottom.style, { position: 'relative', zIndex: '2' });
+      expect(mgr.targetAt(20, 5)).toBe(bottom);
+
+      const nested = register();
+      top.appendChild(nested);
+      Object.assign(bottom.style, { position: '', zIndex: '' });
+      expect(mgr.targetAt(20, 5)).toBe(nested);
+      Object.assign(nested.style, { position: 'relative', zIndex: '-1' });
+      expect(mgr.targetAt(20, 5)).toBe(top);
+    });
+
+    test('📚 prefers the order elementsFromPoint reports', () => {
+      document.elementsFromPoint = jest.fn(() => [bottom, top, document.body]);
+      expect(mgr.targetAt(20, 5)).toBe(bottom);
+      // Left out by the browser, e.g. for pointer-events: none: stacking order decides
+      document.elementsFromPoint = jest.fn(() => [bottom, document.body]);
+      expect(mgr.targetAt(20, 5)).toBe(top);
+    });
+  });
+});
@@ -0,0 +1,369 @@
+// Tests for mapping element-local points onto the painted image (size, position, repeat, origin, clip)
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+
+// 2x1 bitmap: left pixel opaque, right pixel transparent
+const HALF_OPAQUE = { width: 2, height: 1, data: new Uint8Array([255, 0]) };
+
+describe('📐 Layout', () => {
+  let mgr;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    mgr = new Manager({ useIntersectionObserver: false });
+  });
+
+  afterEach(() => {
+    mgr.destroy();
+    jest.restoreAllMocks();
+    overrides = null;
+  });
+
+  // Computed style values to report per element, for what jsdom can't parse
+  let overrides;
+
+  function overrideComputedStyle(el, computed) {
+    if (!overrides) {
+      overrides = new Map();
+      const getComputedStyle = window.getComputedStyle.bind(window);
+      jest.spyOn(window, 'getComputedStyle').mockImplementation(target => {
+        const style = getComputedStyle(target);
+        const values = overrides.get(target);
+        return values ? new Proxy(style, { get: (s, key) => key in values ? values[key] : s[key] }) : style;
+      });
+    }
+    overrides.set(el, computed);
+  }
+
+  // Register an element with a ready bitmap and return a sampler for local points.
+  // `computed` overrides computed style values jsdom can't parse (e.g. space/round).
+  function setup(css, { tag = 'div', width = 40, height = 10, computed = null } = {}) {
+    const el = document.createElement(tag);
+    if (tag === 'img') {
+      el.src = 'tile.png';
+    } else {
+      el.style.backgroundImage = 'url(tile.png)';
+    }
+    el.style.cssText += css;
+    document.body.appendChild(el);
+    if (computed) {
+      overrideComputedStyle(el, computed);
+    }
+    mgr.add(el);
+
+    const entry = mgr.registry.get(el);
+    entry.imageLoaded = true;
+    Object.assign(entry.layers[0], { loaded: true, bitmap: HALF_OPAQUE });
+    const rect = { top: 0, left: 0, right: width, bottom: height, width, height };
+    return (x, y = 5) => mgr._sampleAlpha(entry, x, y, rect).alpha;
+  }
+
+  test('🔁 repeat tiles the image, no-repeat draws it once', () => {
+    const repeated = setup('background-size: 10px 10px; background-repeat: repeat');
+    expect(repeated(21)).toBe(1);
+    expect(repeated(26)).toBe(0);
+
+    const single = setup('background-size: 10px 10px; background-repeat: no-repeat');
+    expect(single(1)).toBe(1);
+    expect(single(21)).toBe(0);
+  });
+
+  test('↔️ repeat-x only tiles horizontally', () => {
+    const sample = setup('background-size: 10px 4px; background-repeat: repeat-x', { height: 10 });
+    expect(sample(21, 1)).toBe(1);
+    expect(sample(21, 6)).toBe(0);
+  });
+
+  test('🪟 space spreads whole tiles and leaves gaps between them', () => {
+    // 35px fits three 10px tiles: at 0, 12.5 and 25
+    const sample = setup('background-size: 10px 10px; background-position: right', {
+      width: 35,
+      computed: { backgroundRepeat: 'space' }
+    });
+    expect(sample(1)).toBe(1);
+    expect(sample(11)).toBe(0); // Gap
+    expect(sample(13)).toBe(1);
+    expect(sample(26)).toBe(1);
+  });
+
+  test('⭕ round rescales tiles to fit a whole number of times', () => {
+    // 35px / 10px rounds to four tiles of 8.75px
+    const rounded = setup('background-size: 10px 10px', { width: 35, computed: { backgroundRepeat: 'round' } });
+    expect(rounded(9)).toBe(1);
+
+    const repeated = setup('background-size: 10px 10px; background-repeat: repeat', { width: 35 });
+    expect(repeated(9)).toBe(0);
+  });
+
+  test('📦 background-origin positions against the chosen box', () => {
+    const box = 'border: 5px solid; padding: 5px; background-size: 10px 10px; background-repeat: no-repeat;';
+
+    const padding = setup(box, { height: 30 }); // padding-box is the default
+    expect(padding(6, 10)).toBe(1);
+    expect(padding(12, 10)).toBe(0);
+
+    const content = setup(`${box} background-origin: content-box`, { height: 30 });
+    expect(content(6, 12)).toBe(0);
+    expect(content(12, 12)).toBe(1);
+
+    const border = setup(`${box} background-origin: border-box`, { height: 30 });
+    expect(border(1, 1)).toBe(1);
+  });
+
+  test('✂️ background-clip hides tiles outside the clip box', () => {
+    const box = 'border: 5px solid; padding: 5px; background-size: 10px 10px; background-repeat: repeat; background-origin: border-box;';
+
+    const unclipped = setup(box, { height: 30 });
+    expect(unclipped(1, 15)).toBe(1); // Tiles repeat under the border
+
+    const clipped = setup(`${box} background-clip: content-box`, { height: 30 });
+    expect(clipped(1, 15)).toBe(0);
+    expect(clipped(31, 15)).toBe(0); // Padding
+    expect(clipped(11, 15)).toBe(1);
+  });
+
+  test('🖼️ an img fills its content box regardless of background styles', () => {
+    const sample = setup('padding: 5px; background-repeat: repeat; background-size: 1px 1px', { tag: 'img', width: 30, height: 20 });
+    expect(sample(6, 10)).toBe(1);
+    expect(sample(24, 10)).toBe(0);
+    expect(sample(2, 10)).toBe(0); // Padding
+  });
+
+  test('🖼️ object-fit and object-position place img content inside its box', () => {
+    // The 2x1 image letterboxed into 40x10 is drawn 20x10, centered
+    const contain = setup('object-fit: contain', { tag: 'img' });
+    expect(contain(5)).toBe(0); // Letterbox band
+    expect(contain(15)).toBe(1);
+    expect(contain(25)).toBe(0);
+
+    const topLeft = setup('object-fit: contain; object-position: left top', { tag: 'img' });
+    expect(topLeft(5)).toBe(1);
+    expect(topLeft(15)).toBe(0);
+
+    // Covering a 10x40 box draws it 80x40; only the middle 10px are visible
+    const cover = setup('object-fit: cover', { tag: 'img', width: 10, height: 40 });
+    expect(cover(2, 20)).toBe(1);
+    expect(cover(7, 20)).toBe(0);
+
+    const none = setup('object-fit: none', { tag: 'img' });
+    expect(none(19.5)).toBe(1);
+    expect(none(20.5)).toBe(0);
+    expect(none(10)).toBe(0);
+  });
+
+  describe('🥞 Layers', () => {
+    const BOX = { top: 0, left: 0, right: 40, bottom: 40, width: 40, height: 40 };
+
+    // Register a div whose computed background is `computed` (jsdom can't parse layer lists)
+    function register(computed) {
+      const el = document.createElement('div');
+      document.body.appendChild(el);
+      overrideComputedStyle(el, computed);
+      mgr.add(el);
+      return mgr.registry.get(el);
+    }
+
+    test('🏅 composites an image over a radial-gradient blob', () => {
+      const entry = register({
+        backgroundImage: 'url("glyph.png"), radial-gradient(circle closest-side, rgb(255, 0, 0) 90%, rgba(255, 0, 0, 0) 100%)',
+        backgroundSize: '10px 10px, auto',
+        backgroundRepeat: 'no-repeat'
+      });
+      expect(entry.layers.map(layer => layer.kind)).toEqual(['image', 'gradient']);
+      expect(entry.imageLoaded).toBe(false); // Still waiting for the glyph
+
+      Object.assign(entry.layers[0], { loaded: true, bitmap: HALF_OPAQUE });
+      const sample = (x, y) => mgr._sampleAlpha(entry, x, y, BOX);
+
+      expect(sample(2, 2)).toEqual({ alpha: 1, x: 0, y: 0 }); // Glyph
+      expect(sample(20, 20)).toEqual({ alpha: 1, x: 20, y: 20 }); // Blob center
+      expect(sample(7, 2).alpha).toBe(0); // Neither
+      expect(sample(20, 1).alpha).toBeCloseTo(0.5); // Blob edge fades out
+    });
+
+    test('🌈 gradient-only backgrounds are ready without loading anything', () => {
+      const entry = register({ backgroundImage: 'linear-gradient(to right, transparent 50%, black 50%)' });
+
+      expect(entry.imageLoaded).toBe(true);
+      expect(mgr._sampleAlpha(entry, 10, 10, BOX).alpha).toBe(0);
+      expect(mgr._sampleAlpha(entry, 30, 10, BOX).alpha).toBe(1);
+    });
+
+    test('🖼️ image-set() resolves to the candidate for the pixel ratio', () => {
+      const originalRatio = window.devicePixelRatio;
+      window.devicePixelRatio = 2;
+      try {
+        const entry = register({
+          backgroundImage: 'image-set(url("a-1x.png") 1x, url("a-2x.png") 2x), -webkit-image-set("b.png" 1x)'
+        });
+        expect(entry.layers.map(layer => layer.src)).toEqual(['a-2x.png', 'b.png']);
+      } finally {
+        window.devicePixelRatio = originalRatio;
+      }
+    });
+
+    test('👀 a change to any layer re-registers the element', () => {
+      const computed = { backgroundImage: 'url("a.png"), linear-gradient(red, blue)' };
+      const entry = register(computed);
+
+      computed.backgroundImage = 'url("a.png"), url("b.png")';
+      mgr.scan(); // Start observing
+      mgr._mutationObserver.callback([{ type: 'attributes', attributeName: 'style', target: entry.el, addedNodes: [], removedNodes: [] }]);
+
+      const readded = mgr.registry.get(entry.el);
+      expect(readded).not.toBe(entry);
+      expect(readded.layers.map(layer => layer.src)).toEqual(['a.png', 'b.png']);
+    });
+  });
+
+  describe('🎭 Masks', () => {
+    const BOX = { top: 0, left: 0, right: 40, bottom: 40, width: 40, height: 40 };
+    const HALVES = 'linear-gradient(to right, black 50%, transparent 50%), linear-gradient(to bottom, black 50%, transparent 50%)';
+
+    function register(computed) {
+      const el = document.createElement('div');
+      document.body.appendChild(el);
+      overrideComputedStyle(el, computed);
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      return (x, y) => mgr._sampleAlpha(entry, x, y, BOX).alpha;
+    }
+
+    test('✂️ a plain div cut out with mask-image is hit where the mask is opaque', () => {
+      const el = document.createElement('div');
+      document.body.appendChild(el);
+      overrideComputedStyle(el, { maskImage: 'url("shape.png")', maskSize: '10px 10px', maskRepeat: 'no-repeat' });
+      mgr.add(el);
+
+      const entry = mgr.registry.get(el);
+      expect(entry.layers.map(layer => layer.role)).toEqual(['mask']);
+      Object.assign(entry.layers[0], { loaded: true, bitmap: HALF_OPAQUE });
+
+      expect(mgr._sampleAlpha(entry, 2, 2, BOX)).toEqual({ alpha: 1, x: 0, y: 0 });
+      expect(mgr._sampleAlpha(entry, 7, 2, BOX).alpha).toBe(0);
+      expect(mgr._sampleAlpha(entry, 20, 20, BOX).alpha).toBe(0); // Outside the only mask tile
+    });
+
+    test('🖌️ the mask hides opaque background content', () => {
+      const sample = register({
+        backgroundImage: 'linear-gradient(black, black)',
+        maskImage: 'linear-gradient(to right, black 50%, transparent 50%)'
+      });
+      expect(sample(10, 10)).toBe(1);
+      expect(sample(30, 10)).toBe(0);
+    });
+
+    test('💡 mask-mode: luminance uses brightness instead of alpha', () => {
+      const value = 'linear-gradient(to right, white 50%, black 50%)';
+      const luminance = register({ maskImage: value, maskMode: 'luminance' });
+      expect(luminance(10, 10)).toBe(1);
+      expect(luminance(30, 10)).toBe(0);
+
+      const alpha = register({ maskImage: value, maskMode: 'alpha' });
+      expect(alpha(30, 10)).toBe(1);
+    });
+
+    test('🧮 mask-composite combines layers, including -webkit- keywords', () => {
+      const intersect = register({ maskImage: HALVES, maskComposite: 'intersect' });
+      expect(intersect(10, 10)).toBe(1);
+      expect(intersect(30, 10)).toBe(0);
+      expect(intersect(10, 30)).toBe(0);
+
+      const add = register({ maskImage: HALVES });
+      expect(add(30, 10)).toBe(1);
+      expect(add(30, 30)).toBe(0);
+
+      const xor = register({ webkitMaskImage: HALVES, webkitMaskComposite: 'xor' });
+      expect(xor(10, 10)).toBe(0);
+      expect(xor(30, 10)).toBe(1);
+      expect(xor(30, 30)).toBe(0);
+    });
+
+    test('🔦 luminance bitmaps weigh each pixel by brightness and alpha', () => {
+      // White and black opaque pixels
+      jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+        drawImage: () => {},
+        getImageData: () => ({ data: new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255]) })
+      });
+      const img = { naturalWidth: 2, naturalHeight: 1 };
+
+      expect(Array.from(mgr._decodeBitmap(img, 'luminance').data)).toEqual([255, 0]);
+      expect(Array.from(mgr._decodeBitmap(img).data)).toEqual([255, 255]);
+    });
+  });
+
+  describe('🏃 Sprite sheets', () => {
+    // Four 2x1 frames side by side: ██, ░█, █░, ░░
+    const SHEET = { width: 8, height: 1, data: new Uint8Array([255, 255, 0, 255, 255, 0, 0, 0]) };
+    const BOX = { top: 0, left: 0, right: 10, bottom: 10, width: 10, height: 10 };
+
+    // A 10x10 element showing one 10px frame of a 40x10 sheet at a position the test controls
+    function sprite(attrs = {}) {
+      const el = document.createElement('div');
+      Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+      document.body.appendChild(el);
+      const computed = { backgroundImage: 'url("sheet.png")', backgroundSize: '40px 10px', backgroundRepeat: 'no-repeat', backgroundPosition: '0px 0px' };
+      overrideComputedStyle(el, computed);
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      Object.assign(entry.layers[0], { loaded: true, bitmap: SHEET });
+      return {
+        entry,
+        // Each sample stands for a hit-test of its own
+        sample: x => {
+          mgr._beginPass();
+          return mgr._sampleAlpha(entry, x, 5, BOX).alpha;
+        },
+        moveTo: position => { computed.backgroundPosition = position; }
+      };
+    }
+
+    test('🎞️ follows the current background-position without recomputing the layout', () => {
+      const { sample, moveTo } = sprite();
+      const computeLayout = jest.spyOn(mgr, '_computeLayout');
+      expect(sample(7)).toBe(1);
+
+      moveTo('-20px 0px'); // Third frame, as a steps() animation would set it
+      expect(sample(2)).toBe(1);
+      expect(sample(7)).toBe(0);
+      expect(computeLayout).toHaveBeenCalledTimes(1);
+    });
+
+    test('📸 reads the position once per pass, however many samples it takes', () => {
+      const { entry, sample, moveTo } = sprite();
+      sample(7);
+      const reads = window.getComputedStyle.mock.calls.length;
+
+      mgr._beginPass();
+      moveTo('-20px 0px');
+      expect(mgr._sampleAlpha(entry, 2, 5, BOX).alpha).toBe(1);
+      moveTo('0px 0px'); // Not seen until the next pass
+      [0, 3, 7, 9].forEach(x => mgr._sampleAlpha(entry, x, 5, BOX));
+      expect(mgr._sampleAlpha(entry, 7, 5, BOX).alpha).toBe(0);
+      expect(window.getComputedStyle.mock.calls.length).toBe(reads + 1);
+
+      expect(sample(7)).toBe(1);
+    });
+
+    test('🔲 a declared frame grid hit-tests only the frame showing', () => {
+      const { sample, moveTo } = sprite({ 'data-ame-sprite-grid': '4 1' });
+      moveTo('-9px 0px'); // Between frames: the second one is closest
+
+      expect(sample(0.5)).toBe(0); // The first frame's edge doesn't bleed in
+      expect(sample(2)).toBe(0);
+      expect(sample(7)).toBe(1);
+
+      const ungridded = sprite();
+      ungridded.moveTo('-9px 0px');
+      expect(ungridded.sample(0.5)).toBe(1);
+    });
+
+    test('⚠️ an invalid frame grid is reported once and ignored', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { sample } = sprite({ 'data-ame-sprite-grid': 'four' });
+      expect(sample(7)).toBe(1);
+      sample(2);
+      expect(warn.mock.calls.filter(([message]) => message.includes('spriteGrid'))).toHaveLength(1);
+    });
+  });
+});
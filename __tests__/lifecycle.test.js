@@ -0,0 +1,106 @@
+// Tests for manager instances and teardown through the public API
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import AME, { createManager, destroy, init, reinit } from '../src/index.js';
+
+describe('♻️  Manager Lifecycle', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <section id="app-a"><img src="a.png" class="alpha-mask-events" id="img-a" style="pointer-events: auto" /></section>
+      <section id="app-b"><img src="b.png" class="alpha-mask-events" id="img-b" /></section>
+    `;
+  });
+
+  afterEach(() => {
+    destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('🧩 createManager instances are independent and scoped to their root', () => {
+    const a = createManager({ root: '#app-a', threshold: 0.2, useIntersectionObserver: false });
+    const b = createManager({ root: '#app-b', threshold: 0.8, useIntersectionObserver: false });
+
+    expect(a).not.toBe(b);
+    expect([...a.registry.keys()].map(el => el.id)).toEqual(['img-a']);
+    expect([...b.registry.keys()].map(el => el.id)).toEqual(['img-b']);
+    expect(a.registry.get(document.getElementById('img-a')).threshold).toBe(0.2);
+    expect(b.registry.get(document.getElementById('img-b')).threshold).toBe(0.8);
+
+    a.destroy();
+    expect(a.destroyed).toBe(true);
+    expect(a.registry.size).toBe(0);
+    expect(b.registry.size).toBe(1); // Untouched
+  });
+
+  test('🗑️ instances destroyed directly are forgotten right away', () => {
+    const onDestroy = jest.fn();
+    const a = createManager({ root: '#app-a', useIntersectionObserver: false, onDestroy });
+    a.destroy();
+    a.destroy();
+    expect(onDestroy).toHaveBeenCalledTimes(1);
+    expect(onDestroy).toHaveBeenCalledWith(a);
+
+    // The module-level destroy() no longer reaches it
+    const destroySpy = jest.spyOn(a, 'destroy');
+    destroy();
+    expect(destroySpy).not.toHaveBeenCalled();
+  });
+
+  test('🚧 a root selector that matches nothing registers nothing', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const scoped = createManager({ root: '#missing', useIntersectionObserver: false });
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('"#missing" matches no element'));
+    expect(scoped.root).toBeNull();
+    expect(scoped.registry.size).toBe(0);
+
+    scoped.add('.alpha-mask-events');
+    expect(scoped.registry.size).toBe(0); // Not the matches elsewhere in the document
+  });
+
+  test('🧹 destroy() removes listeners, observers and restores pointer-events', () => {
+    const removeSpy = jest.spyOn(document, 'removeEventListener');
+    const moDisconnect = jest.spyOn(global.MutationObserver.prototype, 'disconnect');
+    const ioDisconnect = jest.spyOn(global.IntersectionObserver.prototype, 'disconnect');
+    const scoped = createManager({ root: '#app-b' });
+    const defaultMgr = init();
+    const img = document.getElementById('img-a');
+    expect(img.style.pointerEvents).toBe('none');
+
+    destroy();
+
+    expect(img.style.pointerEvents).toBe('auto');
+    expect(scoped.destroyed && defaultMgr.destroyed).toBe(true);
+    expect(removeSpy).toHaveBeenCalledWith('pointermove', expect.any(Function));
+    expect(moDisconnect).toHaveBeenCalledTimes(2);
+    expect(ioDisconnect).toHaveBeenCalledTimes(2);
+
+    // A destroyed instance stays inert
+    defaultMgr.add(img);
+    expect(defaultMgr.registry.size).toBe(0);
+  });
+
+  test('🔁 init() keeps its instance; reinit() applies new options', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    const first = init({ threshold: 0.5 });
+
+    expect(init({ threshold: 0.1 })).toBe(first);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('reinit()'));
+
+    const second = reinit({ threshold: 0.1 });
+    expect(second).not.toBe(first);
+    expect(first.destroyed).toBe(true);
+    expect(second.threshold).toBe(0.1);
+    expect(AME.init()).toBe(second);
+  });
+
+  test('🪝 destroy() on an instance that never attached listeners still cleans up', () => {
+    const instance = createManager({ autoScan: false });
+    instance.detachListeners(); // Listeners gone, elements never registered
+    instance.add('#img-b');
+    expect(instance.registry.size).toBe(1);
+
+    instance.destroy();
+
+    expect(instance.registry.size).toBe(0);
+    expect(document.getElementById('img-b').style.pointerEvents).not.toBe('none');
+  });
+});
@@ -1,5 +1,5 @@
 // Explicitly import Jest functions for ES Module compatibility
-import { jest, describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
 // Polyfill jest not needed; stub drawImage manually
 import Manager from '../src/manager.js'; // Use default import
 
@@ -90,9 +90,11 @@ describe('⚙️  Manager Core Functionality', () => {
                 clearRect: jest.fn(), // Mock clearRect
                 drawImage: jest.fn(), // Mock drawImage
                 getImageData: jest.fn((x, y, sw, sh) => { // Mock getImageData
-                    // Return plausible data structure (e.g., opaque pixel)
+                    // Return plausible data structure (all pixels opaque black)
                     // RGBA format
-                    return { data: new Uint8ClampedArray([0, 0, 0, 255]) };
+                    const data = new Uint8ClampedArray(sw * sh * 4);
+                    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+                    return { data };
                 }),
                 // Add other methods if needed by future tests
             };
@@ -230,35 +232,26 @@ describe('⚙️  Manager Core Functionality', () => {
      const mockRect = { top: 10, left: 10, bottom: 110, right: 110, width: 100, height: 100 };
      jest.spyOn(div, 'getBoundingClientRect').mockReturnValue(mockRect);
 
-     // Create a new mock context specifically for checking getImageData calls
-     const mockGetImageData = jest.fn((x, y, sw, sh) => {
-       return { data: new Uint8ClampedArray([0, 0, 0, 255]) }; // Opaque pixel
-     });
-     const mockCtx = {
-       // Include other methods if Manager calls them, ensure they are jest.fn()
-       clearRect: jest.fn(),
-       drawImage: jest.fn(),
-       getImageData: mockGetImageData,
-     };
-     const mockCanvas = {
-       width: mockRect.width,
-       height: mockRect.height,
-       getContext: () => mockCtx, // If getContext is called again (unlikely here)
-     };
+     // Stretch the 10x10 image over the element and make its right half transparent
+     div.style.backgroundSize = '100% 100%';
+     const data = new Uint8Array(100);
+     for (let y = 0; y < 10; y++) data.fill(255, y * 10, y * 10 + 5);
+     entry.layers[0].bitmap = { width: 10, height: 10, data };
 
-     // Inject the mocks into the registry entry AFTER image load wait
-     entry.ctx = mockCtx;
-     entry.canvas = mockCanvas;
+     const overListener = jest.fn();
+     div.addEventListener('alpha-mask-over', overListener);
 
-     // Simulate pointer move over the element
-     const pointerMoveEvent = { clientX: 50, clientY: 50 };
+     // Simulate pointer move over the opaque left half
+     mgr._hitTest({ clientX: 30, clientY: 50 });
 
-     mgr._hitTest(pointerMoveEvent);
-
-     // Assertions
-     expect(mockGetImageData).toHaveBeenCalled();
-     expect(mockGetImageData).toHaveBeenCalledWith(40, 40, 1, 1); // (50-10)*canvasW/rectW, (50-10)*canvasH/rectH
      expect(div.style.pointerEvents).toBe('auto'); // Should be interactive (alpha > threshold)
+     expect(overListener).toHaveBeenCalledTimes(1);
+     // (30-10) * 10/100 = bitmap pixel 2, (50-10) * 10/100 = row 4
+     expect(overListener.mock.calls[0][0].detail.coordinates).toEqual({ x: 2, y: 4 });
+
+     // Simulate pointer move over the transparent right half
+     mgr._hitTest({ clientX: 90, clientY: 50 });
+     expect(div.style.pointerEvents).toBe('none');
 
      // Simulate pointer move outside
      const pointerMoveOutside = { clientX: 200, clientY: 200 };
@@ -269,6 +262,82 @@ describe('⚙️  Manager Core Functionality', () => {
      jest.restoreAllMocks(); // Cleans up spies like getBoundingClientRect
   });
 
+  test('🧮 decodes the image once and never reads pixels while hit-testing', async () => {
+     const div = document.createElement('div');
+     div.style.backgroundImage = 'url(decode-once.png)';
+     div.style.backgroundSize = '100% 100%';
+     document.body.appendChild(div);
+
+     const getContextSpy = jest.spyOn(HTMLCanvasElement.prototype, 'getContext');
+     mgr.add(div);
+     await waitForRegistrySize(mgr, 1);
+     const entry = mgr.registry.get(div);
+     await waitForImageLoad(entry);
+
+     // The image is decoded into a bitmap at its natural size
+     const [layer] = entry.layers;
+     expect(layer.bitmap.width).toBe(10);
+     expect(layer.bitmap.height).toBe(10);
+     expect(layer.bitmap.data).toBeInstanceOf(Uint8Array);
+     const decodeCalls = getContextSpy.mock.calls.length;
+     expect(decodeCalls).toBeGreaterThan(0);
+
+     const rect = { top: 0, left: 0, bottom: 100, right: 100, width: 100, height: 100 };
+     const rectSpy = jest.spyOn(div, 'getBoundingClientRect').mockReturnValue(rect);
+     mgr._hitTest({ clientX: 50, clientY: 50 });
+     expect(div.style.pointerEvents).toBe('auto');
+
+     // Resizing remaps coordinates without redrawing or reading pixels again
+     rectSpy.mockReturnValue({ top: 0, left: 0, bottom: 40, right: 40, width: 40, height: 40 });
+     mgr._hitTest({ clientX: 20, clientY: 20 });
+     expect(layer.layout.boxWidth).toBe(40);
+     expect(div.style.pointerEvents).toBe('auto');
+     expect(getContextSpy).toHaveBeenCalledTimes(decodeCalls);
+
+     jest.restoreAllMocks();
+  });
+
+  test('🤝 elements sharing an image that is still loading all get its bitmap', async () => {
+     // Like a browser image: nothing to decode before it has loaded
+     const LoadingImage = window.Image;
+     window.Image = class extends LoadingImage {
+       constructor() {
+         super();
+         this.naturalWidth = 0;
+         this.naturalHeight = 0;
+         let onload = null;
+         Object.defineProperty(this, 'onload', {
+           get: () => onload && (() => {
+             this.naturalWidth = 10;
+             this.naturalHeight = 10;
+             onload();
+           }),
+           set: callback => { onload = callback; }
+         });
+       }
+     };
+
+     try {
+       const divs = [1, 2].map(() => {
+         const div = document.createElement('div');
+         div.style.backgroundImage = 'url(shared-in-flight.png)';
+         document.body.appendChild(div);
+         mgr.add(div);
+         return div;
+       });
+       const entries = divs.map(div => mgr.registry.get(div));
+       await Promise.all(entries.map(entry => waitForImageLoad(entry)));
+
+       entries.forEach(entry => {
+         expect(entry.layers[0].bitmap).not.toBeNull();
+         expect(entry.layers[0].bitmap.width).toBe(10);
+       });
+       expect(entries[1].layers[0].img).toBe(entries[0].layers[0].img); // One request
+     } finally {
+       window.Image = LoadingImage;
+     }
+  });
+
   test('IntersectionObserver integration works correctly', async () => {
     // Create a manager with IntersectionObserver enabled
     const mgrWithIO = new Manager({ log: false, useIntersectionObserver: true });
@@ -309,4 +378,84 @@ describe('⚙️  Manager Core Functionality', () => {
     jest.restoreAllMocks();
   });
 
+  describe('🎯 Hit radius', () => {
+    // A 100x100 element at (10, 10) whose left half is opaque
+    async function halfOpaqueDiv(opts = {}, attributes = {}) {
+      const div = document.createElement('div');
+      div.style.backgroundImage = 'url(radius.png)';
+      div.style.backgroundSize = '100% 100%';
+      Object.entries(attributes).forEach(([name, value]) => div.setAttribute(name, value));
+      document.body.appendChild(div);
+
+      mgr.add(div, opts);
+      await waitForRegistrySize(mgr, 1);
+      const entry = mgr.registry.get(div);
+      await waitForImageLoad(entry);
+
+      jest.spyOn(div, 'getBoundingClientRect').mockReturnValue({ top: 10, left: 10, bottom: 110, right: 110, width: 100, height: 100 });
+      const data = new Uint8Array(100);
+      for (let y = 0; y < 10; y++) data.fill(255, y * 10, y * 10 + 5);
+      entry.layers[0].bitmap = { width: 10, height: 10, data };
+      return div;
+    }
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('👆 reaches nearby opaque pixels with the radius of the pointer type', async () => {
+      const div = await halfOpaqueDiv({}, { 'data-ame-hit-radius': 'touch: 12; pen: 4' });
+      const overListener = jest.fn();
+      div.addEventListener('alpha-mask-over', overListener);
+
+      // Local (60, 40) is 10px right of the opaque half
+      mgr._hitTest({ clientX: 70, clientY: 50, pointerType: 'mouse' });
+      expect(div.style.pointerEvents).toBe('none');
+      mgr._hitTest({ clientX: 70, clientY: 50, pointerType: 'pen' });
+      expect(div.style.pointerEvents).toBe('none');
+
+      mgr._hitTest({ clientX: 70, clientY: 50, pointerType: 'touch' });
+      expect(div.style.pointerEvents).toBe('auto');
+      const { detail } = overListener.mock.calls[0][0];
+      expect(detail.alpha).toBe(0); // Still the pixel under the pointer
+      // Sampled every pixel: the nearest opaque one is 11px left
+      expect(detail.closest).toEqual({ x: 49, y: 40, distance: 11, coordinates: { x: 4, y: 4 } });
+    });
+
+    test('✏️ a large radius still finds a one-pixel stroke', async () => {
+      const div = await halfOpaqueDiv({ hitRadius: 24 });
+      const entry = mgr.registry.get(div);
+      const data = new Uint8Array(100 * 100);
+      for (let y = 0; y < 100; y++) data[y * 100 + 40] = 255;
+      entry.layers[0].bitmap = { width: 100, height: 100, data };
+      const overListener = jest.fn();
+      div.addEventListener('alpha-mask-over', overListener);
+
+      mgr._hitTest({ clientX: 70, clientY: 50 });
+      expect(div.style.pointerEvents).toBe('auto');
+      expect(overListener.mock.calls[0][0].detail.closest).toMatchObject({ x: 40, y: 40, distance: 20 });
+    });
+
+    test('🧮 can require a share of the pixels within the radius', async () => {
+      const div = await halfOpaqueDiv({ hitRadius: 12, hitFraction: 0.5 });
+
+      mgr._hitTest({ clientX: 60, clientY: 50 }); // Centered on the edge: less than half is opaque
+      expect(div.style.pointerEvents).toBe('none');
+      mgr._hitTest({ clientX: 55, clientY: 50 });
+      expect(div.style.pointerEvents).toBe('auto');
+
+      mgr.registry.get(div).options.hitFraction = 1;
+      mgr._hitTest({ clientX: 55, clientY: 50 });
+      expect(div.style.pointerEvents).toBe('none');
+    });
+
+    test('⚠️ warns about an invalid radius and ignores it', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const div = await halfOpaqueDiv({}, { 'data-ame-hit-radius': 'finger: 20' });
+
+      mgr._hitTest({ clientX: 70, clientY: 50, pointerType: 'touch' });
+      mgr._hitTest({ clientX: 71, clientY: 50, pointerType: 'touch' });
+      expect(div.style.pointerEvents).toBe('none');
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy.mock.calls[0][0]).toContain('Invalid hitRadius');
+    });
+  });
 });
\ No newline at end of file
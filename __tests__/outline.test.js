@@ -0,0 +1,82 @@
+// Tests for tracing mask outlines into clip-path and SVG path data
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+import { traceOutline, simplify } from '../src/outline.js';
+
+// Cells given as rows of '#' (opaque) and '.' (transparent)
+function trace(rows) {
+  return traceOutline((column, row) => rows[row][column] === '#', rows[0].length, rows.length);
+}
+
+describe('✏️ Outlines', () => {
+  describe('🧵 Tracing', () => {
+    test('🔁 outer edges run clockwise and holes counter-clockwise', () => {
+      const [outer, hole] = trace(['###', '#.#', '###']);
+      expect(outer).toEqual([[0, 0], [3, 0], [3, 3], [0, 3]]);
+      expect(hole).toEqual([[2, 1], [1, 1], [1, 2], [2, 2]]);
+    });
+
+    test('↘️ cells touching at a corner stay separate', () => {
+      expect(trace(['#.', '.#'])).toEqual([
+        [[0, 0], [1, 0], [1, 1], [0, 1]],
+        [[1, 1], [2, 1], [2, 2], [1, 2]]
+      ]);
+    });
+
+    test('📉 simplifies staircases within the tolerance', () => {
+      const [stairs] = trace(['#...', '##..', '###.', '####']);
+      expect(stairs).toHaveLength(10);
+      expect(simplify(stairs, 1)).toEqual([[0, 0], [4, 4], [0, 4]]);
+      expect(simplify(stairs, 0)).toBe(stairs);
+    });
+  });
+
+  describe('🖍️ getOutline', () => {
+    let mgr;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      mgr = new Manager({ useIntersectionObserver: false });
+    });
+
+    afterEach(() => {
+      mgr.destroy();
+      jest.restoreAllMocks();
+    });
+
+    // A width x 10 element with a background bitmap stretched over it
+    function register(bitmap, width = 40) {
+      const el = document.createElement('div');
+      el.style.cssText = `width: ${width}px; height: 10px; background-image: url(shape.png); background-size: 100% 100%`;
+      document.body.appendChild(el);
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      entry.imageLoaded = true;
+      Object.assign(entry.layers[0], { loaded: true, bitmap });
+      return el;
+    }
+
+    test('✂️ traces the opaque region as a clip-path polygon or SVG path', () => {
+      const el = register({ width: 2, height: 1, data: new Uint8Array([255, 0]) });
+      expect(mgr.getOutline(el)).toBe('polygon(0px 0px, 20px 0px, 20px 10px, 0px 10px)');
+      expect(mgr.getOutline(el, { format: 'svg-path' })).toBe('M0 0 L20 0 L20 10 L0 10 Z');
+    });
+
+    test('🏝️ separate regions become subpaths of a path() clip', () => {
+      const el = register({ width: 3, height: 1, data: new Uint8Array([255, 0, 255]) }, 30);
+      expect(mgr.getOutline(el)).toBe("path('M0 0 L10 0 L10 10 L0 10 Z M20 0 L30 0 L30 10 L20 10 Z')");
+
+      const empty = register({ width: 1, height: 1, data: new Uint8Array([0]) });
+      expect(mgr.getOutline(empty)).toBe('polygon(0 0)');
+      expect(mgr.getOutline(empty, { format: 'svg-path' })).toBe('');
+    });
+
+    test('🚫 returns null for unregistered elements and unknown formats', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const el = register({ width: 1, height: 1, data: new Uint8Array([255]) });
+      expect(mgr.getOutline(document.createElement('div'))).toBeNull();
+      expect(mgr.getOutline(el, { format: 'polygon' })).toBeNull();
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown outline format'));
+    });
+  });
+});
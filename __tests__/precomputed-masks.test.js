@@ -0,0 +1,186 @@
+// Tests for hit-testing against masks produced by the ame-generate-masks CLI
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+
+// Helper to wait for entry.imageLoaded to be true
+function waitForImageLoad(entry, timeout = 1000) {
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+    (function check() {
+      if (entry && entry.imageLoaded) return resolve();
+      if (Date.now() - start > timeout) return reject(
+        new Error('Timeout waiting for entry.imageLoaded to become true')
+      );
+      setTimeout(check, 20);
+    })();
+  });
+}
+
+const HALF_MASK = { width: 10, height: 10, rects: [{ x: 0, y: 0, w: 5, h: 10 }] };
+
+describe('🗺️  Precomputed Masks', () => {
+  let mgr;
+  let originalImage;
+  let originalGetContext;
+  let getImageData;
+
+  beforeAll(() => {
+    originalImage = window.Image;
+    originalGetContext = HTMLCanvasElement.prototype.getContext;
+
+    // Images report 10x10 natural size once "loaded"
+    window.Image = class MockImage {
+      constructor() {
+        this.onload = null;
+        this.onerror = null;
+        this.naturalWidth = 10;
+        this.naturalHeight = 10;
+        this._src = '';
+        Object.defineProperty(this, 'src', {
+          set(value) {
+            this._src = value;
+            setTimeout(() => this.onload && this.onload(), 0);
+          },
+          get() {
+            return this._src;
+          }
+        });
+      }
+    };
+
+    HTMLCanvasElement.prototype.getContext = function() {
+      return {
+        clearRect: jest.fn(),
+        drawImage: jest.fn(),
+        getImageData
+      };
+    };
+  });
+
+  afterAll(() => {
+    window.Image = originalImage;
+    HTMLCanvasElement.prototype.getContext = originalGetContext;
+  });
+
+  beforeEach(() => {
+    getImageData = jest.fn((x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(255) }));
+    document.body.innerHTML = '';
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    mgr && mgr.detachListeners();
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  function addImage(src, attrs = {}) {
+    const img = document.createElement('img');
+    img.src = src;
+    Object.keys(attrs).forEach(name => img.setAttribute(name, attrs[name]));
+    document.body.appendChild(img);
+    return img;
+  }
+
+  function mockFetchJson(json) {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(json) });
+  }
+
+  test('🧩 uses an inline mask that matches the image src', async () => {
+    mgr = new Manager({ useIntersectionObserver: false, masks: { 'sprites/half.png': HALF_MASK } });
+    const img = addImage('sprites/half.png');
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    await waitForImageLoad(entry);
+
+    expect(entry.layers[0].maskSource).toBe('precomputed');
+    expect(entry.layers[0].bitmap.width).toBe(10);
+    expect(entry.layers[0].bitmap.height).toBe(10);
+    // Rects become opaque pixels without drawing anything
+    expect(entry.layers[0].bitmap.data[4]).toBe(255);
+    expect(entry.layers[0].bitmap.data[5]).toBe(0);
+    expect(entry.layers[0].bitmap.data[95]).toBe(0);
+    expect(getImageData).not.toHaveBeenCalled();
+  });
+
+  test('🔗 matches CLI path keys against absolute image URLs', async () => {
+    mgr = new Manager({ useIntersectionObserver: false, masks: { './sprites/half.png': HALF_MASK } });
+    const img = addImage('https://cdn.example.com/assets/sprites/half.png?v=2');
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    await waitForImageLoad(entry);
+
+    expect(entry.layers[0].maskSource).toBe('precomputed');
+  });
+
+  test('📏 falls back to canvas sampling when mask dimensions do not match', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    mgr = new Manager({
+      useIntersectionObserver: false,
+      masks: { 'big.png': { width: 20, height: 20, rects: [] } }
+    });
+    const img = addImage('big.png');
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    await waitForImageLoad(entry);
+
+    expect(entry.layers[0].maskSource).toBe('canvas');
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('falling back to canvas sampling'));
+  });
+
+  test('🖼️ elements without a mask use canvas sampling', async () => {
+    mgr = new Manager({ useIntersectionObserver: false, masks: { 'other.png': HALF_MASK } });
+    const img = addImage('unmasked.png');
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    await waitForImageLoad(entry);
+
+    expect(entry.layers[0].maskSource).toBe('canvas');
+    expect(getImageData).toHaveBeenCalledWith(0, 0, 10, 10);
+  });
+
+  test('🌐 waits for a masks URL before choosing how to sample', async () => {
+    mockFetchJson({ 'remote.png': HALF_MASK });
+    mgr = new Manager({ useIntersectionObserver: false, masks: '/masks.json' });
+    const img = addImage('remote.png');
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    expect(entry.layers[0].maskSource).toBeNull(); // Still waiting on the fetch
+    await waitForImageLoad(entry);
+
+    expect(global.fetch).toHaveBeenCalledWith(new URL('/masks.json', document.baseURI).href);
+    expect(entry.layers[0].maskSource).toBe('precomputed');
+  });
+
+  test('🏷️ data-ame-mask loads a single-mask JSON file', async () => {
+    mockFetchJson(HALF_MASK);
+    mgr = new Manager({ useIntersectionObserver: false });
+    const img = addImage('https://cdn.example.com/logo.png', { 'data-ame-mask': '/masks/logo.json' });
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    await waitForImageLoad(entry);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(entry.layers[0].maskSource).toBe('precomputed');
+  });
+
+  test('⚠️ a failed masks request still registers the element with canvas sampling', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    global.fetch.mockResolvedValue({ ok: false, status: 404 });
+    mgr = new Manager({ useIntersectionObserver: false, masks: '/missing.json' });
+    const img = addImage('remote.png');
+
+    mgr.add(img);
+    const entry = mgr.registry.get(img);
+    await waitForImageLoad(entry);
+
+    expect(entry.layers[0].maskSource).toBe('canvas');
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('HTTP 404'));
+  });
+});
@@ -0,0 +1,664 @@
+// Tests for following an element's image source as it changes after registration
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+
+describe('🔄 Sources', () => {
+  let mgr;
+  let originalImage;
+  let loading; // Mock images waiting for finishLoading()
+
+  beforeAll(() => {
+    originalImage = window.Image;
+    // Images load when the test says so, reporting a 10x10 natural size
+    window.Image = class MockImage {
+      constructor() {
+        this.onload = null;
+        this.onerror = null;
+        this.naturalWidth = 10;
+        this.naturalHeight = 10;
+        this.src = '';
+        loading.push(this);
+      }
+    };
+  });
+
+  afterAll(() => {
+    window.Image = originalImage;
+  });
+
+  beforeEach(() => {
+    loading = [];
+    document.body.innerHTML = '';
+    mgr = new Manager({ useIntersectionObserver: false });
+  });
+
+  afterEach(() => {
+    mgr.destroy();
+    jest.restoreAllMocks();
+  });
+
+  function finishLoading() {
+    const images = loading;
+    loading = [];
+    images.forEach(image => image.onload && image.onload());
+  }
+
+  // An img whose currentSrc is controlled by the test, like a srcset or <picture> candidate
+  function responsiveImage(currentSrc) {
+    const img = document.createElement('img');
+    img.setAttribute('srcset', 'small.png 1x, large.png 2x');
+    let value = currentSrc;
+    Object.defineProperty(img, 'currentSrc', { get: () => value });
+    document.body.appendChild(img);
+    return { img, switchTo: src => { value = src; } };
+  }
+
+  describe('📱 Responsive images', () => {
+    test('🔀 a candidate switch swaps the mask without unregistering', () => {
+      const { img, switchTo } = responsiveImage('small.png');
+      mgr.add(img);
+      finishLoading();
+      const entry = mgr.registry.get(img);
+      const oldLayer = entry.layers[0];
+      expect(entry.imageLoaded).toBe(true);
+
+      img.style.pointerEvents = 'auto'; // Opaque pixel under the pointer
+      switchTo('large.png');
+      img.dispatchEvent(new window.Event('load'));
+
+      expect(mgr.registry.get(img)).toBe(entry);
+      expect(entry.source).toBe('large.png');
+      expect(entry.layers[0]).toBe(oldLayer); // Old mask stays in use while the new one loads
+      expect(img.style.pointerEvents).toBe('auto');
+
+      finishLoading();
+      expect(entry.layers[0].src).toBe('large.png');
+      expect(entry.layers[0].bitmap.width).toBe(10);
+      expect(entry.pendingLayers).toBeNull();
+      expect(img.style.pointerEvents).toBe('auto');
+    });
+
+    test('🔁 load events for the same source are ignored', () => {
+      const { img } = responsiveImage('small.png');
+      mgr.add(img);
+      finishLoading();
+      const entry = mgr.registry.get(img);
+      const layers = entry.layers;
+
+      img.dispatchEvent(new window.Event('load'));
+      expect(loading).toHaveLength(0);
+      expect(entry.layers).toBe(layers);
+    });
+
+    test('⏩ a newer switch replaces one still loading', () => {
+      const { img, switchTo } = responsiveImage('small.png');
+      mgr.add(img);
+      finishLoading();
+      const entry = mgr.registry.get(img);
+
+      switchTo('medium.png');
+      img.dispatchEvent(new window.Event('load'));
+      const [medium] = loading.splice(0);
+      switchTo('large.png');
+      img.dispatchEvent(new window.Event('load'));
+
+      finishLoading();
+      medium.onload();
+      expect(entry.layers[0].src).toBe('large.png');
+    });
+
+    test('📝 a new src attribute swaps in place too', () => {
+      const img = document.createElement('img');
+      img.src = 'a.png';
+      document.body.appendChild(img);
+      mgr.add(img);
+      finishLoading();
+      const entry = mgr.registry.get(img);
+
+      img.src = 'b.png';
+      mgr.scan(); // Start observing
+      mgr._mutationObserver.callback([{ type: 'attributes', attributeName: 'src', target: img, addedNodes: [], removedNodes: [] }]);
+      finishLoading();
+
+      expect(mgr.registry.get(img)).toBe(entry);
+      expect(entry.layers[0].src).toBe(img.src);
+    });
+
+    test('⏳ an img without a candidate yet registers on its first load, as discovered', () => {
+      const { img, switchTo } = responsiveImage('');
+      Object.defineProperty(img, 'complete', { get: () => false });
+      img.className = 'alpha-mask-events';
+      mgr.scan();
+      expect(mgr.registry.has(img)).toBe(false);
+
+      switchTo('small.png');
+      img.dispatchEvent(new window.Event('load'));
+      expect(mgr.registry.get(img).autoRegistered).toBe(true);
+    });
+
+    test('🚫 removing or destroying before that load cancels it', () => {
+      const { img, switchTo } = responsiveImage('');
+      Object.defineProperty(img, 'complete', { get: () => false });
+      mgr.add(img);
+      mgr.remove(img);
+      switchTo('small.png');
+      img.dispatchEvent(new window.Event('load'));
+      expect(mgr.registry.has(img)).toBe(false);
+
+      switchTo('');
+      mgr.add(img);
+      mgr.destroy();
+      switchTo('small.png');
+      img.dispatchEvent(new window.Event('load'));
+      expect(mgr.registry.has(img)).toBe(false);
+      expect(loading).toHaveLength(0);
+    });
+
+    test('🧹 removing the element stops following its loads', () => {
+      const { img, switchTo } = responsiveImage('small.png');
+      mgr.add(img);
+      finishLoading();
+
+      mgr.remove(img);
+      switchTo('large.png');
+      img.dispatchEvent(new window.Event('load'));
+      expect(loading).toHaveLength(0);
+      expect(mgr.registry.has(img)).toBe(false);
+    });
+  });
+
+  describe('🖋️ Inline SVG', () => {
+    const SVG = 'http://www.w3.org/2000/svg';
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const markupOf = image => decodeURIComponent(image.src.replace('data:image/svg+xml;charset=utf-8,', ''));
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    function inlineSvg(inner) {
+      document.body.insertAdjacentHTML('beforeend', `<svg xmlns="${SVG}" style="width: 24px; height: 12px">${inner}</svg>`);
+      return document.body.lastElementChild;
+    }
+
+    test('🖌️ rasterizes an inline svg at its rendered size', async () => {
+      const svg = inlineSvg('<rect width="12" height="12"/>');
+      mgr.add(svg);
+      const entry = mgr.registry.get(svg);
+      expect(entry.layers.map(layer => layer.kind)).toEqual(['svg']);
+
+      await flush();
+      expect(loading).toHaveLength(1);
+      const markup = markupOf(loading[0]);
+      expect(markup).toContain('viewBox="0 0 24 12"');
+      expect(markup).toContain('width="24"');
+      expect(markup).toContain('height="12"');
+      expect(markup).not.toContain('style="width');
+
+      finishLoading();
+      expect(entry.imageLoaded).toBe(true);
+      expect(entry.layers[0].bitmap.width).toBe(10);
+    });
+
+    test('🧩 copies sprite symbols and same-page references into the mask', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve(`<svg xmlns="${SVG}"><symbol id="icon" viewBox="0 0 10 10"><path d="M0 0h10v10z" fill="url(#shade)"/></symbol><linearGradient id="shade"/></svg>`)
+      });
+      document.body.insertAdjacentHTML('beforeend', `<svg xmlns="${SVG}" width="0" height="0"><circle id="dot" r="2"/></svg>`);
+      const svg = inlineSvg('<use href="icons/sprite.svg#icon"/><use href="#dot"/>');
+
+      mgr.add(svg);
+      await flush();
+      await flush();
+
+      expect(global.fetch).toHaveBeenCalledWith(new URL('icons/sprite.svg', document.baseURI).href);
+      const markup = markupOf(loading[0]);
+      expect(markup).toContain('<use href="#icon"');
+      expect(markup).toContain('<symbol id="icon"');
+      expect(markup).toContain('<linearGradient id="shade"'); // Referenced from inside the symbol
+      expect(markup).toContain('<circle id="dot"');
+    });
+
+    test('🔁 DOM mutations re-rasterize without unregistering', async () => {
+      const svg = inlineSvg('<rect width="12" height="12"/>');
+      mgr.add(svg);
+      await flush();
+      finishLoading();
+      const entry = mgr.registry.get(svg);
+      const oldLayer = entry.layers[0];
+      svg.style.pointerEvents = 'auto';
+
+      // Our own pointer-events writes are ignored
+      entry.svgObserver.callback([{ type: 'attributes', target: svg, attributeName: 'style' }]);
+      await flush();
+      expect(loading).toHaveLength(0);
+
+      const rect = svg.querySelector('rect');
+      rect.setAttribute('width', '24');
+      entry.svgObserver.callback([{ type: 'attributes', target: rect, attributeName: 'width' }]);
+      await flush();
+
+      expect(markupOf(loading[0])).toContain('<rect width="24" height="12"');
+      expect(entry.layers[0]).toBe(oldLayer); // Old bitmap stays in use meanwhile
+      finishLoading();
+
+      expect(mgr.registry.get(svg)).toBe(entry);
+      expect(entry.layers[0]).not.toBe(oldLayer);
+      expect(entry.layers[0].loaded).toBe(true);
+      expect(svg.style.pointerEvents).toBe('auto');
+    });
+
+    test('🏷️ state classes and data-ame-state on the root don\'t re-rasterize', async () => {
+      mgr.destroy();
+      mgr = new Manager({ useIntersectionObserver: false, mode: 'class' });
+      const svg = inlineSvg('<rect width="12" height="12"/>');
+      svg.setAttribute('class', 'icon');
+      mgr.add(svg);
+      await flush();
+      finishLoading();
+      const entry = mgr.registry.get(svg);
+      const refresh = jest.spyOn(mgr, '_refreshSvg');
+
+      const oldValue = svg.getAttribute('class');
+      mgr._setState(entry, 'opaque');
+      expect(svg.getAttribute('class')).toBe('icon ame-opaque');
+      entry.svgObserver.callback([
+        { type: 'attributes', target: svg, attributeName: 'class', oldValue },
+        { type: 'attributes', target: svg, attributeName: 'data-ame-state', oldValue: null }
+      ]);
+      expect(refresh).not.toHaveBeenCalled();
+
+      // Other classes can restyle the drawing
+      svg.classList.add('filled');
+      entry.svgObserver.callback([{ type: 'attributes', target: svg, attributeName: 'class', oldValue: 'icon ame-opaque' }]);
+      expect(refresh).toHaveBeenCalledTimes(1);
+    });
+
+    test('🖍️ only our own pointer-events writes to the root style are ignored', async () => {
+      const svg = inlineSvg('<rect width="12" height="12"/>');
+      mgr.add(svg);
+      await flush();
+      finishLoading();
+      const entry = mgr.registry.get(svg);
+      const refresh = jest.spyOn(mgr, '_refreshSvg');
+      const styleChange = oldValue => ({ type: 'attributes', target: svg, attributeName: 'style', oldValue });
+
+      let oldValue = svg.getAttribute('style');
+      mgr._setState(entry, 'opaque');
+      entry.svgObserver.callback([styleChange(oldValue)]);
+      expect(refresh).not.toHaveBeenCalled();
+
+      // The page restyles the drawing, then we write pointer-events again in the same batch
+      oldValue = svg.getAttribute('style');
+      svg.style.fill = 'red';
+      const restyled = svg.getAttribute('style');
+      mgr._setState(entry, 'transparent');
+      entry.svgObserver.callback([styleChange(oldValue), styleChange(restyled)]);
+      expect(refresh).toHaveBeenCalledTimes(1);
+
+      // A style change of the page alone
+      oldValue = svg.getAttribute('style');
+      svg.style.color = 'blue';
+      entry.svgObserver.callback([styleChange(oldValue)]);
+      expect(refresh).toHaveBeenCalledTimes(2);
+    });
+
+    test('🧹 removing the svg stops watching its DOM', async () => {
+      const svg = inlineSvg('<rect width="12" height="12"/>');
+      mgr.add(svg);
+      const { svgObserver } = mgr.registry.get(svg);
+      const disconnect = jest.spyOn(svgObserver, 'disconnect');
+
+      mgr.remove(svg);
+      expect(disconnect).toHaveBeenCalled();
+    });
+  });
+
+  describe('🎬 Video', () => {
+    let getImageData;
+    let now;
+
+    beforeEach(() => {
+      // Each frame: left half opaque, right half transparent
+      getImageData = jest.fn((x, y, w, h) => {
+        const data = new Uint8ClampedArray(w * h * 4);
+        for (let i = 0; i < w * h; i++) data[i * 4 + 3] = i % w < w / 2 ? 255 : 0;
+        return { data };
+      });
+      jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ clearRect: () => {}, drawImage: () => {}, getImageData });
+      now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    // A 4x2 video with the given readyState; currentTime is writable
+    function video(readyState = 4, attrs = {}) {
+      const el = document.createElement('video');
+      Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+      Object.defineProperties(el, {
+        readyState: { value: readyState, writable: true },
+        videoWidth: { value: 4 },
+        videoHeight: { value: 2 },
+        currentTime: { value: 0, writable: true }
+      });
+      document.body.appendChild(el);
+      return el;
+    }
+
+    const BOX = { top: 0, left: 0, right: 4, bottom: 2, width: 4, height: 2 };
+
+    test('🎞️ samples the current frame as soon as the video has data', () => {
+      const el = video();
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+
+      expect(entry.layers.map(layer => layer.kind)).toEqual(['video']);
+      expect(entry.imageLoaded).toBe(true);
+      expect(entry.layers[0].bitmap.width).toBe(4);
+      expect(mgr._sampleAlpha(entry, 0.5, 1, BOX).alpha).toBe(1);
+      expect(mgr._sampleAlpha(entry, 3.5, 1, BOX).alpha).toBe(0);
+    });
+
+    test('⏳ waits for loadeddata before the first sample', () => {
+      const el = video(0);
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      expect(entry.imageLoaded).toBe(false);
+
+      el.readyState = 2;
+      el.dispatchEvent(new window.Event('loadeddata'));
+      expect(entry.imageLoaded).toBe(true);
+      expect(getImageData).toHaveBeenCalledTimes(1);
+    });
+
+    test('⏱️ resamples new frames on demand, at most videoSampleRate times per second', () => {
+      const el = video(4, { 'data-ame-video-sample-rate': '10' });
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      const sample = () => mgr._sampleAlpha(entry, 0.5, 1, BOX);
+
+      sample();
+      expect(getImageData).toHaveBeenCalledTimes(1); // Same frame
+      el.currentTime = 0.04;
+      now += 50;
+      sample();
+      expect(getImageData).toHaveBeenCalledTimes(1); // Too soon for 10 samples/s
+      now += 50;
+      sample();
+      expect(getImageData).toHaveBeenCalledTimes(2);
+    });
+
+    test('📽️ follows presented frames and re-runs the last hit-test', () => {
+      const callbacks = [];
+      const el = video();
+      let handle = 0;
+      el.requestVideoFrameCallback = jest.fn(callback => {
+        callbacks.push(callback);
+        return ++handle;
+      });
+      el.cancelVideoFrameCallback = jest.fn();
+      mgr.add(el);
+      const rerun = jest.spyOn(mgr, '_onPointerEvent').mockImplementation(() => {});
+      mgr._lastEvent = { clientX: 1, clientY: 1 };
+
+      el.currentTime = 0.5;
+      now += 100;
+      callbacks.shift()();
+      expect(getImageData).toHaveBeenCalledTimes(2);
+      expect(rerun).toHaveBeenCalledWith(mgr._lastEvent);
+      expect(callbacks).toHaveLength(1); // Keeps watching
+
+      mgr.remove(el);
+      expect(el.cancelVideoFrameCallback).toHaveBeenCalledWith(2);
+    });
+
+    test('🔒 a tainted video falls back without retrying', () => {
+      getImageData.mockImplementation(() => {
+        throw new Error('SecurityError');
+      });
+      const el = video();
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+
+      expect(entry.imageLoaded).toBe(true);
+      expect(entry.layers[0].tainted).toBe(true);
+      el.currentTime = 1;
+      now += 1000;
+      mgr._sampleAlpha(entry, 0.5, 1, BOX);
+      expect(getImageData).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('🎨 Canvas', () => {
+    let getImageData;
+    let contextOwners;
+    let opaqueSide;
+    let now;
+
+    beforeEach(() => {
+      // Whatever is "drawn": one half opaque, the other transparent
+      opaqueSide = 'left';
+      getImageData = jest.fn((x, y, w, h) => {
+        const data = new Uint8ClampedArray(w * h * 4);
+        for (let i = 0; i < w * h; i++) {
+          const left = i % w < w / 2;
+          data[i * 4 + 3] = left === (opaqueSide === 'left') ? 255 : 0;
+        }
+        return { data };
+      });
+      contextOwners = [];
+      jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function () {
+        contextOwners.push(this);
+        return { clearRect: () => {}, drawImage: () => {}, getImageData };
+      });
+      now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    function canvas(attrs = {}) {
+      const el = document.createElement('canvas');
+      el.width = 4;
+      el.height = 2;
+      Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+      document.body.appendChild(el);
+      return el;
+    }
+
+    const BOX = { top: 0, left: 0, right: 4, bottom: 2, width: 4, height: 2 };
+
+    test('🖌️ samples what is drawn without touching the canvas context', () => {
+      const el = canvas();
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+
+      expect(entry.layers.map(layer => layer.kind)).toEqual(['canvas']);
+      expect(entry.imageLoaded).toBe(true);
+      expect(mgr._sampleAlpha(entry, 0.5, 1, BOX).alpha).toBe(1);
+      expect(mgr._sampleAlpha(entry, 3.5, 1, BOX).alpha).toBe(0);
+      expect(contextOwners).not.toContain(el);
+    });
+
+    test('♻️ invalidate() resamples on the next hit-test and re-runs the last one', () => {
+      const el = canvas();
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      const rerun = jest.spyOn(mgr, '_onPointerEvent').mockImplementation(() => {});
+      mgr._lastEvent = { clientX: 3, clientY: 1 };
+
+      opaqueSide = 'right';
+      now += 60000;
+      expect(mgr._sampleAlpha(entry, 3.5, 1, BOX).alpha).toBe(0); // Not resampled by default
+
+      mgr.invalidate(el);
+      expect(rerun).toHaveBeenCalledWith(mgr._lastEvent);
+      expect(getImageData).toHaveBeenCalledTimes(1); // Lazily, when hit-tested
+      expect(mgr._sampleAlpha(entry, 3.5, 1, BOX).alpha).toBe(1);
+      expect(mgr._sampleAlpha(entry, 0.5, 1, BOX).alpha).toBe(0);
+      expect(getImageData).toHaveBeenCalledTimes(2);
+    });
+
+    test('⏱️ resamples on its own every canvasSampleRate', () => {
+      const el = canvas({ 'data-ame-canvas-sample-rate': '10' });
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      const sample = () => mgr._sampleAlpha(entry, 3.5, 1, BOX);
+
+      opaqueSide = 'right';
+      now += 50;
+      expect(sample().alpha).toBe(0); // Too soon for 10 samples/s
+      now += 50;
+      expect(sample().alpha).toBe(1);
+    });
+
+    test('🧍 resamples on a timer under a still pointer and stops once removed', () => {
+      const timers = [];
+      jest.spyOn(window, 'setTimeout').mockImplementation((callback, delay) => timers.push({ callback, delay }));
+      const clearSpy = jest.spyOn(window, 'clearTimeout');
+      const el = canvas({ 'data-ame-canvas-sample-rate': '10' });
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      const rerun = jest.spyOn(mgr, '_onPointerEvent').mockImplementation(() => {});
+      mgr._lastEvent = { clientX: 3, clientY: 1 };
+      expect(timers).toEqual([{ callback: expect.any(Function), delay: 100 }]);
+
+      // Drawn by someone else; the pointer doesn't move
+      opaqueSide = 'right';
+      now += 100;
+      timers.shift().callback();
+      expect(getImageData).toHaveBeenCalledTimes(2);
+      expect(rerun).toHaveBeenCalledWith(mgr._lastEvent);
+      expect(mgr._sampleAlpha(entry, 3.5, 1, BOX).alpha).toBe(1);
+      expect(timers).toHaveLength(1);
+
+      const [next] = timers;
+      mgr.remove(el);
+      expect(clearSpy).toHaveBeenCalledWith(entry.layers[0].sampleTimer);
+      next.callback();
+      expect(getImageData).toHaveBeenCalledTimes(2);
+    });
+
+    test('📐 follows object-fit when the canvas is resized', () => {
+      const el = canvas();
+      mgr.add(el);
+      const entry = mgr.registry.get(el);
+      jest.spyOn(window, 'getComputedStyle').mockReturnValue({ objectFit: 'contain', objectPosition: '0 0' });
+
+      el.width = 2; // Now 2x2, contained in the left half of the 4x2 box
+      mgr.invalidate(el);
+      expect(mgr._sampleAlpha(entry, 0.5, 1, BOX).alpha).toBe(1);
+      expect(mgr._sampleAlpha(entry, 2.5, 1, BOX).alpha).toBe(0); // Outside the drawn area
+    });
+  });
+
+  describe('🎞️ Animated images', () => {
+    let drawn; // Last thing drawn into a canvas
+    let now;
+    let track;
+
+    // Two 10x10 frames of 100ms: the left half, then the right half opaque
+    const FRAMES = [{ side: 'left' }, { side: 'right' }];
+
+    beforeEach(() => {
+      drawn = null;
+      jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+        clearRect: () => {},
+        drawImage: image => { drawn = image; },
+        getImageData: (x, y, w, h) => {
+          const side = drawn.side || 'left'; // The <img> itself shows the first frame
+          const data = new Uint8ClampedArray(w * h * 4);
+          for (let i = 0; i < w * h; i++) data[i * 4 + 3] = (i % w < w / 2) === (side === 'left') ? 255 : 0;
+          return { data };
+        }
+      });
+      now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+      track = { animated: true, frameCount: 2, repetitionCount: Infinity };
+      window.ImageDecoder = class MockImageDecoder {
+        static isTypeSupported() {
+          return Promise.resolve(true);
+        }
+        constructor() {
+          this.tracks = { ready: Promise.resolve(), selectedTrack: track };
+          this.completed = Promise.resolve();
+        }
+        decode({ frameIndex }) {
+          const image = { ...FRAMES[frameIndex], displayWidth: 10, displayHeight: 10, duration: 100000, close: () => {} };
+          return Promise.resolve({ image });
+        }
+        close() {}
+      };
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, headers: { get: () => 'image/gif' }, body: {} });
+    });
+
+    afterEach(() => {
+      delete window.ImageDecoder;
+      delete global.fetch;
+    });
+
+    async function animatedImage(src, attrs = {}) {
+      const img = document.createElement('img');
+      img.src = src;
+      Object.keys(attrs).forEach(name => img.setAttribute(name, attrs[name]));
+      document.body.appendChild(img);
+      mgr.add(img);
+      finishLoading();
+      for (let i = 0; i < 50; i++) await Promise.resolve(); // Let decoding finish
+      return mgr.registry.get(img);
+    }
+
+    const BOX = { top: 0, left: 0, right: 10, bottom: 10, width: 10, height: 10 };
+
+    test('🧬 hit-tests against the union of all frames by default', async () => {
+      const entry = await animatedImage('union.gif');
+
+      expect(global.fetch).toHaveBeenCalledWith(entry.layers[0].src);
+      expect(entry.layers[0].animation.frameCount).toBe(2);
+      expect(mgr._sampleAlpha(entry, 2, 5, BOX).alpha).toBe(1);
+      expect(mgr._sampleAlpha(entry, 8, 5, BOX).alpha).toBe(1);
+    });
+
+    test('⏯️ frames mode follows playback and re-runs the last hit-test', async () => {
+      const timers = [];
+      jest.spyOn(window, 'setTimeout').mockImplementation((callback, delay) => timers.push({ callback, delay }));
+      const entry = await animatedImage('frames.gif', { 'data-ame-animation': 'frames' });
+      const rerun = jest.spyOn(mgr, '_onPointerEvent').mockImplementation(() => {});
+      mgr._lastEvent = { clientX: 8, clientY: 5 };
+
+      expect(mgr._sampleAlpha(entry, 2, 5, BOX).alpha).toBe(1);
+      expect(mgr._sampleAlpha(entry, 8, 5, BOX).alpha).toBe(0);
+      expect(timers[timers.length - 1].delay).toBe(100);
+
+      now += 100;
+      timers.pop().callback();
+      expect(rerun).toHaveBeenCalledWith(mgr._lastEvent);
+      expect(mgr._sampleAlpha(entry, 2, 5, BOX).alpha).toBe(0);
+      expect(mgr._sampleAlpha(entry, 8, 5, BOX).alpha).toBe(1);
+
+      now += 100; // Loops back to the first frame
+      expect(mgr._sampleAlpha(entry, 2, 5, BOX).alpha).toBe(1);
+    });
+
+    test('🔚 a finite animation stays on its last frame', async () => {
+      track.repetitionCount = 0;
+      const entry = await animatedImage('once.gif', { 'data-ame-animation': 'frames' });
+
+      now += 1000;
+      expect(mgr._sampleAlpha(entry, 2, 5, BOX).alpha).toBe(0);
+      expect(mgr._sampleAlpha(entry, 8, 5, BOX).alpha).toBe(1);
+    });
+
+    test('🖼️ still images and browsers without ImageDecoder keep the single frame', async () => {
+      track.animated = false;
+      const still = await animatedImage('still.png');
+      expect(still.layers[0].animation).toBeUndefined();
+      expect(mgr._sampleAlpha(still, 8, 5, BOX).alpha).toBe(0);
+
+      delete window.ImageDecoder;
+      global.fetch.mockClear();
+      await animatedImage('unsupported.gif');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
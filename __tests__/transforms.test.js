@@ -0,0 +1,154 @@
+// Tests for mapping viewport points into transformed elements
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Manager from '../src/manager.js';
+import {
+  IDENTITY, multiply, perspective, parseMatrix, parseTranslate, parseRotate, parseScale, unproject, isBackFacing
+} from '../src/transforms.js';
+
+// Apply a matrix to a local point of the z = 0 plane
+function project(m, x, y) {
+  const w = m[12] * x + m[13] * y + m[15];
+  return { x: (m[0] * x + m[1] * y + m[3]) / w, y: (m[4] * x + m[5] * y + m[7]) / w };
+}
+
+describe('🌀 Transforms', () => {
+  describe('🧮 Matrices', () => {
+    test('📝 parses computed transforms and the individual properties', () => {
+      expect(project(parseMatrix('matrix(1, 0, 0, 1, 10, 20)'), 1, 2)).toEqual({ x: 11, y: 22 });
+      expect(project(parseMatrix('matrix3d(2, 0, 0, 0, 0, 3, 0, 0, 0, 0, 1, 0, 5, 6, 0, 1)'), 1, 1)).toEqual({ x: 7, y: 9 });
+      expect(parseMatrix('none')).toBe(IDENTITY);
+      expect(parseMatrix('rotate(45deg)')).toBeNull();
+
+      const rotated = project(parseRotate('90deg'), 1, 0);
+      expect(rotated.x).toBeCloseTo(0);
+      expect(rotated.y).toBeCloseTo(1);
+      expect(project(parseRotate('y 0.5turn'), 3, 1).x).toBeCloseTo(-3);
+      expect(project(parseScale('2 3'), 1, 1)).toEqual({ x: 2, y: 3 });
+      expect(project(parseTranslate('50% 10px', 40, 10), 0, 0)).toEqual({ x: 20, y: 10 });
+    });
+
+    test('🔭 unprojects screen points through perspective', () => {
+      const m = multiply(perspective(200), parseRotate('y 50deg'));
+      const screen = project(m, 30, 20);
+      const local = unproject(m, screen.x, screen.y);
+      expect(local.x).toBeCloseTo(30);
+      expect(local.y).toBeCloseTo(20);
+
+      expect(unproject(parseRotate('y 90deg'), 0, 0)).toBeNull(); // Seen edge-on
+    });
+
+    test('🃏 back faces come from flips, not 2D mirroring', () => {
+      expect(isBackFacing(parseRotate('y 180deg'))).toBe(true);
+      expect(isBackFacing(multiply(perspective(100), parseRotate('x 120deg')))).toBe(true);
+      expect(isBackFacing(parseScale('-1 1'))).toBe(false);
+      expect(isBackFacing(IDENTITY)).toBe(false);
+    });
+  });
+
+  describe('🗺️ Pointer mapping', () => {
+    let mgr;
+    let overrides;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      mgr = new Manager({ useIntersectionObserver: false });
+      overrides = new Map();
+      const getComputedStyle = window.getComputedStyle.bind(window);
+      jest.spyOn(window, 'getComputedStyle').mockImplementation(target => {
+        const style = getComputedStyle(target);
+        const values = overrides.get(target);
+        return values ? new Proxy(style, { get: (s, key) => key in values ? values[key] : s[key] }) : style;
+      });
+    });
+
+    afterEach(() => {
+      mgr.destroy();
+      jest.restoreAllMocks();
+    });
+
+    // A border-box sized element laid out at an offset inside its parent (jsdom has no layout)
+    function box(parent, { left = 0, top = 0, width = 40, height = 10, ...style } = {}) {
+      const el = document.createElement('div');
+      parent.appendChild(el);
+      Object.defineProperties(el, {
+        offsetParent: { value: parent },
+        offsetLeft: { value: left },
+        offsetTop: { value: top }
+      });
+      overrides.set(el, { width: `${width}px`, height: `${height}px`, boxSizing: 'border-box', ...style });
+      return el;
+    }
+
+    const map = (el, x, y) => mgr._mapPointerToLocal(x, y, el, el.getBoundingClientRect());
+
+    test('📍 leaves untransformed elements to their bounding rect', () => {
+      const el = box(document.body);
+      el.getBoundingClientRect = () => ({ left: 100, top: 50, width: 40, height: 10 });
+      expect(map(el, 110, 55)).toEqual({ x: 10, y: 5, width: 40, height: 10 });
+    });
+
+    test('🔄 rotates about transform-origin instead of the bounding rect center', () => {
+      const el = box(document.body, { left: 100, top: 50, transform: 'matrix(0, 1, -1, 0, 0, 0)', transformOrigin: '0px 0px' });
+      // (x, y) is drawn at (100 - y, 50 + x)
+      expect(map(el, 95, 60)).toEqual({ x: 10, y: 5, width: 40, height: 10 });
+    });
+
+    test('📦 points of the bounding box outside the rotated element miss it', () => {
+      const el = box(document.body, { left: 100, top: 50, rotate: '45deg', transformOrigin: '0px 0px' });
+      expect(map(el, 93, 51)).toBeNull(); // Inside the axis-aligned box, left of the element
+      const inside = map(el, 100 + 15 * Math.SQRT1_2, 50 + 25 * Math.SQRT1_2); // Local (20, 5)
+      expect(inside.x).toBeCloseTo(20);
+      expect(inside.y).toBeCloseTo(5);
+    });
+
+    test('🪆 composes ancestor transforms with individual properties', () => {
+      const parent = box(document.body, { width: 100, height: 100, scale: '2', transformOrigin: '0px 0px' });
+      const el = box(parent, { left: 10, rotate: '90deg', transformOrigin: '0px 0px' });
+      // (x, y) is drawn at (2 * (10 - y), 2 * x)
+      const local = map(el, 10, 20);
+      expect(local.x).toBeCloseTo(10);
+      expect(local.y).toBeCloseTo(5);
+    });
+
+    test('🗃️ keeps a registered element\'s mapping until it moves or a style above it changes', () => {
+      const parent = box(document.body, { width: 100, height: 100, scale: '2', transformOrigin: '0px 0px' });
+      const el = box(parent, { left: 10 });
+      let rect = { left: 20, top: 0, right: 100, bottom: 20, width: 80, height: 20 };
+      const entry = { el, layers: [], pointerMapper: null };
+      mgr.registry.set(el, entry);
+      mgr.scan();
+      const styleReads = () => window.getComputedStyle.mock.calls.length;
+
+      // (x, y) is drawn at (2 * (10 + x), 2 * y)
+      expect(mgr._entryMapper(entry, rect)(40, 10)).toMatchObject({ x: 10, y: 5 });
+      const reads = styleReads();
+      expect(mgr._entryMapper(entry, rect)(40, 10)).toMatchObject({ x: 10, y: 5 });
+      expect(styleReads()).toBe(reads);
+
+      overrides.get(parent).scale = '4';
+      mgr._mutationObserver.callback([{ type: 'attributes', target: parent, attributeName: 'style', addedNodes: [], removedNodes: [] }]);
+      expect(mgr._entryMapper(entry, rect)(80, 20)).toMatchObject({ x: 10, y: 5 });
+
+      const rereads = styleReads();
+      rect = { ...rect, left: 40, right: 120 };
+      mgr._entryMapper(entry, rect);
+      expect(styleReads()).toBeGreaterThan(rereads);
+    });
+
+    test('🃏 follows a parent perspective and hides flipped back faces', () => {
+      const card = box(document.body, { perspective: '100px', perspectiveOrigin: '20px 5px' });
+      const face = box(card, { rotate: 'x 60deg', transformOrigin: '20px 5px' });
+
+      // Local (30, 10): 5px below the origin turns to 2.5px down and sin(60deg) * 5px towards the viewer
+      const w = 1 - (Math.sin(Math.PI / 3) * 5) / 100;
+      const local = map(face, 20 + 10 / w, 5 + 2.5 / w);
+      expect(local.x).toBeCloseTo(30);
+      expect(local.y).toBeCloseTo(10);
+
+      const back = box(card, { rotate: 'y 180deg', transformOrigin: '20px 5px' });
+      expect(map(back, 30, 5).x).toBeCloseTo(10); // Mirrored
+      overrides.get(back).backfaceVisibility = 'hidden';
+      expect(map(back, 30, 5)).toBeNull();
+    });
+  });
+});
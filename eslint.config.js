@@ -18,10 +18,13 @@ export default [
         MutationObserver: 'readonly',
         // DOM API globals
         HTMLElement: 'readonly',
+        Element: 'readonly',
         CustomEvent: 'readonly',
         Node: 'readonly',
         IntersectionObserver: 'readonly',
-        Image: 'readonly'
+        Image: 'readonly',
+        fetch: 'readonly',
+        URL: 'readonly'
       }
     },
     rules: {
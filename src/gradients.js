@@ -0,0 +1,455 @@
+/**
+ * CSS gradient support for hit-testing.
+ *
+ * Gradients have no pixels to decode, so their alpha is evaluated directly from the
+ * gradient geometry and color stops at the sampled point, at whatever size the
+ * background tile is drawn.
+ */
+
+/**
+ * Matches `linear-gradient(...)`, `repeating-radial-gradient(...)`, etc. (and -webkit- prefixes)
+ */
+const GRADIENT_PATTERN = /^(?:-webkit-)?(repeating-)?(linear|radial|conic)-gradient\(([\s\S]*)\)$/i;
+
+/**
+ * First tokens that start a gradient's geometry argument rather than a color stop
+ */
+const GEOMETRY_KEYWORDS = ['to', 'from', 'at', 'circle', 'ellipse', 'closest-side', 'closest-corner', 'farthest-side', 'farthest-corner'];
+
+/**
+ * Numeric CSS value with an optional unit, e.g. `45deg`, `10%`, `-3px`
+ */
+const NUMERIC_PATTERN = /^-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?([a-z%]*)$/i;
+
+/**
+ * Degrees per angle unit
+ */
+const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+/**
+ * Split a CSS value on a separator, ignoring separators inside parentheses or quotes.
+ *
+ * @param {string} value - CSS value, e.g. a background-image list
+ * @param {string} [separator=','] - ',' for lists, ' ' for whitespace-separated tokens
+ * @returns {Array<string>} Trimmed, non-empty parts
+ */
+export function splitTopLevel(value, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Read the alpha channel of a CSS color.
+ * Covers `transparent`, hex with alpha, comma and slash syntaxes of the color functions;
+ * anything else (named colors, currentcolor) counts as opaque.
+ *
+ * @param {string} color - CSS color
+ * @returns {number} Alpha 0-1
+ */
+export function parseColorAlpha(color) {
+  const value = color.trim().toLowerCase();
+  if (value === 'transparent') return 0;
+
+  if (value.startsWith('#')) {
+    const hex = value.slice(1);
+    if (hex.length === 4) return parseInt(hex[3] + hex[3], 16) / 255;
+    if (hex.length === 8) return parseInt(hex.slice(6), 16) / 255;
+    return 1;
+  }
+
+  const open = value.indexOf('(');
+  if (open === -1 || !value.endsWith(')')) return 1;
+
+  const args = value.slice(open + 1, -1);
+  let alpha;
+  if (args.includes('/')) {
+    alpha = args.slice(args.lastIndexOf('/') + 1).trim();
+  } else {
+    const parts = args.split(',');
+    alpha = parts.length === 4 ? parts[3].trim() : null;
+  }
+  if (!alpha || alpha === 'none') return 1;
+
+  const number = parseFloat(alpha);
+  if (isNaN(number)) return 1;
+  return Math.max(0, Math.min(1, alpha.endsWith('%') ? number / 100 : number));
+}
+
+/**
+ * Read the luminance of a CSS color, premultiplied by its alpha, as used by
+ * `mask-mode: luminance`. Covers hex and rgb()/rgba() (the form computed colors take),
+ * plus black, white and transparent; other colors count as white.
+ *
+ * @param {string} color - CSS color
+ * @returns {number} Luminance 0-1
+ */
+export function parseColorLuminance(color) {
+  const value = color.trim().toLowerCase();
+  const alpha = parseColorAlpha(value);
+  let rgb = [255, 255, 255];
+
+  if (value === 'black') {
+    rgb = [0, 0, 0];
+  } else if (value.startsWith('#')) {
+    const hex = value.slice(1);
+    const short = hex.length === 3 || hex.length === 4;
+    rgb = [0, 1, 2].map(i => parseInt(short ? hex[i] + hex[i] : hex.slice(i * 2, i * 2 + 2), 16));
+  } else if (/^rgba?\(/.test(value)) {
+    const channels = value.slice(value.indexOf('(') + 1, -1).split(/[\s,/]+/).filter(Boolean).slice(0, 3);
+    rgb = channels.map(channel => channel.endsWith('%') ? parseFloat(channel) * 2.55 : parseFloat(channel));
+  }
+  if (rgb.some(channel => isNaN(channel))) return alpha;
+
+  const [r, g, b] = rgb;
+  return Math.max(0, Math.min(1, (0.2125 * r + 0.7154 * g + 0.0721 * b) / 255)) * alpha;
+}
+
+/**
+ * Convert a CSS angle to degrees.
+ *
+ * @param {string} value - e.g. `45deg`, `0.25turn`, `0`
+ * @returns {number|null} Degrees, or null if the value isn't an angle
+ */
+function parseAngle(value) {
+  const match = NUMERIC_PATTERN.exec(value);
+  if (!match) return null;
+  const unit = match[1].toLowerCase();
+  if (unit === '') return parseFloat(value) === 0 ? 0 : null;
+  return unit in ANGLE_UNITS ? parseFloat(value) * ANGLE_UNITS[unit] : null;
+}
+
+/**
+ * Parse a gradient image value.
+ *
+ * @param {string} value - Computed background-image layer, e.g. `radial-gradient(circle, red, transparent)`
+ * @returns {Object|null} `{ type, repeating, geometry, stops }`, or null if `value` is not a gradient
+ */
+export function parseGradient(value) {
+  const match = GRADIENT_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const type = match[2].toLowerCase();
+  const args = splitTopLevel(match[3]);
+  const first = splitTopLevel(args[0] || '', ' ');
+  const hasGeometry = first.length > 0
+    && (GEOMETRY_KEYWORDS.includes(first[0].toLowerCase()) || NUMERIC_PATTERN.test(first[0]));
+  const geometryTokens = hasGeometry ? first.map(token => token.toLowerCase()) : [];
+
+  let geometry;
+  if (type === 'linear') {
+    geometry = parseLinearGeometry(geometryTokens);
+  } else if (type === 'radial') {
+    geometry = parseRadialGeometry(geometryTokens);
+  } else {
+    geometry = parseConicGeometry(geometryTokens);
+  }
+
+  const stops = parseStops(hasGeometry ? args.slice(1) : args);
+  if (stops.length === 0) return null;
+
+  return { type, repeating: !!match[1], geometry, stops };
+}
+
+/**
+ * @param {Array<string>} tokens - Geometry tokens, e.g. ['to', 'top', 'right'] or ['45deg']
+ * @returns {Object} `{ angle }` in degrees, or `{ to: { x, y } }` with -1/0/1 per axis
+ */
+function parseLinearGeometry(tokens) {
+  if (tokens[0] === 'to') {
+    const sides = tokens.slice(1);
+    return {
+      to: {
+        x: sides.includes('right') ? 1 : sides.includes('left') ? -1 : 0,
+        y: sides.includes('bottom') ? 1 : sides.includes('top') ? -1 : 0
+      }
+    };
+  }
+  const angle = tokens.length ? parseAngle(tokens[0]) : null;
+  return { angle: angle === null ? 180 : angle }; // Default: to bottom
+}
+
+/**
+ * @param {Array<string>} tokens - Geometry tokens, e.g. ['circle', 'closest-side', 'at', 'left', 'top']
+ * @returns {Object} `{ shape, size, explicit, position }`
+ */
+function parseRadialGeometry(tokens) {
+  const at = tokens.indexOf('at');
+  const head = at === -1 ? tokens : tokens.slice(0, at);
+  const position = at === -1 ? [] : tokens.slice(at + 1);
+
+  const explicit = head.filter(token => NUMERIC_PATTERN.test(token));
+  const keyword = head.find(token => token.startsWith('closest-') || token.startsWith('farthest-'));
+  let shape = head.includes('circle') ? 'circle' : head.includes('ellipse') ? 'ellipse' : null;
+  if (!shape) {
+    shape = explicit.length === 1 ? 'circle' : 'ellipse';
+  }
+
+  return { shape, size: keyword || 'farthest-corner', explicit, position };
+}
+
+/**
+ * @param {Array<string>} tokens - Geometry tokens, e.g. ['from', '90deg', 'at', '25%', '50%']
+ * @returns {Object} `{ from, position }` with `from` in degrees
+ */
+function parseConicGeometry(tokens) {
+  const at = tokens.indexOf('at');
+  const fromIndex = tokens.indexOf('from');
+  const from = fromIndex === -1 ? 0 : parseAngle(tokens[fromIndex + 1] || '') || 0;
+  return { from, position: at === -1 ? [] : tokens.slice(at + 1) };
+}
+
+/**
+ * Parse color stops into `{ alpha, positions }`, where positions are raw CSS values.
+ * Color hints (a lone position between stops) are skipped, so alpha changes linearly between stops.
+ *
+ * @param {Array<string>} args - Gradient arguments after the geometry
+ * @returns {Array<Object>}
+ */
+function parseStops(args) {
+  const stops = [];
+  args.forEach(arg => {
+    const tokens = splitTopLevel(arg, ' ');
+    const positions = tokens.filter(token => NUMERIC_PATTERN.test(token) || token.startsWith('calc('));
+    const color = tokens.filter(token => !positions.includes(token)).join(' ');
+    if (!color) return; // Color hint
+    stops.push({ alpha: parseColorAlpha(color), luminance: parseColorLuminance(color), positions });
+  });
+  return stops;
+}
+
+/**
+ * Convert a stop position to a fraction of the gradient length.
+ *
+ * @param {string} value - e.g. `25%`, `10px`, `90deg`
+ * @param {number} length - Gradient line length in px (degrees for conic gradients)
+ * @param {boolean} angular - Whether positions are angles (conic gradients)
+ * @returns {number|null} Offset, or null if it can't be resolved
+ */
+function resolveStopPosition(value, length, angular) {
+  const match = NUMERIC_PATTERN.exec(value);
+  if (!match) return null;
+  const unit = match[1].toLowerCase();
+  if (unit === '%') return parseFloat(value) / 100;
+  if (angular) {
+    const degrees = parseAngle(value);
+    return degrees === null ? null : degrees / 360;
+  }
+  if (unit === 'px' || (unit === '' && parseFloat(value) === 0)) {
+    return length > 0 ? parseFloat(value) / length : 0;
+  }
+  return null;
+}
+
+/**
+ * Place every stop along the gradient line following the CSS rules: missing first/last
+ * positions are 0 and 1, positions never go backwards, and unpositioned stops are spread
+ * evenly between their positioned neighbours.
+ *
+ * @param {Array<Object>} stops - Parsed stops
+ * @param {number} length - Gradient line length
+ * @param {boolean} angular - Whether positions are angles
+ * @returns {Array<Object>} `{ offset, alpha, luminance }` sorted by offset
+ */
+function resolveStops(stops, length, angular) {
+  const resolved = [];
+  stops.forEach(({ alpha, luminance, positions }) => {
+    if (positions.length === 0) {
+      resolved.push({ offset: null, alpha, luminance });
+    } else {
+      positions.forEach(position => resolved.push({ offset: resolveStopPosition(position, length, angular), alpha, luminance }));
+    }
+  });
+
+  if (resolved[0].offset === null) resolved[0].offset = 0;
+  if (resolved[resolved.length - 1].offset === null) resolved[resolved.length - 1].offset = 1;
+
+  let max = -Infinity;
+  resolved.forEach(stop => {
+    if (stop.offset !== null) {
+      stop.offset = Math.max(stop.offset, max);
+      max = stop.offset;
+    }
+  });
+
+  for (let i = 1; i < resolved.length; i++) {
+    if (resolved[i].offset !== null) continue;
+    let next = i;
+    while (resolved[next].offset === null) next++;
+    const start = resolved[i - 1].offset;
+    const step = (resolved[next].offset - start) / (next - i + 1);
+    for (let j = i; j < next; j++) {
+      resolved[j].offset = start + step * (j - i + 1);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolve a `<position>` (as in `at left 20%`) inside a box.
+ *
+ * @param {Array<string>} tokens - Position tokens, empty for center
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {Object} `{ x, y }` in px
+ */
+function resolvePosition(tokens, width, height) {
+  const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+  let [horizontal = 'center', vertical = 'center'] = tokens;
+  if (horizontal === 'top' || horizontal === 'bottom' || (vertical === 'left' || vertical === 'right')) {
+    [horizontal, vertical] = [vertical, horizontal];
+  }
+
+  const resolve = (token, size) => {
+    if (token in keywords) return keywords[token] * size;
+    if (token.endsWith('%')) return (parseFloat(token) / 100) * size;
+    return parseFloat(token) || 0;
+  };
+  return { x: resolve(horizontal, width), y: resolve(vertical, height) };
+}
+
+/**
+ * Resolve a radial gradient's ending shape radii.
+ *
+ * @param {Object} geometry - Parsed radial geometry
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} width - Tile width
+ * @param {number} height - Tile height
+ * @returns {Object} `{ rx, ry }`
+ */
+function radialRadii(geometry, cx, cy, width, height) {
+  const { shape, size, explicit } = geometry;
+  const toPx = (token, reference) => token.endsWith('%') ? (parseFloat(token) / 100) * reference : parseFloat(token) || 0;
+
+  if (explicit.length > 0) {
+    const rx = toPx(explicit[0], width);
+    return { rx, ry: shape === 'circle' ? rx : toPx(explicit[1] || explicit[0], height) };
+  }
+
+  const sidesX = [Math.abs(cx), Math.abs(width - cx)];
+  const sidesY = [Math.abs(cy), Math.abs(height - cy)];
+  const closest = size.startsWith('closest-');
+  const pick = values => closest ? Math.min(...values) : Math.max(...values);
+
+  if (shape === 'circle') {
+    if (size.endsWith('-side')) {
+      const r = pick([...sidesX, ...sidesY]);
+      return { rx: r, ry: r };
+    }
+    const r = Math.hypot(pick(sidesX), pick(sidesY));
+    return { rx: r, ry: r };
+  }
+
+  // Ellipses through a corner keep the aspect ratio of the matching -side ellipse
+  const scale = size.endsWith('-corner') ? Math.SQRT2 : 1;
+  return { rx: pick(sidesX) * scale, ry: pick(sidesY) * scale };
+}
+
+/**
+ * Evaluate a parsed gradient's alpha at a point of the tile it is drawn into.
+ *
+ * @param {Object} gradient - Result of parseGradient
+ * @param {number} x - X within the tile, in CSS px
+ * @param {number} y - Y within the tile, in CSS px
+ * @param {number} width - Tile width
+ * @param {number} height - Tile height
+ * @param {string} [channel='alpha'] - 'luminance' to evaluate luminance masks instead
+ * @returns {number} Alpha (or premultiplied luminance) 0-1
+ */
+export function gradientAlpha(gradient, x, y, width, height, channel = 'alpha') {
+  const { type, geometry } = gradient;
+  let t;
+  let length;
+
+  if (type === 'linear') {
+    let dirX, dirY;
+    if (geometry.to && geometry.to.x && geometry.to.y) {
+      // Corner: the 50% line passes through the other two corners
+      dirX = geometry.to.x * height;
+      dirY = geometry.to.y * width;
+    } else if (geometry.to) {
+      dirX = geometry.to.x;
+      dirY = geometry.to.y;
+    } else {
+      const radians = geometry.angle * Math.PI / 180;
+      dirX = Math.sin(radians);
+      dirY = -Math.cos(radians);
+    }
+    const norm = Math.hypot(dirX, dirY) || 1;
+    dirX /= norm;
+    dirY /= norm;
+
+    length = Math.abs(width * dirX) + Math.abs(height * dirY);
+    t = length > 0 ? ((x - width / 2) * dirX + (y - height / 2) * dirY) / length + 0.5 : 0;
+  } else if (type === 'radial') {
+    const center = resolvePosition(geometry.position, width, height);
+    const { rx, ry } = radialRadii(geometry, center.x, center.y, width, height);
+    length = rx;
+    const dx = x - center.x;
+    const dy = (y - center.y) * (ry > 0 ? rx / ry : 0);
+    t = rx > 0 ? Math.hypot(dx, dy) / rx : 1;
+  } else {
+    const center = resolvePosition(geometry.position, width, height);
+    length = 360;
+    const angle = Math.atan2(x - center.x, center.y - y) * 180 / Math.PI; // Clockwise from the top
+    t = ((((angle - geometry.from) % 360) + 360) % 360) / 360;
+  }
+
+  if (!gradient.resolved || gradient.resolved.length !== length) {
+    gradient.resolved = { length, stops: resolveStops(gradient.stops, length, type === 'conic') };
+  }
+  return alphaAt(gradient.resolved.stops, t, gradient.repeating, channel);
+}
+
+/**
+ * Interpolate stop alphas at an offset along the gradient line.
+ *
+ * @param {Array<Object>} stops - Resolved `{ offset, alpha, luminance }` stops
+ * @param {number} t - Offset along the gradient line
+ * @param {boolean} repeating - Repeat the stop range to fill the line
+ * @param {string} channel - Stop value to interpolate: 'alpha' or 'luminance'
+ * @returns {number} Value 0-1
+ */
+function alphaAt(stops, t, repeating, channel) {
+  const first = stops[0];
+  const last = stops[stops.length - 1];
+
+  if (repeating) {
+    const span = last.offset - first.offset;
+    if (span > 0) {
+      t = first.offset + ((((t - first.offset) % span) + span) % span);
+    }
+  }
+
+  if (t <= first.offset) return first[channel];
+  for (let i = 1; i < stops.length; i++) {
+    const stop = stops[i];
+    if (t <= stop.offset) {
+      const previous = stops[i - 1];
+      const span = stop.offset - previous.offset;
+      return span > 0 ? previous[channel] + (stop[channel] - previous[channel]) * ((t - previous.offset) / span) : stop[channel];
+    }
+  }
+  return last[channel];
+}
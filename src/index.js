@@ -2,21 +2,79 @@ import Manager from './manager.js';
 
 let mgr = null;
 
+/** Every live manager created through init() or createManager(), for destroy() */
+const managers = new Set();
+
+/**
+ * Create an independent manager instance.
+ *
+ * Each instance has its own registry, threshold, observers and listeners, scoped to its
+ * `root`. Use this when separate parts of a page (e.g. micro-frontends) need different
+ * settings, and call `destroy()` on the instance when that part unmounts.
+ *
+ * @param {Object} options - Same options as init()
+ * @returns {Object} The new manager instance
+ *
+ * @example
+ * const widgetAME = AlphaMaskEvents.createManager({ root: widgetEl, threshold: 0.5 });
+ * // ...on unmount
+ * widgetAME.destroy();
+ */
+export function createManager(options = {}) {
+  const { autoScan = true, onDestroy, ...managerOptions } = options;
+  const instance = new Manager({
+    ...managerOptions,
+    // Forget instances destroyed directly, so their registries can be collected
+    onDestroy: destroyed => {
+      managers.delete(destroyed);
+      if (onDestroy) onDestroy(destroyed);
+    }
+  });
+
+  if (autoScan) instance.scan();
+  instance.attachListeners();
+  managers.add(instance);
+  return instance;
+}
+
 /**
  * Initialize the Alpha Mask Events module with global options.
  * 
- * This function sets up event listeners and automatically scans for elements 
- * with the 'alpha-mask-events' class. It enables click-through behavior on 
- * transparent parts of PNG images and elements with PNG background-images.
+ * This function sets up event listeners and, unless `autoScan` is false, scans for
+ * elements matching `selector` (the 'alpha-mask-events' class by default). It enables
+ * click-through behavior on transparent parts of images and background-images.
  * 
  * @param {Object} options - Configuration options
  * @param {number} [options.threshold=0.999] - Transparency threshold (0-1). Pixels with alpha values less 
  *                                         than or equal to this value will be click-through.
  *                                         Default is 0.999 (nearly transparent pixels pass clicks through)
+ * @param {boolean} [options.autoScan=true] - Scan for and observe elements matching `selector`
+ * @param {string|Array<string|{selector: string, options: Object}>} [options.selector='.alpha-mask-events'] -
+ *        Selector(s) used for discovery; object entries apply their options to matching elements
+ * @param {Document|HTMLElement|ShadowRoot|string} [options.root=document] - Scope for scanning and observing
+ * @param {boolean} [options.shadowDom=true] - Also scan and observe open shadow roots
+ * @param {boolean} [options.frames=false] - Also scan, observe and listen to same-origin iframes
+ * @param {number} [options.videoSampleRate=15] - Most times per second a `<video>` frame is sampled into its mask
+ * @param {number} [options.canvasSampleRate=0] - Times per second a `<canvas>` is resampled on its own;
+ *                                                0 resamples only after invalidate()
+ * @param {string|boolean} [options.animation='union'] - Hit-test animated GIF, APNG and WebP images against the
+ *                                                      'union' of their frames, or the frame showing ('frames')
+ * @param {number|string|Object} [options.hitRadius=0] - Radius in CSS pixels around the pointer within which an
+ *                                                 opaque pixel counts, or one per pointer type, e.g. { touch: 16 }
+ * @param {number} [options.hitFraction=0] - Share of the pixels within the radius that must be opaque; 0 needs any one
+ * @param {string} [options.mode='pointer-events'] - 'forward' keeps elements interactive and re-dispatches events
+ *                                                 on transparent pixels to the element underneath; 'class',
+ *                                                 'attribute' and 'custom-property' only expose the state
+ * @param {boolean} [options.dragLock=true] - Hold the state found on pointerdown until the pointer is released,
+ *                                            so drags stay on the element they started on
+ * @param {Function} [options.onDestroy] - Called with the instance once it is destroyed
  * @param {boolean} [options.log=false] - Enable debug logging
  * @param {boolean} [options.useIntersectionObserver=true] - Enable automatic performance optimization for off-screen elements
  * @param {string} [options.intersectionRootMargin='100px'] - Root margin for IntersectionObserver
- * @returns {Object} The manager instance
+ * @param {string|Object} [options.masks] - Precomputed masks from `ame-generate-masks`, as a JSON URL or
+ *                                          inline object. Matching images skip canvas decoding.
+ * @returns {Object} The manager instance. Calling init() again returns the same instance;
+ *                   use reinit() to apply different options.
  * 
  * @example
  * // Basic initialization
@@ -25,16 +83,52 @@ let mgr = null;
  * @example
  * // Custom threshold (make more pixels click-through)
  * AlphaMaskEvents.init({ threshold: 0.5 });
+ *
+ * @example
+ * // Design-system class names with their own thresholds
+ * AlphaMaskEvents.init({
+ *   selector: ['.ds-sprite', { selector: '.ds-icon', options: { threshold: 0.5 } }],
+ *   root: '#app'
+ * });
+ *
+ * @example
+ * // Hit-test against masks generated at build time
+ * AlphaMaskEvents.init({ masks: '/masks.json' });
  */
 export function init(options = {}) {
-  if (!mgr) {
-    mgr = new Manager(options);
-    mgr.scan();
-    mgr.attachListeners();
+  if (!mgr || mgr.destroyed) {
+    mgr = createManager(options);
+  } else if (Object.keys(options).length > 0) {
+    console.warn('AME: init() was already called; the new options are ignored. Use reinit() to apply them.');
   }
   return mgr;
 }
 
+/**
+ * Destroy every manager created by init() or createManager().
+ *
+ * Removes all listeners, disconnects every observer and restores each registered
+ * element's pointer-events. A later init() starts from a clean state.
+ */
+export function destroy() {
+  managers.forEach(instance => instance.destroy());
+  managers.clear();
+  mgr = null;
+}
+
+/**
+ * Destroy the default manager and initialize a new one with the given options.
+ * Managers created with createManager() are left alone.
+ *
+ * @param {Object} options - Same options as init()
+ * @returns {Object} The new manager instance
+ */
+export function reinit(options = {}) {
+  if (mgr) mgr.destroy();
+  mgr = null;
+  return init(options);
+}
+
 /**
  * Manually register an element or selector for alpha mask hit-testing.
  * 
@@ -43,10 +137,14 @@ export function init(options = {}) {
  * Useful for dynamically created elements or when you want to control exactly
  * which elements have the behavior.
  * 
- * @param {HTMLElement|string} target - DOM element or CSS selector to register
- * @param {Object} opts - Configuration options specific to this element
+ * @param {HTMLElement|SVGSVGElement|ShadowRoot|string} target - DOM element (including inline svg) or CSS selector to register.
+ *                                      A selector registers every matching element; a shadow
+ *                                      root registers (and observes) the matches inside it.
+ * @param {Object} opts - Configuration options specific to this element.
+ *                        `data-ame-*` attributes on the element take precedence.
  * @param {number} [opts.threshold] - Per-element transparency threshold.
  *                                   Overrides the global threshold for this element.
+ * @param {number|string|Object} [opts.hitRadius] - Per-element hit radius, e.g. 'touch: 16, pen: 6'
  * @param {boolean} [opts.log] - Enable debug logging for this element
  * 
  * @example
@@ -59,11 +157,11 @@ export function init(options = {}) {
  * AlphaMaskEvents.register(element, { threshold: 0.8 });
  */
 export function register(target, opts = {}) {
-  if (!mgr) init();
+  if (!mgr || mgr.destroyed) init();
   mgr.add(target, opts);
 }
 
-/** Unregister an element (stop hit‑testing it) */
+/** Unregister an element, or every element matching a selector (stop hit‑testing it) */
 export function unregister(target) {
   mgr && mgr.remove(target);
 }
@@ -73,9 +171,60 @@ export function setThreshold(value) {
   mgr && mgr.setThreshold(value);
 }
 
+/**
+ * Tell the default manager that registered elements changed what they show, e.g. after
+ * drawing into a registered `<canvas>`. Their masks are resampled and the last pointer
+ * position is hit-tested again.
+ *
+ * @param {HTMLElement|SVGSVGElement|string} [target] - Element or selector; every registered element when omitted
+ *
+ * @example
+ * ctx.drawImage(sprite, x, y);
+ * AlphaMaskEvents.invalidate(canvas);
+ */
+export function invalidate(target) {
+  mgr && mgr.invalidate(target);
+}
+
+/**
+ * Trace the opaque region of an element registered with the default manager into an outline,
+ * e.g. for a focus ring that follows its shape or a `clip-path` the browser can hit-test.
+ *
+ * @param {HTMLElement|SVGSVGElement|string} target - Registered element or selector
+ * @param {Object} [options]
+ * @param {string} [options.format='clip-path'] - 'clip-path' or 'svg-path'
+ * @param {number} [options.tolerance=1] - Most CSS pixels the outline may stray from the mask edge
+ * @returns {string|null} The outline, or null before the element is registered and loaded
+ *
+ * @example
+ * el.style.clipPath = AlphaMaskEvents.getOutline(el);
+ */
+export function getOutline(target, options) {
+  return mgr ? mgr.getOutline(target, options) : null;
+}
+
+/**
+ * Find the element registered with the default manager that a pointer at a point interacts with:
+ * the topmost one that is opaque there, by the browser's hit order and CSS stacking order.
+ *
+ * @param {number} x - X in the viewport, in CSS pixels
+ * @param {number} y - Y in the viewport, in CSS pixels
+ * @param {string} [pointerType='mouse'] - Pointer type, for per type hit radii
+ * @returns {HTMLElement|SVGSVGElement|null} Null when no registered element is opaque there
+ */
+export function targetAt(x, y, pointerType) {
+  return mgr ? mgr.targetAt(x, y, pointerType) : null;
+}
+
 export default {
   init,
+  createManager,
+  destroy,
+  reinit,
   register,
   unregister,
-  setThreshold
+  setThreshold,
+  invalidate,
+  getOutline,
+  targetAt
 };
\ No newline at end of file
@@ -1,3 +1,12 @@
+import { splitTopLevel, parseGradient, gradientAlpha } from './gradients.js';
+import { isSvgRoot, serializeSvg } from './svg.js';
+import {
+  IDENTITY, multiply, translation, perspective, flatten, parseMatrix, parseTranslate, parseRotate, parseScale,
+  parseOrigin, unproject, isBackFacing
+} from './transforms.js';
+import { traceOutline, simplify } from './outline.js';
+import { compareStacking } from './stacking.js';
+
 /**
  * Default transparency threshold - pixels with alpha less than or equal to this value
  * will be click-through. Set very close to 1 to make nearly transparent pixels click-through.
@@ -5,10 +14,370 @@
 const DEFAULT_THRESHOLD = 0.999; // Pixels with alpha > this are considered opaque
 
 /**
- * Global image cache to avoid reloading identical images
+ * Global image cache to avoid reloading identical images: `{ img, loaded, waiting }` by URL, where
+ * `waiting` holds the layers that asked for the image while it was still loading
  */
 const MASK_CACHE = new Map();
 
+/**
+ * Decoded alpha bitmaps keyed by their source (Image or precomputed mask object).
+ * Each bitmap is `{ width, height, data }` at the source's natural size, where `data`
+ * is a Uint8Array holding one alpha byte (0-255) per pixel.
+ */
+const ALPHA_BITMAPS = new WeakMap();
+
+/**
+ * Luminance bitmaps for `mask-mode: luminance` mask layers, keyed and shaped like ALPHA_BITMAPS.
+ * Each byte is the pixel's luminance premultiplied by its alpha.
+ */
+const LUMINANCE_BITMAPS = new WeakMap();
+
+/**
+ * Decoded animated images (GIF, APNG, animated WebP), keyed by `${animation} ${mode} ${src}`.
+ * Values are promises of `{ width, height, union, frames, duration, repetitionCount, startedAt }`,
+ * or null for images that aren't animated or can't be decoded frame by frame.
+ */
+const ANIMATIONS = new Map();
+
+/**
+ * Default way of hit-testing animated images: 'union' of all frames, per-'frames', or false
+ */
+const DEFAULT_ANIMATION = 'union';
+
+/**
+ * MIME types of image formats that may be animated, by file extension
+ */
+const ANIMATABLE_TYPES = { gif: 'image/gif', png: 'image/png', apng: 'image/apng', webp: 'image/webp' };
+
+/**
+ * `-webkit-mask-composite` keywords and the standard `mask-composite` operator each one matches
+ */
+const WEBKIT_MASK_COMPOSITE = { 'source-over': 'add', 'source-in': 'intersect', 'source-out': 'subtract', xor: 'exclude' };
+
+/**
+ * Default number of times per second a video's current frame may be sampled into its mask
+ */
+const DEFAULT_VIDEO_SAMPLE_RATE = 15;
+
+/**
+ * Default number of times per second a canvas is resampled on its own; 0 resamples only after invalidate()
+ */
+const DEFAULT_CANVAS_SAMPLE_RATE = 0;
+
+/**
+ * Pointer types a hitRadius can differ for, as reported by PointerEvent.pointerType
+ */
+const POINTER_TYPES = ['mouse', 'pen', 'touch'];
+
+/**
+ * Screen offsets sampled within a hit radius, nearest first, keyed by radius and step
+ */
+const DISC_OFFSETS = new Map();
+
+/**
+ * Outline formats getOutline() can produce
+ */
+const OUTLINE_FORMATS = ['clip-path', 'svg-path'];
+
+/**
+ * Most grid cells along each side of an element when tracing its outline
+ */
+const OUTLINE_RESOLUTION = 256;
+
+/**
+ * Default distance in CSS pixels an outline may stray from the traced mask edge
+ */
+const DEFAULT_OUTLINE_TOLERANCE = 1;
+
+/**
+ * Selector used for automatic discovery when none is configured
+ */
+const DEFAULT_SELECTOR = '.alpha-mask-events';
+
+/**
+ * Prefix of per-element option attributes, e.g. data-ame-threshold="0.5"
+ */
+const DATA_OPTION_PREFIX = 'data-ame-';
+
+/**
+ * Attribute naming a precomputed mask (table key or JSON URL) for a single element
+ */
+const MASK_ATTRIBUTE = 'data-ame-mask';
+
+/**
+ * Per-element options that can be set with data-ame-* attributes, and are followed live
+ */
+const DATA_OPTIONS = [
+  'threshold', 'spriteGrid', 'hitRadius', 'hitFraction', 'mode', 'dragLock',
+  'animation', 'videoSampleRate', 'canvasSampleRate'
+];
+
+/**
+ * Attributes watched by the MutationObserver. Any attribute can affect selector matching,
+ * but class/id cover the common cases without observing every attribute change.
+ */
+const OBSERVED_ATTRIBUTES = [
+  'class', 'id', 'src', 'style', MASK_ATTRIBUTE,
+  ...DATA_OPTIONS.map(key => DATA_OPTION_PREFIX + key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`))
+];
+
+/**
+ * Pointer events that trigger hit-testing, listened to on the document and on tracked frame documents
+ */
+const POINTER_EVENT_TYPES = ['pointermove', 'pointerover'];
+
+/**
+ * pointerId assumed for events without one (mouse events, touch points, re-runs of plain coordinates)
+ */
+const DEFAULT_POINTER_ID = 1;
+
+/**
+ * Events that start a gesture: hit-tested synchronously rather than in the next animation frame,
+ * since a tap has no pointermove before it to bring the state up to date
+ */
+const DOWN_EVENT_TYPES = ['pointerdown', 'touchstart'];
+
+/**
+ * Events that end a gesture, releasing the state locked by its pointerdown (see `dragLock`).
+ * lostpointercapture also covers a capture released part way through a drag; the touch events
+ * end gestures started by touchstart where there are no pointer events.
+ */
+const UP_EVENT_TYPES = ['pointerup', 'pointercancel', 'lostpointercapture', 'touchend', 'touchcancel'];
+
+/**
+ * Events the browser sends after a pointerdown to the element that pointerdown went to (click and
+ * auxclick to its common ancestor with the pointerup target). When _retarget moves a pointerdown
+ * these follow it. Only the primary pointer gets mouse events, and touch events stay with their
+ * touchstart target.
+ */
+const RETARGETED_EVENT_TYPES = [
+  'mousedown', 'contextmenu', 'click', 'auxclick', 'touchstart', 'touchmove', 'touchend', 'touchcancel'
+];
+
+/**
+ * Retargeted events that fire once the gesture is over
+ */
+const GESTURE_END_EVENT_TYPES = ['click', 'auxclick'];
+
+/**
+ * How transparent pixels are made click-through: by toggling the element's pointer-events, by
+ * leaving it interactive and forwarding events on transparent pixels to the element underneath,
+ * or by only exposing the hit-test state for stylesheets to act on (see STATE_* below)
+ */
+const MODES = ['pointer-events', 'forward', 'class', 'attribute', 'custom-property'];
+
+/**
+ * Mode used unless the `mode` option says otherwise
+ */
+const DEFAULT_MODE = 'pointer-events';
+
+/**
+ * Events that 'forward' mode re-dispatches to the element underneath a transparent pixel
+ */
+const FORWARDED_EVENT_TYPES = [
+  'pointerdown', 'pointermove', 'pointerup', 'pointercancel',
+  'mousedown', 'mousemove', 'mouseup', 'click', 'dblclick', 'auxclick', 'contextmenu', 'wheel'
+];
+
+/**
+ * Forwarded events whose default action (following a link, toggling a control) the copy already performs
+ */
+const ACTIVATION_EVENT_TYPES = ['click', 'dblclick', 'auxclick'];
+
+/**
+ * Prefix of the classes 'class' mode sets: ame-loading, ame-opaque or ame-transparent
+ */
+const STATE_CLASS_PREFIX = 'ame-';
+
+/**
+ * Hit-test states an element can expose; none is set while the pointer is outside it
+ */
+const STATES = ['loading', 'opaque', 'transparent'];
+
+/**
+ * Attribute 'attribute' mode sets to the element's state
+ */
+const STATE_ATTRIBUTE = 'data-ame-state';
+
+/**
+ * Custom property 'custom-property' mode sets to `auto` or `none`, for `pointer-events: var(--ame-pointer-events, auto)`
+ */
+const STATE_PROPERTY = '--ame-pointer-events';
+
+/**
+ * Copies dispatched by 'forward' mode, which its own listener lets through
+ */
+const FORWARDED_EVENTS = new WeakSet();
+
+/**
+ * Check for an HTML element from any window. Elements inside iframes come from another
+ * realm, so `instanceof HTMLElement` against the top-level global is false for them.
+ * @param {*} el - Value to test
+ * @returns {boolean}
+ */
+function isHTMLElement(el) {
+  const view = el && el.ownerDocument && el.ownerDocument.defaultView;
+  return el instanceof HTMLElement || (!!view && el instanceof view.HTMLElement);
+}
+
+/**
+ * Computed style read through the element's own window, so frame elements resolve
+ * against their document's styles and media queries.
+ * @param {Element} el - Element to read
+ * @returns {CSSStyleDeclaration}
+ */
+function computedStyleOf(el) {
+  const view = el.ownerDocument && el.ownerDocument.defaultView;
+  return (view || window).getComputedStyle(el);
+}
+
+/**
+ * Copy one channel per pixel out of RGBA image data: the alpha, or for luminance masks the
+ * luminance premultiplied by alpha.
+ * @param {Uint8ClampedArray} rgba - Image data, 4 bytes per pixel
+ * @param {Uint8Array} target - One byte per pixel, filled in place
+ * @param {string} [mode='alpha'] - 'alpha' or 'luminance'
+ * @returns {Uint8Array} `target`
+ */
+function extractChannel(rgba, target, mode = 'alpha') {
+  for (let i = 0; i < target.length; i++) {
+    const a = rgba[i * 4 + 3];
+    target[i] = mode === 'luminance'
+      ? Math.round((0.2125 * rgba[i * 4] + 0.7154 * rgba[i * 4 + 1] + 0.0721 * rgba[i * 4 + 2]) * a / 255)
+      : a;
+  }
+  return target;
+}
+
+/**
+ * Read a mask-* property from computed style, falling back to its -webkit- prefixed form.
+ * @param {CSSStyleDeclaration} computedStyle - Computed style
+ * @param {string} name - Property suffix, e.g. 'Image', 'Size', 'Position'
+ * @returns {string} Computed value, or '' when neither form is supported
+ */
+function maskProperty(computedStyle, name) {
+  return computedStyle[`mask${name}`] || computedStyle[`webkitMask${name}`] || '';
+}
+
+/**
+ * Device pixels per CSS pixel for each `image-set()` resolution unit
+ */
+const RESOLUTION_UNITS = { x: 1, dppx: 1, dpi: 1 / 96, dpcm: 2.54 / 96 };
+
+/**
+ * Split a computed background-image value into the layers that can be hit-tested, topmost first.
+ * `index` is the layer's position in the list, used to pick its background-size, -position, etc.
+ *
+ * @param {string} value - Computed background-image
+ * @param {number} [pixelRatio=1] - Device pixel ratio used to resolve image-set()
+ * @returns {Array<Object>} `{ kind: 'image', src, index }` or `{ kind: 'gradient', gradient, index }`
+ */
+function parseBackgroundLayers(value, pixelRatio = 1) {
+  if (!value || value === 'none') {
+    return [];
+  }
+
+  const layers = [];
+  splitTopLevel(value).forEach((layer, index) => {
+    const gradient = parseGradient(layer);
+    if (gradient) {
+      layers.push({ kind: 'gradient', gradient, index });
+      return;
+    }
+    const src = resolveImageSource(layer, pixelRatio);
+    if (src) {
+      layers.push({ kind: 'image', src, index });
+    }
+  });
+  return layers;
+}
+
+/**
+ * Resolve a `url()`, `image-set()` / `-webkit-image-set()` or quoted string to an image URL.
+ * image-set() picks the smallest resolution that covers the pixel ratio, like browsers do,
+ * or the largest one when none does.
+ *
+ * @param {string} value - Image value
+ * @param {number} pixelRatio - Device pixel ratio
+ * @returns {string|null} The URL, or null for unsupported images (none, cross-fade(), element(), ...)
+ */
+function resolveImageSource(value, pixelRatio) {
+  const url = value.match(/^url\((['"]?)(.*)\1\)$/);
+  if (url) {
+    return url[2] || null;
+  }
+  const quoted = value.match(/^(['"])(.*)\1$/);
+  if (quoted) {
+    return quoted[2] || null;
+  }
+
+  const set = value.match(/^(?:-webkit-)?image-set\(([\s\S]*)\)$/);
+  if (!set) {
+    return null;
+  }
+
+  const candidates = splitTopLevel(set[1]).map(option => {
+    const [image, ...descriptors] = splitTopLevel(option, ' ');
+    let resolution = 1;
+    descriptors.forEach(descriptor => {
+      const match = descriptor.match(/^([\d.]+)(x|dppx|dpi|dpcm)$/);
+      if (match) resolution = parseFloat(match[1]) * RESOLUTION_UNITS[match[2]];
+    });
+    return { image, resolution };
+  }).sort((a, b) => a.resolution - b.resolution);
+
+  const chosen = candidates.find(candidate => candidate.resolution >= pixelRatio) || candidates[candidates.length - 1];
+  return chosen ? resolveImageSource(chosen.image, pixelRatio) : null;
+}
+
+/**
+ * Find the frame of an animation showing a given time after it started. Like browsers, frames
+ * of 10ms or less were already stretched to 100ms when decoded, and a finite animation stays on
+ * its last frame.
+ *
+ * @param {Object} animation - Decoded animation with `frames`, `duration` and `repetitionCount`
+ * @param {number} elapsed - Milliseconds since the animation started
+ * @returns {{frame: Object, remaining: number}} The frame and how long it keeps showing (Infinity once finished)
+ */
+function frameAt(animation, elapsed) {
+  const { frames, duration, repetitionCount } = animation;
+  const last = frames[frames.length - 1];
+  if (elapsed >= duration * (repetitionCount + 1)) {
+    return { frame: last, remaining: Infinity };
+  }
+
+  let time = Math.max(0, elapsed) % duration;
+  for (const frame of frames) {
+    if (time < frame.duration) return { frame, remaining: frame.duration - time };
+    time -= frame.duration;
+  }
+  return { frame: last, remaining: last.duration };
+}
+
+/**
+ * Offsets of the points sampled within a hit radius: a grid `step` pixels apart, clipped to the
+ * disc and sorted nearest first so the first opaque sample is the closest one.
+ *
+ * @param {number} radius - Radius in CSS pixels
+ * @param {number} step - Distance between samples in CSS pixels
+ * @returns {Array<{dx: number, dy: number, distance: number}>}
+ */
+function discOffsets(radius, step) {
+  const key = `${radius}/${step}`;
+  if (!DISC_OFFSETS.has(key)) {
+    const count = Math.floor(radius / step);
+    const offsets = [];
+    for (let j = -count; j <= count; j++) {
+      for (let i = -count; i <= count; i++) {
+        const distance = Math.hypot(i, j) * step;
+        if (distance <= radius) offsets.push({ dx: i * step, dy: j * step, distance });
+      }
+    }
+    DISC_OFFSETS.set(key, offsets.sort((a, b) => a.distance - b.distance));
+  }
+  return DISC_OFFSETS.get(key);
+}
+
 /**
  * Supported image formats with transparency capability
  */
@@ -16,6 +385,7 @@ const SUPPORTED_FORMATS = {
   // Formats with full alpha channel support
   'png': { hasAlpha: true, browserSupport: 'universal' },
   'webp': { hasAlpha: true, browserSupport: 'modern' }, // Chrome 23+, Firefox 65+, Safari 14+
+  'apng': { hasAlpha: true, browserSupport: 'modern' }, // Animated PNG under its own extension
   'avif': { hasAlpha: true, browserSupport: 'latest' },  // Chrome 85+, Firefox 93+, Safari 16.4+
   
   // Formats with limited transparency
@@ -91,81 +461,414 @@ export default class Manager {
    * @param {boolean} [options.log=false] - Enable debug logging
    * @param {boolean} [options.useIntersectionObserver=true] - Enable automatic performance optimization for off-screen elements
    * @param {string} [options.intersectionRootMargin='100px'] - Root margin for IntersectionObserver
+   * @param {string|Object} [options.masks] - Precomputed masks from `ame-generate-masks`: a JSON URL or the parsed object
+   * @param {string|Array<string|{selector: string, options: Object}>} [options.selector='.alpha-mask-events'] - Selector(s) used by
+   *        scan() and the MutationObserver. Object entries carry options applied to the elements they match.
+   * @param {Document|HTMLElement|ShadowRoot|string} [options.root=document] - Scope for scanning, mutation observing and selector registration
+   * @param {boolean} [options.shadowDom=true] - Walk and observe open shadow roots inside the scope
+   * @param {boolean} [options.frames=false] - Also scan, observe and listen to same-origin iframes inside the scope
+   * @param {number} [options.videoSampleRate=15] - Most times per second a video frame is sampled into its mask
+   * @param {number} [options.canvasSampleRate=0] - Times per second a canvas is resampled on its own
+   * @param {string|boolean} [options.animation='union'] - Hit-test animated images against the 'union' of their
+   *        frames or the frame showing ('frames'); false uses whichever frame was decoded first
+   * @param {number|string|Object} [options.hitRadius=0] - Radius in CSS pixels around the pointer within which
+   *        an opaque pixel makes the element interactive; an object (or 'touch: 16, pen: 6') sets it per pointer type
+   * @param {number} [options.hitFraction=0] - Share (0-1) of the pixels within the radius that must be opaque;
+   *        0 needs any one of them
+   * @param {string} [options.mode='pointer-events'] - 'pointer-events' toggles each element's pointer-events;
+   *        'forward' leaves elements interactive and forwards events on transparent pixels to the element underneath;
+   *        'class', 'attribute' and 'custom-property' only expose the state for stylesheets to act on
+   * @param {boolean} [options.dragLock=true] - Keep the state a pointer found on pointerdown until that
+   *        pointer is released, so drags and captured pointers stay on the element they started on
+   * @param {Function} [options.onDestroy] - Called with the instance the first time destroy() is called
    */
-  constructor({ threshold = DEFAULT_THRESHOLD, log = false, useIntersectionObserver = true, intersectionRootMargin = '100px' } = {}) {
+  constructor({ threshold = DEFAULT_THRESHOLD, log = false, useIntersectionObserver = true, intersectionRootMargin = '100px', masks = null, selector = DEFAULT_SELECTOR, root = document, shadowDom = true, frames = false, videoSampleRate = DEFAULT_VIDEO_SAMPLE_RATE, canvasSampleRate = DEFAULT_CANVAS_SAMPLE_RATE, animation = DEFAULT_ANIMATION, hitRadius = 0, hitFraction = 0, mode = DEFAULT_MODE, dragLock = true, onDestroy = null } = {}) {
     this.threshold = threshold;
+    this.videoSampleRate = videoSampleRate;
+    this.canvasSampleRate = canvasSampleRate;
+    this.animation = animation;
+    this.hitRadius = hitRadius;
+    this.hitFraction = hitFraction;
+    this.mode = mode;
+    this.dragLock = dragLock;
+    this._onDestroy = onDestroy;
+    this.selectors = this._normalizeSelectors(selector);
+    this.root      = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!this.root) {
+      // Never widen discovery to the whole document
+      console.warn(`AME: Root ${typeof root === 'string' ? `"${root}" matches no element` : 'is missing'}; no elements will be discovered`);
+      this.root = null;
+    }
+    this.shadowDom = shadowDom;
+    this.frames    = frames;
     this.log       = log;
     this.useIntersectionObserver = useIntersectionObserver;
     this.intersectionRootMargin = intersectionRootMargin;
-    // Registry stores: { el, canvas, ctx, threshold, originalPointerEvents, img, imageLoaded, currentSrc }
+    // Registry stores: { el, threshold, originalPointerEvents, layers, source, imageLoaded, ... }
     this.registry  = new Map(); // Use Map for easier element lookup/removal
     this._handler  = this._onPointerEvent.bind(this);
+    this._forwardHandler = this._onForwardEvent.bind(this);
+    this._downHandler = this._onDownEvent.bind(this);
+    this._outHandler = this._onPointerOut.bind(this);
+    this._upHandler = this._onUpEvent.bind(this);
+    this._retargetedHandler = this._onRetargetedEvent.bind(this);
     this._rafPending = false;       // Flag to prevent redundant animation frames
     this._lastEvent = null;         // Store most recent event for delayed processing
+    this._pointers = new Map();     // Latest event of every pointer on the page, by pointerId
+    this._retargeted = null;        // Primary pointer gesture moved by _retarget: { from, to, up }
+    this._pass = 0;                 // Sampling pass counter, see _beginPass
     this._mutationObserver = null;  // For observing DOM changes
     this._resizeObservers = new WeakMap(); // Track resize observers per element
     this._intersectionObserver = null; // For performance optimization
     this._intersectionElements = new Set(); // Track elements under intersection observation
     this._compatibilityWarningShown = false; // Track if browser compatibility warning has been shown
     this._listenersAttached = false; // Track if global listeners are attached
+    this._destroyed = false;         // Set by destroy(); the instance is inert afterwards
+    this._maskTable = new Map();     // Precomputed masks keyed by image path/URL
+    this._maskRequests = new Map();  // In-flight or settled mask JSON requests keyed by URL
+    this._masksPending = null;       // Promise for the `masks` option while it is being fetched
+    this._pendingImages = new Map(); // <img> waiting for its first load to register → { onLoad, autoRegistered }
+    this._frames = new Map();        // Tracked iframes → { doc, onLoad, onPageHide }
+
+    if (masks) {
+      this._masksPending = this.loadMasks(masks).then(() => {
+        this._masksPending = null;
+      });
+    }
   }
 
   /**
-   * Scan the document for elements with the 'alpha-mask-events' class and register them.
-   * Also sets up observation for future DOM changes to auto-register new elements.
+   * Scan for elements matching the configured selectors and register them, including
+   * inside open shadow roots. Also sets up observation for future DOM changes to
+   * auto-register new elements.
+   *
+   * @param {Document|HTMLElement|ShadowRoot} [scope=this.root] - Where to scan. Pass a shadow root
+   *        (even a closed one you hold a reference to) to add it to the observed scopes.
    */
-  scan() {
+  scan(scope = this.root) {
+    if (this._destroyed) return;
+
     // Show browser compatibility warnings if needed
     if (this.log) {
       this._showBrowserCompatibilityWarning();
     }
     
-    document.querySelectorAll('.alpha-mask-events')
-      .forEach(el => this.add(el));
+    if (scope) {
+      this._discoverIn(scope);
+    }
     this._observeMutations();
+    if (scope && scope !== this.root) {
+      this._observeScope(scope);
+    }
     this._setupIntersectionObserver();
   }
 
   /**
    * Register an element for alpha mask hit-testing.
    *
-   * @param {HTMLElement|string} elOrSelector - DOM element or CSS selector to register
+   * Options are merged in increasing priority: manager defaults, `opts`, then the element's own
+   * `data-ame-*` attributes (e.g. `data-ame-threshold="0.5"`), so markup always has the last word.
+   *
+   * @param {HTMLElement|SVGSVGElement|ShadowRoot|string|Iterable<HTMLElement>} elOrSelector - DOM element (including inline svg), elements, or CSS selector
+   *        (every match within the root is registered). A shadow root registers the elements inside it
+   *        that match the configured selectors.
    * @param {Object} opts - Configuration options for this specific element
    * @param {number} [opts.threshold] - Per-element transparency threshold (0-1)
    * @returns {void}
    */
   add(elOrSelector, opts = {}) {
-    const el = typeof elOrSelector === 'string'
-      ? document.querySelector(elOrSelector)
-      : elOrSelector;
+    if (this._destroyed) return;
+
+    if (elOrSelector && elOrSelector.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        // A shadow root: register its matching elements and keep watching it
+        this._discoverIn(elOrSelector, opts);
+        this._observeMutations();
+        this._observeScope(elOrSelector);
+        return;
+    }
+
+    const elements = this._resolveElements(elOrSelector);
+    if (elements.length !== 1 || elements[0] !== elOrSelector) {
+        elements.forEach(el => this.add(el, opts));
+        return;
+    }
+
+    const el = elOrSelector;
+    if (!(isHTMLElement(el) || isSvgRoot(el)) || this.registry.has(el) || this._pendingImages.has(el)) {
+        return;
+    }
 
-    if (!el || !(el instanceof HTMLElement) || this.registry.has(el)) {
+    const options = { ...opts, ...this._readDataOptions(el) };
+    const threshold = options.threshold ?? this.threshold;
+    const computedStyle = computedStyleOf(el);
+    const layers = this._readLayers(el, computedStyle);
+    if (layers.length === 0) {
+        if (el.tagName === 'IMG' && !el.complete) {
+            // srcset/<picture> candidate not selected yet: register once it loads
+            const pending = {
+                autoRegistered: false, // Set by _addDiscovered, like the entry's flag
+                onLoad: () => {
+                    this._pendingImages.delete(el);
+                    if (pending.autoRegistered) {
+                        this._addDiscovered(el, opts);
+                    } else {
+                        this.add(el, opts);
+                    }
+                }
+            };
+            this._pendingImages.set(el, pending);
+            el.addEventListener('load', pending.onLoad, { once: true });
+        }
         return;
     }
+    this._detectFormats(layers);
+
+    // Store original pointer-events; the element starts as non-interactive (see _setState)
+    const mode = this._resolveMode(options);
+    const originalPointerEvents = el.style.pointerEvents || computedStyle.pointerEvents; // Get computed if not inline
+
+    // Prepare registry entry
+    const entry = {
+        el,
+        threshold,
+        options, // Merged per-element options (register opts + data-ame-* attributes)
+        addOptions: opts, // Options passed to add(), which data-ame-* attributes are merged over
+        mode, // One of MODES
+        state: null, // Last state set by _setState
+        autoRegistered: false, // Set when discovered by selector, so it can be dropped when it stops matching
+        originalPointerEvents,
+        layers, // Hit-testable sources, topmost first: the img, or each background layer
+        source: this._readSource(el, computedStyle), // img src or background-image the layers were built from
+        imageLoaded: false, // True once every image layer has a bitmap (or failed to decode one)
+        isVisible: true, // Assume visible initially (will be updated by IntersectionObserver if enabled)
+        pointerStates: new Map(), // pointerId → whether that pointer is over an opaque pixel, while inside the bounds
+        locks: new Map(), // pointerId → state held from its pointerdown until it is released (dragLock)
+        pendingLayers: null, // Layers for a new img source or SVG rasterization, swapped in once loaded
+        onSourceLoad: null, // img load listener following currentSrc changes
+        svgObserver: null, // MutationObserver re-rasterizing an inline svg when its DOM changes
+        styleWrites: [], // Style attribute values our state writes left on an inline svg, until svgObserver sees them
+        spriteGrid: undefined, // Frame grid from the spriteGrid option, parsed on first hit-test
+        hitRadii: undefined, // Hit radius per pointer type from the hitRadius option, parsed on first hit-test
+        pointerMapper: null // Screen to local mapping and the bounding rect it was built for, see _entryMapper
+    };
+    this.registry.set(el, entry);
+    this._setState(entry, 'loading');
 
-    const threshold = opts.threshold ?? this.threshold;
-    const computedStyle = getComputedStyle(el);
-    let src;
+    if (isSvgRoot(el) && 'MutationObserver' in window) {
+        entry.svgObserver = new MutationObserver(mutations => {
+            const changed = mutations.some((mutation, i) => !this._isStateWrite(entry, mutation, mutations.slice(i + 1)));
+            entry.styleWrites = [];
+            if (changed) this._refreshSvg(entry);
+        });
+        entry.svgObserver.observe(el, { subtree: true, childList: true, attributes: true, characterData: true, attributeOldValue: true });
+    }
 
-    // Determine image source (img.src or background-image)
     if (el.tagName === 'IMG') {
-      src = el.currentSrc || el.src; // Use currentSrc for responsive images
-    } else {
-      const bg = computedStyle.backgroundImage;
-      const match = bg.match(/url\((['"]?)(.*?)\1\)/); // More robust regex
-      if (!match || !match[2]) {
+        // srcset/sizes and <picture> switch candidates on resize or DPR changes; each switch fires load
+        entry.onSourceLoad = () => this._swapSource(entry);
+        el.addEventListener('load', entry.onSourceLoad);
+    }
+
+    this._startLoading(entry, layers);
+  }
+
+  /**
+   * Whether a mutation of a registered inline svg is one of our own state writes, which must not
+   * re-rasterize it (and so feed back into more state changes): a style change that left the
+   * value one of our pointer-events or --ame-pointer-events writes did (see _noteStyleWrite),
+   * data-ame-state, or a class change that only toggled the state classes. Size changes reach
+   * the ResizeObserver instead.
+   *
+   * @param {Object} entry - Registry entry of the svg
+   * @param {MutationRecord} mutation
+   * @param {Array<MutationRecord>} later - Mutations of the same batch after this one
+   * @returns {boolean}
+   * @private
+   */
+  _isStateWrite(entry, mutation, later) {
+      if (mutation.target !== entry.el) return false;
+      if (mutation.attributeName === STATE_ATTRIBUTE) return true;
+      if (mutation.attributeName === 'style') {
+          // The value this change left: the next style change's old value, or the current one
+          const next = later.find(other => other.target === entry.el && other.attributeName === 'style');
+          return entry.styleWrites.includes(next ? next.oldValue : entry.el.getAttribute('style'));
+      }
+      if (mutation.attributeName !== 'class') return false;
+
+      const stateClasses = STATES.map(name => STATE_CLASS_PREFIX + name);
+      const others = value => (value || '').split(/\s+/).filter(name => name && !stateClasses.includes(name)).sort().join(' ');
+      return others(mutation.oldValue) === others(entry.el.getAttribute('class'));
+  }
+
+  /**
+   * Re-process an element from scratch: remove it and add it again with the options it was added
+   * with, picking up a new source or anything else only read when loading.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _reAdd(entry) {
+      const { el, addOptions, autoRegistered } = entry;
+      this.remove(el);
+      this.add(el, addOptions);
+      const readded = this.registry.get(el);
+      if (readded) readded.autoRegistered = autoRegistered;
+  }
+
+  /**
+   * Merge an element's data-ame-* attributes over its add() options again after one changed, and
+   * drop what was derived from the old values: the parsed hit radii and sprite grid are read again
+   * on the next hit-test, a new mode takes over the state, and a new animation setting reloads the
+   * element.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _refreshOptions(entry) {
+      const previous = entry.options;
+      entry.options = { ...entry.addOptions, ...this._readDataOptions(entry.el) };
+      if (entry.options.animation !== previous.animation) {
+          this._reAdd(entry);
           return;
       }
-      src = match[2];
+
+      entry.threshold = entry.options.threshold ?? this.threshold;
+      entry.hitRadii = undefined;
+      entry.spriteGrid = undefined;
+      if (!(entry.options.dragLock ?? this.dragLock)) entry.locks.clear();
+      entry.layers
+          .filter(layer => layer.kind === 'canvas')
+          .forEach(layer => this._watchCanvas(entry, layer)); // A sample rate may have been set
+
+      const mode = this._resolveMode(entry.options);
+      if (mode !== entry.mode) {
+          const { state } = entry;
+          this._clearState(entry);
+          entry.mode = mode;
+          entry.state = null;
+          this._setState(entry, state);
+      }
+      if (this._lastEvent) this._onPointerEvent(this._lastEvent);
+  }
+
+  /**
+   * Load precomputed masks produced by the `ame-generate-masks` CLI.
+   *
+   * Accepts either the URL of the generated JSON file or the parsed object. The object may be
+   * the CLI output (`{ "path/to/image.png": { width, height, rects } }`) or a single mask
+   * (`{ width, height, rects }`), which is then stored under the URL it was fetched from.
+   *
+   * @param {string|Object} source - JSON URL or mask object
+   * @returns {Promise<void>} Resolves once the masks are available for lookup
+   */
+  loadMasks(source) {
+    if (typeof source !== 'string') {
+      this._registerMaskTable(source, null);
+      return Promise.resolve();
     }
 
-    if (!src) {
-        return;
+    const url = this._resolveUrl(source);
+    if (this._maskRequests.has(url)) {
+      return this._maskRequests.get(url);
+    }
+
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(table => this._registerMaskTable(table, url))
+      .catch(error => {
+        console.warn(`AME: Failed to load masks from ${url}: ${error.message}`);
+      });
+    this._maskRequests.set(url, request);
+    return request;
+  }
+  /**
+   * The value an entry's layers are built from: the img's current source, or the
+   * computed background-image, followed by mask-image and mask-mode when the element is
+   * masked. A change means the layers must be rebuilt.
+   *
+   * @param {HTMLElement} el - Registered element
+   * @param {CSSStyleDeclaration} [computedStyle] - The element's computed style, if already read
+   * @returns {string}
+   * @private
+   */
+  _readSource(el, computedStyle = computedStyleOf(el)) {
+    let content;
+    if (el.tagName === 'IMG') {
+      content = el.currentSrc || el.src; // Use currentSrc for responsive images
+    } else if (isSvgRoot(el)) {
+      content = 'svg'; // Rasterized from its own DOM, watched separately
+    } else if (el.tagName === 'VIDEO' || el.tagName === 'CANVAS') {
+      content = el.tagName.toLowerCase(); // Pixels are sampled from the element itself, whatever it shows
+    } else {
+      content = computedStyle.backgroundImage || '';
+    }
+    const maskImage = maskProperty(computedStyle, 'Image');
+    if (!maskImage || maskImage === 'none') {
+      return content;
+    }
+    return `${content} / ${maskImage} ${computedStyle.maskMode || ''}`.trim();
+  }
+
+  /**
+   * Build the hit-testable layers of an element: its image for an img, its rasterized
+   * markup for an inline svg, its current frame for a video, its pixels for a canvas,
+   * otherwise every background layer (url(), image-set() and
+   * gradients), followed by its CSS mask layers.
+   *
+   * Content layers have `role: 'content'`; mask layers have `role: 'mask'` and a `mode`
+   * ('alpha' or 'luminance') from mask-mode. Image layers get `{ img, bitmap, maskSource,
+   * loaded, layout }` filled in while loading; gradient layers are evaluated on the fly
+   * and only cache their layout.
+   *
+   * @param {HTMLElement} el - Element being registered
+   * @param {CSSStyleDeclaration} computedStyle - The element's computed style
+   * @returns {Array<Object>} Content layers then mask layers, each topmost first
+   * @private
+   */
+  _readLayers(el, computedStyle) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    let content;
+    if (el.tagName === 'IMG') {
+      const src = el.currentSrc || el.src;
+      content = src ? [{ kind: 'image', src, index: null }] : [];
+    } else if (isSvgRoot(el)) {
+      content = [{ kind: 'svg', src: null, index: null }];
+    } else if (el.tagName === 'VIDEO' || el.tagName === 'CANVAS') {
+      content = [{ kind: el.tagName.toLowerCase(), src: null, index: null }];
+    } else {
+      content = parseBackgroundLayers(computedStyle.backgroundImage, pixelRatio);
     }
 
-    // Detect and validate image format
-    const formatDetection = detectImageFormat(src);
+    // mask-mode: match-source resolves to alpha for images and gradients
+    const modes = splitTopLevel(computedStyle.maskMode || '');
+    const masks = parseBackgroundLayers(maskProperty(computedStyle, 'Image'), pixelRatio).map(layer => ({
+      ...layer,
+      role: 'mask',
+      mode: modes.length && modes[layer.index % modes.length] === 'luminance' ? 'luminance' : 'alpha'
+    }));
 
+    return [...content.map(layer => ({ ...layer, role: 'content', mode: 'alpha' })), ...masks].map(layer => ({
+      ...layer,
+      img: null, // Image object will be loaded
+      bitmap: null, // Alpha bitmap at the image's natural size, decoded once
+      maskSource: null, // 'precomputed' (CLI mask) or 'canvas' (decoded image) once loading starts
+      loaded: layer.kind === 'gradient', // Gradients need nothing loaded or drawn
+      layout: null // Cached mapping from element box to the layer, rebuilt on resize
+    }));
+  }
+
+  /**
+   * Log what is known about an image format, warning about formats without transparency.
+   *
+   * @param {Object} formatDetection - Result of detectImageFormat
+   * @private
+   */
+  _reportFormat(formatDetection) {
     // Log format detection information if logging is enabled
     if (this.log && formatDetection.format) {
       console.log(`Detected format: ${formatDetection.format.toUpperCase()}`);
@@ -187,87 +890,733 @@ export default class Manager {
         console.info(`AME: ${formatDetection.format.toUpperCase()}: ${formatDetection.warning.split(';').map(w => w.trim()).join('. ')}`);
       }
     }
+  }
 
-    // Create canvas and context immediately
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    if (!ctx) {
-        return; // Silently fail if 2D context not available
+  /**
+   * Register an element found through the configured selectors.
+   *
+   * @param {HTMLElement} el - Matching element
+   * @param {Object} options - Options attached to the selector that matched
+   * @private
+   */
+  _addDiscovered(el, options) {
+    if (this.registry.has(el)) return;
+    this.add(el, options);
+    const entry = this.registry.get(el) || this._pendingImages.get(el);
+    if (entry) entry.autoRegistered = true;
+  }
+
+  /**
+   * Stop waiting for an `<img>` to load before registering it.
+   *
+   * @param {HTMLImageElement} el - Image added before it had a source to load
+   * @private
+   */
+  _cancelPendingImage(el) {
+    const pending = this._pendingImages.get(el);
+    if (!pending) return;
+    el.removeEventListener('load', pending.onLoad);
+    this._pendingImages.delete(el);
+  }
+
+  /**
+   * Normalize the `selector` option into `[{ selector, options }]`.
+   *
+   * @param {string|Array<string|Object>} selector - Selector option value
+   * @returns {Array<{selector: string, options: Object}>}
+   * @private
+   */
+  _normalizeSelectors(selector) {
+    const list = Array.isArray(selector) ? selector : [selector];
+    return list
+      .map(item => typeof item === 'string'
+        ? { selector: item, options: {} }
+        : { selector: item && item.selector, options: (item && item.options) || {} })
+      .filter(({ selector: sel }) => typeof sel === 'string' && sel.trim() !== '');
+  }
+
+  /**
+   * Return the options of the first configured selector the element matches.
+   *
+   * @param {Element} el - Element to test
+   * @returns {Object|null} Selector options, or null if no selector matches
+   * @private
+   */
+  _matchSelectors(el) {
+    if (!el.matches) return null;
+    const match = this.selectors.find(({ selector }) => el.matches(selector));
+    return match ? match.options : null;
+  }
+
+  /**
+   * Register every element in a scope that matches a configured selector.
+   *
+   * @param {Document|Element|ShadowRoot} scope - Where to look
+   * @param {Object} [extraOptions] - Options applied on top of each selector's own
+   * @private
+   */
+  _discoverIn(scope, extraOptions = {}) {
+    this.selectors.forEach(({ selector, options }) => {
+      this._queryAll(selector, scope).forEach(el => this._addDiscovered(el, { ...options, ...extraOptions }));
+    });
+    if (this.frames) {
+      this._queryAll('iframe', scope).forEach(iframe => this._attachFrame(iframe));
     }
+  }
 
-    // Store original pointer-events and set to 'none' initially
-    const originalPointerEvents = el.style.pointerEvents || computedStyle.pointerEvents; // Get computed if not inline
-    el.style.pointerEvents = 'none'; // Start as non-interactive
+  /**
+   * Start tracking an iframe. Its current document is connected right away when it is
+   * same-origin, and every document it navigates to later is picked up on `load`.
+   *
+   * @param {HTMLIFrameElement} iframe - Frame element found in a scanned scope
+   * @private
+   */
+  _attachFrame(iframe) {
+    if (this._frames.has(iframe)) return;
 
-    // Prepare registry entry
-    const entry = {
-        el,
-        canvas,
-        ctx,
-        threshold,
-        originalPointerEvents,
-        img: null, // Image object will be loaded
-        imageLoaded: false,
-        currentSrc: src,
-        isVisible: true, // Assume visible initially (will be updated by IntersectionObserver if enabled)
-        _lastOpaqueState: null, // Track opaque/transparent state for custom events
-        _transformCache: null, // Cache for transform matrix calculations (performance optimization)
-        _lastTransform: computedStyle.transform // Track transform changes for cache invalidation
+    const record = {
+      doc: null,
+      onLoad: () => this._connectFrameDocument(iframe),
+      onPageHide: () => this._disconnectFrameDocument(iframe)
     };
-    this.registry.set(el, entry);
+    this._frames.set(iframe, record);
+    iframe.addEventListener('load', record.onLoad);
+    this._connectFrameDocument(iframe);
+  }
 
+  /**
+   * Scan, observe and listen to the iframe's current document.
+   * Cross-origin documents can't be reached and are skipped silently.
+   *
+   * @param {HTMLIFrameElement} iframe - Tracked frame element
+   * @private
+   */
+  _connectFrameDocument(iframe) {
+    const record = this._frames.get(iframe);
+    if (!record) return;
 
-    // Check cache before loading
-    if (MASK_CACHE.has(src)) {
-        const cachedImg = MASK_CACHE.get(src);
-        entry.img = cachedImg;
-        entry.imageLoaded = true;
-        this._drawBackgroundToCanvas(entry);
-        
-        // Setup observers immediately since image is already loaded
-        const ro = new ResizeObserver(() => this._updateCanvas(entry));
-        ro.observe(el);
-        this._resizeObservers.set(el, ro);
-        
-        if (this.useIntersectionObserver) {
-            if (!this._intersectionObserver) {
-                this._setupIntersectionObserver();
-            }
-            if (this._intersectionObserver && !this._intersectionElements.has(el)) {
-                this._intersectionObserver.observe(el);
-                this._intersectionElements.add(el);
-                entry.isVisible = true;
-            }
+    let doc = null;
+    try {
+      doc = iframe.contentDocument; // null for cross-origin frames (older browsers throw instead)
+    } catch {
+      doc = null;
+    }
+    if (!doc || doc === record.doc) return;
+
+    this._disconnectFrameDocument(iframe); // Drop the previous document after a navigation
+    record.doc = doc;
+    if (doc.defaultView) {
+      doc.defaultView.addEventListener('pagehide', record.onPageHide);
+    }
+    if (this._listenersAttached) {
+      this._addPointerListeners(doc);
+    }
+
+    if (this.log) console.log(`AME: Tracking frame document ${doc.URL}`);
+    this._discoverIn(doc);
+    this._observeMutations();
+    this._observeScope(doc);
+  }
+
+  /**
+   * Stop listening to the iframe's current document and unregister everything found in it,
+   * including nested frames. The iframe itself stays tracked for its next `load`.
+   *
+   * @param {HTMLIFrameElement} iframe - Tracked frame element
+   * @private
+   */
+  _disconnectFrameDocument(iframe) {
+    const record = this._frames.get(iframe);
+    if (!record || !record.doc) return;
+
+    const doc = record.doc;
+    record.doc = null;
+    this._removePointerListeners(doc);
+    if (doc.defaultView) {
+      doc.defaultView.removeEventListener('pagehide', record.onPageHide);
+    }
+
+    this._frames.forEach((nested, frame) => {
+      if (frame.ownerDocument === doc) this._detachFrame(frame);
+    });
+    this.registry.forEach((entry, el) => {
+      if (el.ownerDocument === doc) this.remove(el);
+    });
+  }
+
+  /**
+   * Stop tracking an iframe altogether, e.g. once it is removed from the DOM.
+   *
+   * @param {HTMLIFrameElement} iframe - Tracked frame element
+   * @private
+   */
+  _detachFrame(iframe) {
+    const record = this._frames.get(iframe);
+    if (!record) return;
+
+    this._disconnectFrameDocument(iframe);
+    iframe.removeEventListener('load', record.onLoad);
+    this._frames.delete(iframe);
+  }
+
+  /**
+   * Offset of a frame document's viewport within the top-level viewport, summed over
+   * every iframe in between. Each iframe's border and padding are included; CSS transforms
+   * applied to the iframe element itself are not.
+   *
+   * @param {Document} doc - Document the coordinates belong to
+   * @returns {Object} `{ x, y }` to add to the document's client coordinates
+   * @private
+   */
+  _frameOffset(doc) {
+    let x = 0;
+    let y = 0;
+    for (let current = doc; current && current !== document;) {
+      const frame = current.defaultView && current.defaultView.frameElement;
+      if (!frame) break;
+
+      const rect = frame.getBoundingClientRect();
+      const style = computedStyleOf(frame);
+      x += rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+      y += rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+      current = frame.ownerDocument;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Document an event was dispatched in, so its client coordinates can be placed.
+   *
+   * @param {Event} e - Pointer event
+   * @returns {Document}
+   * @private
+   */
+  _eventDocument(e) {
+    const target = e.target;
+    if (!target) return document;
+    if (target.nodeType === Node.DOCUMENT_NODE) return target;
+    return target.ownerDocument || document;
+  }
+
+  /**
+   * Find every element within a scope matching a selector, including the scope itself
+   * and the contents of open shadow roots.
+   *
+   * @param {string} selector - CSS selector
+   * @param {Document|Element|ShadowRoot} [scope=this.root] - Where to look; nothing is found
+   *        without one, e.g. when the root option matched no element
+   * @returns {Array<Element>}
+   * @private
+   */
+  _queryAll(selector, scope = this.root) {
+    const matches = [];
+    if (!scope) return matches;
+    if (scope.matches && scope.matches(selector)) {
+      matches.push(scope);
+    }
+    [scope, ...this._shadowRootsWithin(scope)].forEach(container => {
+      if (container.querySelectorAll) {
+        matches.push(...container.querySelectorAll(selector));
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Collect the open shadow roots inside a scope, at any depth.
+   * Each root is visited once, since querySelectorAll never crosses a shadow boundary.
+   *
+   * @param {Document|Element|ShadowRoot} scope - Where to look
+   * @returns {Array<ShadowRoot>}
+   * @private
+   */
+  _shadowRootsWithin(scope) {
+    const roots = [];
+    if (!this.shadowDom) return roots;
+
+    const collect = container => {
+      container.querySelectorAll('*').forEach(child => {
+        if (child.shadowRoot) {
+          roots.push(child.shadowRoot);
+          collect(child.shadowRoot);
         }
+      });
+    };
+
+    if (scope.shadowRoot) {
+      roots.push(scope.shadowRoot);
+      collect(scope.shadowRoot);
+    }
+    if (scope.querySelectorAll) {
+      collect(scope);
+    }
+    return roots;
+  }
+
+  /**
+   * Whether `node` is `ancestor` or inside it, following shadow hosts across boundaries.
+   *
+   * @param {Node} ancestor - Possible ancestor
+   * @param {Node} node - Node to test
+   * @returns {boolean}
+   * @private
+   */
+  _containsDeep(ancestor, node) {
+    for (let current = node; current; current = current.parentNode || current.host) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Turn an element, selector, NodeList or array into a list of elements.
+   *
+   * @param {HTMLElement|string|Iterable<HTMLElement>} target - What to resolve
+   * @returns {Array<Element>}
+   * @private
+   */
+  _resolveElements(target) {
+    if (!target) return [];
+    if (typeof target === 'string') return this._queryAll(target);
+    if (typeof target[Symbol.iterator] === 'function' && !target.nodeType) {
+      return Array.from(target);
+    }
+    return [target];
+  }
+
+  /**
+   * Read per-element options from `data-ame-*` attributes.
+   * Attribute names are camel-cased (`data-ame-hit-radius` → `hitRadius`); numeric and
+   * boolean values are converted. `data-ame-mask` is handled by mask lookup instead.
+   *
+   * @param {HTMLElement} el - Element to read
+   * @returns {Object} Options found on the element
+   * @private
+   */
+  _readDataOptions(el) {
+    const options = {};
+    Array.from(el.attributes).forEach(({ name, value }) => {
+      if (!name.startsWith(DATA_OPTION_PREFIX) || name === MASK_ATTRIBUTE || name === STATE_ATTRIBUTE) return;
+
+      const key = name.slice(DATA_OPTION_PREFIX.length).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+      const trimmed = value.trim();
+      if (trimmed === 'true' || trimmed === 'false') {
+        options[key] = trimmed === 'true';
+      } else if (trimmed !== '' && !isNaN(Number(trimmed))) {
+        options[key] = Number(trimmed);
+      } else {
+        options[key] = trimmed;
+      }
+    });
+
+    if ('threshold' in options) {
+      if (typeof options.threshold === 'number') {
+        options.threshold = Math.max(0, Math.min(1, options.threshold));
+      } else {
+        if (this.log) console.log(`AME: Ignoring invalid data-ame-threshold "${options.threshold}"`);
+        delete options.threshold;
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Store every valid mask from a CLI output object (or a single mask) in the lookup table.
+   *
+   * @param {Object} table - Parsed mask JSON
+   * @param {string|null} url - URL the JSON was fetched from, used as key for single masks
+   * @private
+   */
+  _registerMaskTable(table, url) {
+    if (!table || typeof table !== 'object') {
+      return;
+    }
+
+    if (this._isValidMask(table)) {
+      if (url) this._maskTable.set(url, table);
+      return;
+    }
+
+    Object.keys(table).forEach(key => {
+      const mask = table[key];
+      if (!this._isValidMask(mask)) {
+        if (this.log) console.log(`AME: Ignoring invalid mask entry "${key}"`);
+        return;
+      }
+      this._maskTable.set(key, mask);
+      this._maskTable.set(this._resolveUrl(key), mask);
+    });
+  }
+
+  /**
+   * Check that an object has the `{ width, height, rects }` shape written by the CLI.
+   *
+   * @param {Object} mask - Candidate mask
+   * @returns {boolean}
+   * @private
+   */
+  _isValidMask(mask) {
+    return !!mask && typeof mask === 'object'
+      && mask.width > 0 && mask.height > 0
+      && Array.isArray(mask.rects);
+  }
+
+  /**
+   * Find a precomputed mask by table key, URL or image source.
+   * Falls back to matching the end of the URL path, since the CLI keys masks by the
+   * file path it was given rather than by the URL the image is served from.
+   *
+   * @param {string|null} key - Mask key, mask URL or image src
+   * @returns {Object|null} The mask, or null if none matches
+   * @private
+   */
+  _lookupMask(key) {
+    if (!key || this._maskTable.size === 0) {
+      return null;
+    }
+
+    const direct = this._maskTable.get(key) || this._maskTable.get(this._resolveUrl(key));
+    if (direct) {
+      return direct;
+    }
+
+    const path = this._resolveUrl(key).split('?')[0].split('#')[0];
+    for (const [maskKey, mask] of this._maskTable) {
+      const suffix = maskKey.replace(/^\.?\//, '');
+      if (suffix && path.endsWith(`/${suffix}`)) {
+        return mask;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Return a promise for mask data the element still depends on, or null if lookup can run now.
+   * This covers the global `masks` URL and a `data-ame-mask` attribute pointing at an unloaded JSON file.
+   *
+   * @param {HTMLElement} el - Element being registered
+   * @returns {Promise|null}
+   * @private
+   */
+  _pendingMaskLoad(el) {
+    const maskRef = el.getAttribute(MASK_ATTRIBUTE);
+    const needsRef = maskRef && !this._masksPending && !this._lookupMask(maskRef);
+
+    if (needsRef) {
+      return this.loadMasks(maskRef);
+    }
+    if (this._masksPending && maskRef) {
+      return this._masksPending.then(() => this._lookupMask(maskRef) ? null : this.loadMasks(maskRef));
+    }
+    return this._masksPending;
+  }
+
+  /**
+   * Resolve a possibly relative URL against the document base.
+   *
+   * @param {string} url - URL or path
+   * @returns {string} Absolute URL, or the input if it cannot be resolved
+   * @private
+   */
+  _resolveUrl(url) {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Detect and validate the format of each image layer.
+   *
+   * @param {Array<Object>} layers - Layers from _readLayers
+   * @private
+   */
+  _detectFormats(layers) {
+    layers.forEach(layer => {
+      if (layer.kind === 'image') {
+        layer.formatDetection = detectImageFormat(layer.src);
+        this._reportFormat(layer.formatDetection);
+      }
+    });
+  }
+
+  /**
+   * Start loading a set of layers, waiting for mask tables still being fetched before
+   * choosing between a precomputed mask and canvas sampling.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Array<Object>} layers - The entry's layers or pending layers
+   * @private
+   */
+  _startLoading(entry, layers) {
+    const pending = this._pendingMaskLoad(entry.el);
+    if (pending) {
+      const proceed = () => this._loadEntrySource(entry, layers);
+      pending.then(proceed, proceed);
     } else {
-        // Load new image
-        const img = new window.Image();
-        img.crossOrigin = 'Anonymous';
-        img.onload = () => {
-            entry.img = img;
-            entry.imageLoaded = true;
-            this._drawBackgroundToCanvas(entry);
-
-            // Setup observers
-            const ro = new ResizeObserver(() => this._updateCanvas(entry));
-            ro.observe(el);
-            this._resizeObservers.set(el, ro);
-
-            if (this.useIntersectionObserver) {
-                if (!this._intersectionObserver) {
-                    this._setupIntersectionObserver();
-                }
-                if (this._intersectionObserver && !this._intersectionElements.has(el)) {
-                    this._intersectionObserver.observe(el);
-                    this._intersectionElements.add(el);
-                    entry.isVisible = true;
-                }
-            }
-            
-            // Add to cache for future use
-            MASK_CACHE.set(src, img);
-            };
-            img.onerror = (e) => {
+      this._loadEntrySource(entry, layers);
+    }
+  }
+
+  /**
+   * Rebuild an img's layers after its current source changed: a srcset/sizes candidate
+   * switch, a `<picture>` source whose media query flipped, or a new src. The element stays
+   * registered and keeps its pointer-events; the previous mask is used until the new one is ready.
+   *
+   * @param {Object} entry - Registry entry of an img
+   * @private
+   */
+  _swapSource(entry) {
+    const { el } = entry;
+    if (this.registry.get(el) !== entry) return;
+
+    const computedStyle = computedStyleOf(el);
+    const source = this._readSource(el, computedStyle);
+    if (source === entry.source) return;
+
+    const layers = this._readLayers(el, computedStyle);
+    if (layers.length === 0) {
+      this.remove(el); // Source removed; nothing left to test
+      return;
+    }
+
+    if (this.log) console.log(`AME: Image source changed to ${source}`);
+    this._detectFormats(layers);
+    entry.source = source;
+    entry.pendingLayers = layers; // Replaces any swap still in flight
+    this._startLoading(entry, layers);
+  }
+
+  /**
+   * Choose between a precomputed mask and canvas sampling for each image layer and start
+   * loading. A `data-ame-mask` attribute applies to the topmost image.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Array<Object>} [layers=entry.layers] - The entry's layers or pending layers
+   * @private
+   */
+  _loadEntrySource(entry, layers = entry.layers) {
+    if (this.registry.get(entry.el) !== entry) {
+      return; // Unregistered while masks were loading
+    }
+    if (layers !== entry.layers && layers !== entry.pendingLayers) {
+      return; // Superseded by a newer source
+    }
+
+    const maskRef = entry.el.getAttribute(MASK_ATTRIBUTE);
+    layers
+      .filter(layer => layer.kind === 'image')
+      .forEach((layer, i) => {
+        // Precomputed masks hold alpha only
+        const mask = layer.mode === 'alpha' && ((i === 0 && this._lookupMask(maskRef)) || this._lookupMask(layer.src));
+        if (mask) {
+          this._applyPrecomputedMask(entry, layer, mask);
+        } else {
+          this._loadImage(entry, layer);
+        }
+      });
+    layers
+      .filter(layer => layer.kind === 'svg')
+      .forEach(layer => this._rasterizeSvg(entry, layer));
+    layers
+      .filter(layer => layer.kind === 'video')
+      .forEach(layer => this._startVideo(entry, layer));
+    layers
+      .filter(layer => layer.kind === 'canvas')
+      .forEach(layer => this._startCanvas(entry, layer));
+    this._onLayerSettled(entry); // Gradient-only entries are ready right away
+  }
+
+  /**
+   * Mark the entry ready once every image layer has settled, starting observation.
+   * Pending layers of a new img source replace the current ones once they have all settled.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _onLayerSettled(entry) {
+    if (this.registry.get(entry.el) !== entry) return;
+    if (entry.pendingLayers) {
+      if (!entry.pendingLayers.every(layer => layer.loaded)) return;
+      entry.layers = entry.pendingLayers;
+      entry.pendingLayers = null;
+      if (this.log) console.log('AME: Swapped mask for', entry.el);
+    }
+    if (entry.imageLoaded) return;
+    if (entry.layers.every(layer => layer.loaded)) {
+      entry.imageLoaded = true;
+      this._onEntryImageReady(entry);
+    }
+  }
+
+  /**
+   * Use a precomputed mask instead of decoding the image.
+   *
+   * Only the image's natural dimensions are needed to validate the mask. The probe image is
+   * loaded without CORS, so masks work for cross-origin images whose canvas would be tainted.
+   * A mask whose size doesn't match the image falls back to canvas sampling.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Object} layer - Image layer of the entry
+   * @param {Object} mask - `{ width, height, rects }`
+   * @private
+   */
+  _applyPrecomputedMask(entry, layer, mask) {
+    const { el } = entry;
+    const { src } = layer;
+
+    const useMask = (width, height) => {
+      if (this.registry.get(el) !== entry) return;
+
+      if (width !== mask.width || height !== mask.height) {
+        console.warn(`AME: Precomputed mask for ${src} is ${mask.width}x${mask.height} but the image is ${width}x${height}; falling back to canvas sampling`);
+        this._loadImage(entry, layer);
+        return;
+      }
+
+      layer.bitmap = this._bitmapFromRects(mask);
+      layer.maskSource = 'precomputed';
+      layer.loaded = true;
+      this._onLayerSettled(entry);
+    };
+
+    if (el.tagName === 'IMG' && el.complete && el.naturalWidth > 0) {
+      useMask(el.naturalWidth, el.naturalHeight);
+      return;
+    }
+
+    const probe = new window.Image();
+    probe.onload = () => useMask(probe.naturalWidth || probe.width, probe.naturalHeight || probe.height);
+    probe.onerror = () => this._loadImage(entry, layer);
+    probe.src = src;
+  }
+
+  /**
+   * Build an alpha bitmap from the opaque rectangles of a precomputed mask.
+   *
+   * @param {Object} mask - `{ width, height, rects }`
+   * @returns {Object} `{ width, height, data }` with 255 inside rects and 0 elsewhere
+   * @private
+   */
+  _bitmapFromRects(mask) {
+    if (ALPHA_BITMAPS.has(mask)) {
+      return ALPHA_BITMAPS.get(mask);
+    }
+
+    const { width, height, rects } = mask;
+    const data = new Uint8Array(width * height);
+    rects.forEach(({ x, y, w, h }) => {
+      const x0 = Math.max(0, x);
+      const x1 = Math.min(width, x + w);
+      for (let row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+        data.fill(255, row * width + x0, row * width + x1);
+      }
+    });
+
+    const bitmap = { width, height, data };
+    ALPHA_BITMAPS.set(mask, bitmap);
+    return bitmap;
+  }
+
+  /**
+   * Decode an image's alpha channel (or its luminance, for luminance mask layers) into a
+   * bitmap at its natural size. Done once per image and mode; every element using the
+   * image shares the result.
+   *
+   * @param {HTMLImageElement} img - Loaded image
+   * @param {string} [mode='alpha'] - 'alpha' or 'luminance'
+   * @returns {Object|null} `{ width, height, data }`, or null if the canvas is tainted (CORS)
+   * @private
+   */
+  _decodeBitmap(img, mode = 'alpha') {
+    const cache = mode === 'luminance' ? LUMINANCE_BITMAPS : ALPHA_BITMAPS;
+    if (cache.has(img)) {
+      return cache.get(img);
+    }
+
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    if (!(width > 0 && height > 0)) {
+      return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) {
+      return null; // 2D context not available
+    }
+
+    let bitmap = null;
+    try {
+      ctx.drawImage(img, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+      bitmap = { width, height, data: extractChannel(data, new Uint8Array(width * height), mode) };
+    } catch {
+      // Cross-origin image without CORS headers - the canvas is tainted
+      if (this.log) console.log(`AME: Cannot read pixels of ${img.src}; using approximate hit-testing`);
+    }
+
+    cache.set(img, bitmap);
+    return bitmap;
+  }
+
+  /**
+   * Load an image layer for canvas sampling, reusing MASK_CACHE when possible.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Object} layer - Image layer of the entry
+   * @private
+   */
+  _loadImage(entry, layer) {
+    const { el } = entry;
+    const { src, formatDetection } = layer;
+    layer.maskSource = 'canvas';
+
+    const settle = img => {
+        if (this.registry.get(el) !== entry) return;
+        layer.img = img;
+        layer.bitmap = this._decodeBitmap(img, layer.mode);
+        layer.loaded = true;
+        this._onLayerSettled(entry);
+        this._loadAnimation(entry, layer);
+    };
+    const drop = () => {
+        if (this.registry.get(el) !== entry) return;
+
+        // Drop the broken layer; an element with nothing left to test is unregistered
+        const list = entry.pendingLayers && entry.pendingLayers.includes(layer) ? 'pendingLayers' : 'layers';
+        entry[list] = entry[list].filter(other => other !== layer);
+        if (entry[list].length === 0) {
+            this.remove(el);
+        } else {
+            this._onLayerSettled(entry);
+        }
+    };
+
+    // Check cache before loading; an image still loading for another layer settles both
+    const cached = MASK_CACHE.get(src);
+    if (cached) {
+        if (cached.loaded) {
+            settle(cached.img);
+        } else {
+            cached.waiting.push({ settle, drop });
+        }
+        return;
+    }
+
+    // Load new image
+    const img = new window.Image();
+    const record = { img, loaded: false, waiting: [] };
+    img.crossOrigin = 'Anonymous';
+    img.onload = () => {
+        record.loaded = true;
+        settle(img);
+        record.waiting.splice(0).forEach(waiter => waiter.settle(img));
+    };
+    img.onerror = () => {
         // Provide format-specific error messages and advice
         const format = formatDetection.format;
         if (format === 'webp') {
@@ -281,34 +1630,695 @@ export default class Manager {
         } else {
           console.info(`Image failed to load: ${src}`);
         }
-        
-        this.remove(el);
-        };
-        img.src = src; // Start loading
-        
-        // Add to cache after successful load
-        MASK_CACHE.set(src, img);
+
+        MASK_CACHE.delete(src);
+        drop();
+        record.waiting.splice(0).forEach(waiter => waiter.drop());
+    };
+    img.src = src; // Start loading
+
+    // Cache immediately so concurrent registrations share the request
+    MASK_CACHE.set(src, record);
+  }
+
+  /**
+   * Decode an animated image frame by frame once its first frame is in use. The union of all
+   * frames, or the frame showing, then replaces the single frame the image was drawn with.
+   * Needs `ImageDecoder`; elsewhere, and for images that aren't animated, nothing changes.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Object} layer - Image layer of the entry, decoded from canvas
+   * @private
+   */
+  _loadAnimation(entry, layer) {
+      const animation = entry.options.animation ?? this.animation;
+      if (!animation || !window.ImageDecoder) return;
+      const type = this._animatableType(layer.src);
+      if (!type || !layer.bitmap) return; // Not animatable, or tainted
+
+      const key = `${animation} ${layer.mode} ${layer.src}`;
+      if (!ANIMATIONS.has(key)) {
+          ANIMATIONS.set(key, this._decodeAnimation(layer.src, type, layer.mode, animation === 'union'));
+      }
+      ANIMATIONS.get(key).then(decoded => {
+          if (!decoded || !this._layerInUse(entry, layer)) return;
+          if (this.log) console.log(`AME: Decoded ${decoded.frameCount} frames of ${layer.src}`);
+          layer.animation = decoded;
+          if (animation === 'union') {
+              layer.bitmap = decoded.union;
+          } else {
+              this._watchAnimation(entry, layer);
+          }
+          if (this._lastEvent) {
+              this._onPointerEvent(this._lastEvent);
+          }
+      });
+  }
+
+  /**
+   * MIME type of an image that may be animated, from its data: URL or file extension.
+   *
+   * @param {string} src - Image URL
+   * @returns {string|null}
+   * @private
+   */
+  _animatableType(src) {
+      const dataType = src.match(/^data:(image\/[\w.+-]+)[;,]/i);
+      if (dataType) {
+          const type = dataType[1].toLowerCase();
+          return Object.values(ANIMATABLE_TYPES).includes(type) ? type : null;
+      }
+      return ANIMATABLE_TYPES[detectImageFormat(src).format] || null;
+  }
+
+  /**
+   * Whether a layer still belongs to a registered entry, as opposed to one replaced by a newer source.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Object} layer - One of its layers, current or pending
+   * @returns {boolean}
+   * @private
+   */
+  _layerInUse(entry, layer) {
+      return this.registry.get(entry.el) === entry &&
+          (entry.layers.includes(layer) || (!!entry.pendingLayers && entry.pendingLayers.includes(layer)));
+  }
+
+  /**
+   * Fetch an animated image again and read every frame with `ImageDecoder`. The request is
+   * usually answered from the HTTP cache; like the image itself, a cross-origin one needs CORS.
+   * For 'union' only the union is kept; otherwise each frame's bitmap and duration.
+   * The animation is timed from when decoding started, since browsers play one timeline per image.
+   *
+   * @param {string} src - Image URL
+   * @param {string} type - MIME type to assume when the response doesn't name one
+   * @param {string} mode - 'alpha' or 'luminance'
+   * @param {boolean} unionOnly - Keep only the union of all frames
+   * @returns {Promise<Object|null>} Null when the image isn't animated or can't be decoded
+   * @private
+   */
+  async _decodeAnimation(src, type, mode, unionOnly) {
+      const startedAt = Date.now();
+      let decoder = null;
+      try {
+          const response = await fetch(src);
+          if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+          }
+          const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim() || type;
+          if (!(await window.ImageDecoder.isTypeSupported(mimeType))) return null;
+
+          decoder = new window.ImageDecoder({ data: response.body, type: mimeType });
+          await decoder.tracks.ready;
+          const track = decoder.tracks.selectedTrack;
+          if (!track || !track.animated) return null;
+          await decoder.completed; // frameCount is final once every byte has arrived
+          if (track.frameCount < 2) return null;
+
+          const canvas = document.createElement('canvas');
+          const frames = [];
+          let union = null;
+          let duration = 0;
+          for (let frameIndex = 0; frameIndex < track.frameCount; frameIndex++) {
+              const { image } = await decoder.decode({ frameIndex });
+              let bitmap;
+              try {
+                  bitmap = this._readFrame(canvas, image, mode);
+              } finally {
+                  image.close();
+              }
+              if (!bitmap) return null;
+
+              const frameDuration = (image.duration || 0) / 1000; // Microseconds
+              const shown = frameDuration <= 10 ? 100 : frameDuration;
+              duration += shown;
+              if (!union) {
+                  union = { width: bitmap.width, height: bitmap.height, data: new Uint8Array(bitmap.data) };
+              } else if (bitmap.data.length === union.data.length) {
+                  bitmap.data.forEach((value, i) => {
+                      if (value > union.data[i]) union.data[i] = value;
+                  });
+              }
+              if (!unionOnly) frames.push({ bitmap, duration: shown });
+          }
+
+          return {
+              width: union.width,
+              height: union.height,
+              union,
+              frames,
+              frameCount: track.frameCount,
+              duration,
+              repetitionCount: track.repetitionCount ?? Infinity,
+              startedAt
+          };
+      } catch (error) {
+          if (this.log) console.log(`AME: Cannot decode frames of ${src} (${error.message}); using a single frame`);
+          return null;
+      } finally {
+          if (decoder) decoder.close();
+      }
+  }
+
+  /**
+   * Read one decoded frame into a bitmap.
+   *
+   * @param {HTMLCanvasElement} canvas - Scratch canvas, resized as needed
+   * @param {Object} image - Decoded `VideoFrame`
+   * @param {string} mode - 'alpha' or 'luminance'
+   * @returns {Object|null} `{ width, height, data }`
+   * @private
+   */
+  _readFrame(canvas, image, mode) {
+      const width = image.displayWidth;
+      const height = image.displayHeight;
+      if (canvas.width !== width || canvas.height !== height) {
+          canvas.width = width;
+          canvas.height = height;
+      }
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      if (!ctx) return null;
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+      return { width, height, data: extractChannel(data, new Uint8Array(width * height), mode) };
+  }
+
+  /**
+   * Follow an animation's frames: show the current one and, at each frame change, re-run the
+   * last hit-test so pointer-events follow the animation even when the pointer stays still.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Object} layer - Image layer with a decoded per-frame animation
+   * @private
+   */
+  _watchAnimation(entry, layer) {
+      const tick = () => {
+          layer.animationTimer = null;
+          if (!this._layerInUse(entry, layer)) return;
+
+          const { frame, remaining } = frameAt(layer.animation, Date.now() - layer.animation.startedAt);
+          if (frame.bitmap !== layer.bitmap) {
+              layer.bitmap = frame.bitmap;
+              if (this._lastEvent && entry.isVisible !== false) {
+                  this._onPointerEvent(this._lastEvent);
+              }
+          }
+          if (remaining !== Infinity) {
+              layer.animationTimer = window.setTimeout(tick, remaining);
+          }
+      };
+      tick();
+  }
+
+  /**
+   * Start resize/visibility observation for an entry whose layers are ready.
+   * Resizing only invalidates the cached layouts; bitmaps are never redrawn.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _onEntryImageReady(entry) {
+    const { el } = entry;
+
+    const ro = new ResizeObserver(() => {
+      this._invalidateLayout(entry);
+      this._refreshSvg(entry); // Inline svg is rasterized at its rendered size
+    });
+    ro.observe(el);
+    this._resizeObservers.set(el, ro);
+
+    if (this.useIntersectionObserver) {
+        if (!this._intersectionObserver) {
+            this._setupIntersectionObserver();
+        }
+        if (this._intersectionObserver && !this._intersectionElements.has(el)) {
+            this._intersectionObserver.observe(el);
+            this._intersectionElements.add(el);
+            entry.isVisible = true;
+        }
+    }
+  }
+
+  /**
+   * Drop the cached layout of every layer and the cached pointer mapping, e.g. after a resize or
+   * style change.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _invalidateLayout(entry) {
+    entry.layers.forEach(layer => {
+      layer.layout = null;
+    });
+    entry.pointerMapper = null;
+  }
+
+  /**
+   * Rendered content size of an inline svg in CSS pixels: the computed width/height,
+   * falling back to its layout box and then to its width/height attributes.
+   *
+   * @param {SVGSVGElement} el - Registered svg
+   * @returns {Object} `{ width, height }`, zero when it isn't rendered
+   * @private
+   */
+  _svgSize(el) {
+      const computedStyle = computedStyleOf(el);
+      const px = value => (value && value.endsWith('px') ? parseFloat(value) : 0);
+      // Content box edges measured from a zero-size border box: left/top are the start insets,
+      // right/bottom the negated end insets
+      const insets = this._backgroundBoxes(computedStyle, 0, 0)['content-box'];
+
+      let width = px(computedStyle.width);
+      let height = px(computedStyle.height);
+      if (computedStyle.boxSizing === 'border-box') {
+          width -= insets.left - insets.right;
+          height -= insets.top - insets.bottom;
+      }
+      if (!(width > 0 && height > 0)) {
+          const rect = el.getBoundingClientRect();
+          width = rect.width - (insets.left - insets.right);
+          height = rect.height - (insets.top - insets.bottom);
+      }
+      if (!(width > 0 && height > 0)) {
+          width = parseFloat(el.getAttribute('width')) || 0;
+          height = parseFloat(el.getAttribute('height')) || 0;
+      }
+      return { width: Math.max(0, width), height: Math.max(0, height) };
+  }
+
+  /**
+   * Serialize an svg layer's element at its rendered size and decode the result into the
+   * layer's bitmap. An svg that isn't rendered yet settles without a bitmap and is
+   * rasterized once the ResizeObserver reports a size.
+   *
+   * @param {Object} entry - Registry entry of an inline svg
+   * @param {Object} layer - The entry's svg layer (current or pending)
+   * @param {Object} [serialized] - `{ markup, width, height }` when already serialized
+   * @private
+   */
+  _rasterizeSvg(entry, layer, serialized) {
+      const { el } = entry;
+      const isCurrent = () => this.registry.get(el) === entry
+          && (entry.layers.includes(layer) || (entry.pendingLayers && entry.pendingLayers.includes(layer)));
+
+      const settle = bitmap => {
+          if (!isCurrent()) return;
+          layer.bitmap = bitmap;
+          layer.loaded = true;
+          this._onLayerSettled(entry);
+      };
+
+      const draw = ({ markup, width, height }) => {
+          if (!isCurrent()) return;
+          Object.assign(layer, { markup, rasterWidth: width, rasterHeight: height });
+          if (!markup) {
+              settle(null);
+              return;
+          }
+
+          const img = new window.Image();
+          img.onload = () => {
+              layer.img = img;
+              settle(this._decodeBitmap(img));
+          };
+          img.onerror = () => {
+              if (this.log) console.log('AME: Could not rasterize inline svg', el);
+              settle(null);
+          };
+          img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+      };
+
+      if (serialized) {
+          draw(serialized);
+      } else {
+          this._serializeSvg(el).then(draw);
+      }
+  }
+
+  /**
+   * Serialize an inline svg for rasterization at its current size.
+   *
+   * @param {SVGSVGElement} el - Registered svg
+   * @returns {Promise<Object>} `{ markup, width, height }`, with null markup when it has no size
+   * @private
+   */
+  _serializeSvg(el) {
+      const { width, height } = this._svgSize(el);
+      if (!(width > 0 && height > 0)) {
+          return Promise.resolve({ markup: null, width, height });
+      }
+      return serializeSvg(el, width, height, window.devicePixelRatio || 1)
+          .then(markup => ({ markup, width, height }));
+  }
+
+  /**
+   * Re-rasterize an inline svg after its DOM or size changed. The current bitmap stays in use
+   * until the new one is decoded, and nothing happens when the serialized markup is unchanged.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _refreshSvg(entry) {
+      if (this.registry.get(entry.el) !== entry) return;
+      const current = (entry.pendingLayers || entry.layers).find(layer => layer.kind === 'svg');
+      if (!current || !current.loaded) return; // First rasterization still running
+
+      this._serializeSvg(entry.el).then(serialized => {
+          const layers = entry.pendingLayers || entry.layers;
+          const latest = layers.find(layer => layer.kind === 'svg');
+          if (this.registry.get(entry.el) !== entry || !latest) return;
+          if (latest.markup === serialized.markup) return;
+
+          if (this.log) console.log('AME: Re-rasterizing inline svg', entry.el);
+          const fresh = { ...latest, img: null, bitmap: null, loaded: false, layout: null };
+          entry.pendingLayers = layers.map(layer => (layer === latest ? fresh : layer));
+          this._rasterizeSvg(entry, fresh, serialized);
+      });
+  }
+
+  /**
+   * Start sampling a video layer: the first frame settles the layer once the video has data,
+   * then frames are resampled as they are presented (requestVideoFrameCallback) and on
+   * demand at hit-test time, at most `videoSampleRate` times per second.
+   *
+   * @param {Object} entry - Registry entry of a video
+   * @param {Object} layer - The entry's video layer
+   * @private
+   */
+  _startVideo(entry, layer) {
+      const video = entry.el;
+      this._resetFrameState(layer);
+      Object.assign(layer, { frameCallback: null, onLoadedData: null });
+
+      const begin = () => {
+          layer.onLoadedData = null;
+          if (this.registry.get(video) !== entry) return;
+          this._captureFrame(entry, layer);
+          layer.loaded = true;
+          this._onLayerSettled(entry);
+          this._watchVideoFrames(entry, layer);
+      };
+
+      if (video.readyState >= 2) { // HAVE_CURRENT_DATA
+          begin();
+      } else {
+          layer.onLoadedData = begin;
+          video.addEventListener('loadeddata', begin, { once: true });
+      }
+  }
+
+  /**
+   * Resample each presented frame (subject to the sample rate) and re-run the last hit-test,
+   * so a character moving under a still pointer updates pointer-events.
+   *
+   * @param {Object} entry - Registry entry of a video
+   * @param {Object} layer - The entry's video layer
+   * @private
+   */
+  _watchVideoFrames(entry, layer) {
+      const video = entry.el;
+      if (typeof video.requestVideoFrameCallback !== 'function') {
+          return; // Frames are only sampled on demand at hit-test time
+      }
+
+      const onFrame = () => {
+          layer.frameCallback = video.requestVideoFrameCallback(onFrame);
+          if (entry.isVisible === false || !this._frameDue(entry, layer)) return;
+          this._captureFrame(entry, layer);
+          if (this._lastEvent) {
+              this._onPointerEvent(this._lastEvent);
+          }
+      };
+      layer.frameCallback = video.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * Stop sampling a video layer.
+   *
+   * @param {Object} entry - Registry entry of a video
+   * @param {Object} layer - The entry's video layer
+   * @private
+   */
+  _stopVideo(entry, layer) {
+      const video = entry.el;
+      if (layer.onLoadedData) {
+          video.removeEventListener('loadeddata', layer.onLoadedData);
+          layer.onLoadedData = null;
+      }
+      if (layer.frameCallback !== null && typeof video.cancelVideoFrameCallback === 'function') {
+          video.cancelVideoFrameCallback(layer.frameCallback);
+      }
+      layer.frameCallback = null;
+  }
+
+  /**
+   * Start sampling a canvas layer: it is copied right away, then resampled after invalidate()
+   * at hit-test time and, with a `canvasSampleRate`, on a timer as well.
+   *
+   * @param {Object} entry - Registry entry of a canvas
+   * @param {Object} layer - The entry's canvas layer
+   * @private
+   */
+  _startCanvas(entry, layer) {
+      this._resetFrameState(layer);
+      layer.sampleTimer = null;
+      this._captureFrame(entry, layer);
+      layer.loaded = true;
+      this._watchCanvas(entry, layer);
+  }
+
+  /**
+   * Resample a canvas `canvasSampleRate` times per second and re-run the last hit-test, so
+   * drawing that third-party code animates under a still pointer updates pointer-events.
+   * Does nothing while the timer runs or without a sample rate.
+   *
+   * @param {Object} entry - Registry entry of a canvas
+   * @param {Object} layer - The entry's canvas layer
+   * @private
+   */
+  _watchCanvas(entry, layer) {
+      const interval = () => {
+          const rate = entry.options.canvasSampleRate ?? this.canvasSampleRate;
+          return rate > 0 && !layer.tainted ? 1000 / rate : null;
+      };
+      if (layer.sampleTimer || !interval()) return;
+
+      const tick = () => {
+          layer.sampleTimer = null;
+          if (this.registry.get(entry.el) !== entry || !interval()) return;
+          if (entry.isVisible !== false && this._frameDue(entry, layer)) {
+              this._captureFrame(entry, layer);
+              if (this._lastEvent) {
+                  this._onPointerEvent(this._lastEvent);
+              }
+          }
+          const wait = layer.sampledAt + interval() - Date.now();
+          layer.sampleTimer = window.setTimeout(tick, wait > 0 ? wait : interval());
+      };
+      layer.sampleTimer = window.setTimeout(tick, interval());
+  }
+
+  /**
+   * Initial sampling state of a video or canvas layer.
+   *
+   * @param {Object} layer - Video or canvas layer
+   * @private
+   */
+  _resetFrameState(layer) {
+      Object.assign(layer, { sampledAt: -Infinity, frameTime: null, canvas: null, tainted: false, dirty: false, natural: null });
+  }
+
+  /**
+   * Whether a video or canvas layer should be resampled before it is read: after invalidate(),
+   * or once the sample interval has passed (for videos, only when a new frame is showing).
+   *
+   * @param {Object} entry - Registry entry of a video or canvas
+   * @param {Object} layer - The entry's video or canvas layer
+   * @returns {boolean}
+   * @private
+   */
+  _frameDue(entry, layer) {
+      if (layer.tainted) return false;
+      if (layer.dirty) return true;
+      if (layer.kind === 'video' && entry.el.currentTime === layer.frameTime) return false;
+      const rate = layer.kind === 'video'
+          ? entry.options.videoSampleRate ?? this.videoSampleRate
+          : entry.options.canvasSampleRate ?? this.canvasSampleRate;
+      return rate > 0 && Date.now() - layer.sampledAt >= 1000 / rate;
+  }
+
+  /**
+   * Draw what a video or canvas currently shows and read its alpha into the layer's bitmap.
+   * Pixels are drawn no larger than the element is rendered, reusing the layer's canvas and
+   * buffer; the element's own context is never touched, so WebGL canvases work too.
+   * A cross-origin source without CORS taints the canvas; it then falls back to approximate
+   * hit-testing and isn't sampled again.
+   *
+   * @param {Object} entry - Registry entry of a video or canvas
+   * @param {Object} layer - The entry's video or canvas layer
+   * @private
+   */
+  _captureFrame(entry, layer) {
+      const source = entry.el;
+      const naturalWidth = layer.kind === 'video' ? source.videoWidth : source.width;
+      const naturalHeight = layer.kind === 'video' ? source.videoHeight : source.height;
+      layer.sampledAt = Date.now();
+      layer.frameTime = layer.kind === 'video' ? source.currentTime : null;
+      layer.dirty = false;
+      if (!(naturalWidth > 0 && naturalHeight > 0)) return;
+
+      if (!layer.natural || layer.natural.width !== naturalWidth || layer.natural.height !== naturalHeight) {
+          layer.natural = { width: naturalWidth, height: naturalHeight };
+          layer.layout = null; // object-fit depends on the natural size
+      }
+
+      const rect = source.getBoundingClientRect();
+      const ratio = window.devicePixelRatio || 1;
+      const scale = Math.min(1, Math.max(rect.width * ratio / naturalWidth, rect.height * ratio / naturalHeight)) || 1;
+      const width = Math.max(1, Math.round(naturalWidth * scale));
+      const height = Math.max(1, Math.round(naturalHeight * scale));
+
+      if (!layer.canvas) {
+          layer.canvas = document.createElement('canvas');
+      }
+      const { canvas } = layer;
+      if (canvas.width !== width || canvas.height !== height) {
+          canvas.width = width;
+          canvas.height = height;
+      }
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      if (!ctx) return;
+
+      try {
+          ctx.clearRect(0, 0, width, height);
+          ctx.drawImage(source, 0, 0, width, height);
+          const { data } = ctx.getImageData(0, 0, width, height);
+          const reuse = layer.bitmap && layer.bitmap.data.length === width * height;
+          const target = reuse ? layer.bitmap.data : new Uint8Array(width * height);
+          layer.bitmap = { width, height, data: extractChannel(data, target) };
+      } catch {
+          // Cross-origin pixels without CORS headers - the canvas is tainted
+          if (this.log) console.log(`AME: Cannot read pixels of ${source.currentSrc || source.tagName.toLowerCase()}; using approximate hit-testing`);
+          layer.bitmap = null;
+          layer.tainted = true;
+      }
+  }
+
+  /**
+   * Tell the manager that what registered elements show has changed, e.g. after drawing into
+   * a registered canvas. Canvases and videos are resampled and inline svg re-rasterized the
+   * next time they are hit-tested, layouts are recomputed, and the last pointer position is
+   * tested again so pointer-events follow the new pixels.
+   *
+   * @param {HTMLElement|string|Iterable<HTMLElement>} [elOrSelector] - Element(s) or selector;
+   *        every registered element when omitted
+   */
+  invalidate(elOrSelector) {
+    const elements = elOrSelector === undefined
+      ? Array.from(this.registry.keys())
+      : this._resolveElements(elOrSelector);
+
+    elements.forEach(el => {
+      const entry = this.registry.get(el);
+      if (!entry) return;
+      this._invalidateLayout(entry);
+      entry.layers.forEach(layer => {
+        if (layer.kind === 'video' || layer.kind === 'canvas') layer.dirty = true;
+      });
+      this._refreshSvg(entry);
+    });
+
+    if (this._lastEvent) {
+      this._onPointerEvent(this._lastEvent);
     }
   }
 
+  /**
+   * Trace the opaque region of a registered element into an outline, e.g. for shape-accurate
+   * focus rings, or as a `clip-path` so the browser's own hit-testing takes over. Layers are
+   * composited the way hit-tests see them, on a grid of at most OUTLINE_RESOLUTION cells each
+   * way, and the traced edges simplified within `tolerance`. Holes and separate islands become
+   * separate subpaths.
+   *
+   * @param {HTMLElement|SVGSVGElement|string} elOrSelector - Registered element, or a selector matching one
+   * @param {Object} [options]
+   * @param {string} [options.format='clip-path'] - 'clip-path' for a CSS `clip-path` value, 'svg-path' for SVG path data
+   * @param {number} [options.tolerance=1] - Largest distance in CSS pixels the outline may stray from the mask edge
+   * @returns {string|null} The outline in CSS pixels of the element's border box, or null when the element
+   *          isn't registered or hasn't loaded yet
+   */
+  getOutline(elOrSelector, { format = 'clip-path', tolerance = DEFAULT_OUTLINE_TOLERANCE } = {}) {
+      if (!OUTLINE_FORMATS.includes(format)) {
+          console.warn(`AME: Unknown outline format "${format}"; expected one of ${OUTLINE_FORMATS.join(', ')}`);
+          return null;
+      }
+      const el = this._resolveElements(elOrSelector).find(candidate => this.registry.has(candidate));
+      const entry = el && this.registry.get(el);
+      if (!entry || !entry.imageLoaded) return null;
+
+      this._beginPass();
+      const box = this._borderBoxSize(el, computedStyleOf(el));
+      const cell = Math.max(1, Math.max(box.width, box.height) / OUTLINE_RESOLUTION);
+      const columns = Math.max(1, Math.ceil(box.width / cell));
+      const rows = Math.max(1, Math.ceil(box.height / cell));
+      const cellWidth = box.width / columns;
+      const cellHeight = box.height / rows;
+
+      const opaque = (column, row) => this._sampleAlpha(
+          entry, (column + 0.5) * cellWidth, (row + 0.5) * cellHeight, box
+      ).alpha > entry.threshold;
+      const round = n => Math.round(n * 100) / 100;
+      const polygons = traceOutline(opaque, columns, rows)
+          .map(polygon => simplify(polygon.map(([x, y]) => [x * cellWidth, y * cellHeight]), tolerance))
+          .filter(polygon => polygon.length >= 3)
+          .map(polygon => polygon.map(([x, y]) => [round(x), round(y)]));
+
+      const pathData = polygons
+          .map(polygon => `M${polygon.map(([x, y]) => `${x} ${y}`).join(' L')} Z`)
+          .join(' ');
+      if (format === 'svg-path') return pathData;
+      if (polygons.length === 0) return 'polygon(0 0)'; // Nothing opaque: clip everything
+      if (polygons.length === 1) return `polygon(${polygons[0].map(([x, y]) => `${x}px ${y}px`).join(', ')})`;
+      return `path('${pathData}')`;
+  }
+
   /**
    * Unregister an element from alpha mask hit-testing.
    *
-   * @param {HTMLElement|string} elOrSelector - DOM element or CSS selector to unregister
+   * @param {HTMLElement|string|Iterable<HTMLElement>} elOrSelector - DOM element, elements, or CSS selector
+   *        (every match within the root is unregistered)
    */
   remove(elOrSelector) {
-    const el = typeof elOrSelector === 'string'
-      ? document.querySelector(elOrSelector)
-      : elOrSelector;
+    const elements = this._resolveElements(elOrSelector);
+    if (elements.length !== 1 || elements[0] !== elOrSelector) {
+        elements.forEach(el => this.remove(el));
+        return;
+    }
 
-    if (!el || !this.registry.has(el)) {
+    const el = elOrSelector;
+    this._cancelPendingImage(el);
+    if (!this.registry.has(el)) {
         return;
     }
 
     const entry = this.registry.get(el);
 
-    // Restore original pointer-events
-    el.style.pointerEvents = entry.originalPointerEvents;
+    // Restore original pointer-events, or drop the state class, attribute or property
+    this._clearState(entry);
+
+    if (entry.onSourceLoad) {
+      el.removeEventListener('load', entry.onSourceLoad);
+    }
+    if (entry.svgObserver) {
+      entry.svgObserver.disconnect();
+    }
+    [...entry.layers, ...(entry.pendingLayers || [])].forEach(layer => {
+      if (layer.kind === 'video') this._stopVideo(entry, layer);
+      if (layer.sampleTimer) window.clearTimeout(layer.sampleTimer);
+      if (layer.animationTimer) window.clearTimeout(layer.animationTimer);
+    });
 
     // Disconnect ResizeObserver
     const ro = this._resizeObservers.get(el);
@@ -336,18 +2346,17 @@ export default class Manager {
    * Set the transparency threshold for all registered elements or a specific one.
    *
    * @param {number} val - New threshold value (0-1)
-   * @param {HTMLElement|string} [elOrSelector] - Optional element or selector to target
+   * @param {HTMLElement|string} [elOrSelector] - Optional element or selector to target (all matches)
    */
   setThreshold(val, elOrSelector) {
       const threshold = Math.max(0, Math.min(1, val)); // Clamp between 0 and 1
 
       if (elOrSelector) {
-          const el = typeof elOrSelector === 'string'
-              ? document.querySelector(elOrSelector)
-              : elOrSelector;
-          if (el && this.registry.has(el)) {
-              this.registry.get(el).threshold = threshold;
-          }
+          this._resolveElements(elOrSelector).forEach(el => {
+              if (this.registry.has(el)) {
+                  this.registry.get(el).threshold = threshold;
+              }
+          });
       } else {
           this.threshold = threshold; // Update global default
           this.registry.forEach(entry => {
@@ -362,33 +2371,97 @@ export default class Manager {
    */
   attachListeners() {
     // Check if listeners are already attached (simple check)
-    if (this._listenersAttached) return;
+    if (this._listenersAttached || this._destroyed) return;
 
     // Use modern pointer events (assumes modern browser support)
-    document.addEventListener('pointermove', this._handler, { passive: true });
-    document.addEventListener('pointerdown', this._handler, { passive: true });
-    document.addEventListener('pointerover', this._handler, { passive: true });
-    
+    this._addPointerListeners(document);
+    this._frames.forEach(({ doc }) => doc && this._addPointerListeners(doc));
+
     this._listenersAttached = true;
   }
 
   /**
-   * Remove all global event listeners and clean up observers.
+   * Remove all global event listeners and clean up observers.
+   */
+  detachListeners() {
+    if (!this._listenersAttached) return;
+
+    // Remove modern pointer events
+    this._removePointerListeners(document);
+    this._frames.forEach(({ doc }) => doc && this._removePointerListeners(doc));
+
+    this._listenersAttached = false;
+    this._teardown();
+  }
+
+  /**
+   * Listen for hit-testing pointer events on a document.
+   * @param {Document} doc - Top-level or frame document
+   * @private
+   */
+  _addPointerListeners(doc) {
+    POINTER_EVENT_TYPES.forEach(type => doc.addEventListener(type, this._handler, { passive: true }));
+    doc.addEventListener('pointerout', this._outHandler, { passive: true });
+    // Added first so gestures are hit-tested before events are forwarded
+    DOWN_EVENT_TYPES.forEach(type => doc.addEventListener(type, this._downHandler, { capture: true, passive: true }));
+    UP_EVENT_TYPES.forEach(type => doc.addEventListener(type, this._upHandler, { capture: true, passive: true }));
+    // Non-passive so a moved mousedown can keep focus off the element it went to, except touch
+    // listeners, which would block scrolling
+    RETARGETED_EVENT_TYPES.forEach(type => doc.addEventListener(type, this._retargetedHandler, { capture: true, passive: type.startsWith('touch') }));
+    // Non-passive so forwarded clicks can cancel the original; wheel listeners would block scrolling
+    FORWARDED_EVENT_TYPES.forEach(type => doc.addEventListener(type, this._forwardHandler, { capture: true, passive: type === 'wheel' }));
+  }
+
+  /**
+   * Remove the listeners added by _addPointerListeners.
+   * @param {Document} doc - Top-level or frame document
+   * @private
+   */
+  _removePointerListeners(doc) {
+    POINTER_EVENT_TYPES.forEach(type => doc.removeEventListener(type, this._handler));
+    doc.removeEventListener('pointerout', this._outHandler);
+    DOWN_EVENT_TYPES.forEach(type => doc.removeEventListener(type, this._downHandler, { capture: true }));
+    UP_EVENT_TYPES.forEach(type => doc.removeEventListener(type, this._upHandler, { capture: true }));
+    RETARGETED_EVENT_TYPES.forEach(type => doc.removeEventListener(type, this._retargetedHandler, { capture: true }));
+    FORWARDED_EVENT_TYPES.forEach(type => doc.removeEventListener(type, this._forwardHandler, { capture: true }));
+  }
+
+  /**
+   * Tear the manager down for good: remove listeners, disconnect every observer and
+   * unregister all elements, restoring their original pointer-events. Unlike
+   * detachListeners(), this also cleans up when listeners were never attached, and
+   * the instance ignores further scan()/add()/attachListeners() calls.
+   */
+  destroy() {
+    const wasDestroyed = this._destroyed;
+    this.detachListeners();
+    this._teardown();
+    this._destroyed = true;
+    if (!wasDestroyed && this._onDestroy) this._onDestroy(this);
+  }
+
+  /**
+   * Whether destroy() has been called on this instance.
+   * @returns {boolean}
    */
-  detachListeners() {
-    if (!this._listenersAttached) return;
-
-    // Remove modern pointer events
-    document.removeEventListener('pointermove', this._handler);
-    document.removeEventListener('pointerdown', this._handler);
-    document.removeEventListener('pointerover', this._handler);
+  get destroyed() {
+    return this._destroyed;
+  }
 
+  /**
+   * Disconnect observers and unregister every element.
+   * @private
+   */
+  _teardown() {
     // Clean up MutationObserver
     if (this._mutationObserver) {
       this._mutationObserver.disconnect();
       this._mutationObserver = null;
     }
 
+    // Stop tracking frame documents (unregisters their elements)
+    this._frames.forEach((record, iframe) => this._detachFrame(iframe));
+
     // Clean up IntersectionObserver
     if (this._intersectionObserver) {
       this._intersectionObserver.disconnect();
@@ -396,6 +2469,8 @@ export default class Manager {
       this._intersectionElements.clear();
     }
 
+    this._pendingImages.forEach((pending, el) => this._cancelPendingImage(el));
+
     // Clean up all ResizeObservers and remove elements from registry
     this.registry.forEach((entry, el) => {
         this.remove(el); // Use remove to handle cleanup logic
@@ -403,145 +2478,741 @@ export default class Manager {
     // Ensure registry and observer map are clear
     this.registry.clear();
     this._resizeObservers = new WeakMap(); // Re-initialize
-
-    this._listenersAttached = false;
+    this._lastEvent = null; // Drop any event waiting for the next animation frame
+    this._pointers.clear();
+    this._retargeted = null;
   }
 
   /**
    * Handle pointer/touch/mouse events with performance optimization (RAF throttling).
+   * Each pointer's latest event is kept, and every pointer is hit-tested again in the next
+   * frame, so re-running one event also catches up the others.
    *
    * @param {Event} e - The original DOM event (PointerEvent, MouseEvent, TouchEvent)
    * @private
    */
   _onPointerEvent(e) {
     this._lastEvent = e; // Store the latest event
+    this._pointers.set(e.pointerId ?? DEFAULT_POINTER_ID, e);
 
     if (!this._rafPending) {
       this._rafPending = true;
       requestAnimationFrame(() => {
         this._rafPending = false;
-        if (this._lastEvent) { // Ensure an event exists
-            this._hitTest(this._lastEvent);
-        }
+        this._pointers.forEach(event => this._hitTest(event));
       });
     }
   }
 
+  /**
+   * Forget a pointer once it leaves the page: a lifted finger or pen, a cancelled pointer, or a
+   * mouse leaving the window. Each of these ends with a pointerout without a relatedTarget.
+   * Elements it was over get their alpha-mask-out and no longer count it towards their state.
+   *
+   * @param {PointerEvent} e - pointerout
+   * @private
+   */
+  _onPointerOut(e) {
+    if (e.relatedTarget) return;
+    const pointerId = e.pointerId ?? DEFAULT_POINTER_ID;
+    this._pointers.delete(pointerId);
+    if (this._lastEvent && (this._lastEvent.pointerId ?? DEFAULT_POINTER_ID) === pointerId) {
+      this._lastEvent = Array.from(this._pointers.values()).pop() || null;
+    }
+    this.registry.forEach(entry => {
+      if (entry.pointerStates.has(pointerId)) {
+        this._leavePointer(entry, pointerId, e.pointerType || 'mouse');
+        this._setState(entry, this._pointerState(entry));
+      }
+    });
+  }
+
   /**
    * Performs the core hit-testing logic. Iterates through registered elements,
    * checks if the pointer is within bounds, samples the alpha value from the
-   * internal canvas, and sets pointer-events accordingly.
+   * decoded alpha bitmap, and sets pointer-events accordingly.
    *
    * @param {Event} e - The pointer, touch, or mouse event to process
    * @private
    */
   _hitTest(e) {
     // Extract coordinates from modern pointer events
-    const clientX = e.clientX;
-    const clientY = e.clientY;
-    
-    if (typeof clientX === 'undefined' || typeof clientY === 'undefined') {
+    const eventX = e.clientX;
+    const eventY = e.clientY;
+
+    if (typeof eventX === 'undefined' || typeof eventY === 'undefined') {
       return;
     }
 
-    // Iterate through registered elements
+    // Events and elements may live in different (same-origin frame) documents: go through
+    // top-level viewport coordinates, computing each frame offset once per hit-test
+    const frameOffsets = new Map([[document, { x: 0, y: 0 }]]);
+    const offsetOf = doc => {
+      if (!frameOffsets.has(doc)) frameOffsets.set(doc, this._frameOffset(doc));
+      return frameOffsets.get(doc);
+    };
+    const origin = offsetOf(this._eventDocument(e));
+    const viewportX = eventX + origin.x;
+    const viewportY = eventY + origin.y;
+    const pointerId = e.pointerId ?? DEFAULT_POINTER_ID;
+    const pointerType = e.pointerType || 'mouse';
+
+    // Hit-test every element first: of those opaque at the point, only the topmost stays opaque,
+    // so overlapping elements don't all turn interactive and leave the browser to pick one
+    const hits = new Map();
     this.registry.forEach((entry) => {
-        const { el, canvas, ctx, threshold, originalPointerEvents, imageLoaded, isVisible } = entry;
+        const { el, imageLoaded, isVisible } = entry;
+        const offset = offsetOf(el.ownerDocument);
+        const clientX = viewportX - offset.x; // Pointer in the element's own document
+        const clientY = viewportY - offset.y;
 
         // Performance optimization: Skip processing for off-screen elements
         if (this.useIntersectionObserver && isVisible === false) {
             return; // Element is not visible, skip expensive hit-testing
         }
 
-        // Skip if image hasn't loaded yet or canvas context failed
-        if (!imageLoaded || !ctx) {
-            // Ensure pointerEvents remains 'none' until ready
-            if (el.style.pointerEvents !== 'none') {
-                el.style.pointerEvents = 'none';
-            }
+        // Skip if image hasn't loaded yet
+        if (!imageLoaded) {
+            // Ensure the element stays non-interactive until ready
+            this._setState(entry, 'loading');
             return;
         }
 
-        const rect = el.getBoundingClientRect();
-
-        // Check if pointer is within the element's bounding box
-        if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom) {
-            // Pointer is inside the element bounds, perform alpha check
-
-            // Map screen coordinates to canvas coordinates with CSS transform support
-            // This handles rotation, scaling, skewing, and other CSS transforms
-            const { canvasX, canvasY } = this._mapPointerToCanvasCoordinates(
-                clientX, clientY, el, rect, canvas, entry
-            );
-
-            let alpha = 0; // Default to transparent if sampling fails
-            // Ensure coordinates are within canvas bounds before sampling
-            if (canvasX >= 0 && canvasX < canvas.width && canvasY >= 0 && canvasY < canvas.height) {
-                try {
-                    // Sample the alpha value from the corresponding pixel on the internal canvas
-                    const pixelData = ctx.getImageData(canvasX, canvasY, 1, 1).data;
-                    alpha = pixelData[3] / 255; // Alpha is the 4th component (0-255)
-                } catch (err) {
-                    // CORS error recovery - use fallback strategy
-                    alpha = this._approximateAlphaFromBounds(el, clientX, clientY, rect);
-                }
-            } else {
-                 // Treat as transparent if outside calculated canvas bounds
-                 alpha = 0;
-            }
-
-
-            // Apply threshold: Opaque => 'auto'; Transparent => 'none'
-            const newPointerEvents = alpha > threshold ? 'auto' : 'none';
-            const isOpaque = alpha > threshold;
-
-            // Dispatch custom events when transitioning between opaque/transparent states
-            if (entry._lastOpaqueState !== isOpaque) {
-                if (isOpaque) {
-                    // Transitioning from transparent to opaque
-                    this._dispatchAlphaMaskEvent(el, 'alpha-mask-over', {
-                        alpha,
-                        coordinates: { x: canvasX, y: canvasY },
-                        threshold,
-                        element: el
-                    });
-                } else {
-                    // Transitioning from opaque to transparent
-                    this._dispatchAlphaMaskEvent(el, 'alpha-mask-out', {
-                        alpha,
-                        coordinates: { x: canvasX, y: canvasY },
-                        threshold,
-                        element: el
-                    });
-                }
-                entry._lastOpaqueState = isOpaque;
-            }
+        hits.set(entry, this._testPoint(entry, clientX, clientY, pointerType));
+    });
+    const opaque = [];
+    hits.forEach((hit, entry) => {
+        if (hit && hit.isOpaque) opaque.push(entry.el);
+    });
+    const target = this._topmost(opaque, viewportX, viewportY, offsetOf);
 
-            // Update style only if it changed to avoid unnecessary style recalcs
-            if (el.style.pointerEvents !== newPointerEvents) {
-                el.style.pointerEvents = newPointerEvents;
-            }
+    hits.forEach((hit, entry) => {
+        const { el, threshold } = entry;
+        if (hit) {
+            const { alpha, coordinates, closest } = hit;
+            const isOpaque = hit.isOpaque && el === target;
 
-        } else {
-            // Pointer is outside the element bounds, restore original style if needed
-            if (el.style.pointerEvents !== originalPointerEvents) {
-                el.style.pointerEvents = originalPointerEvents;
-            }
-            
-            // Dispatch alpha-mask-out event if we were previously in an opaque state
-            if (entry._lastOpaqueState === true) {
-                this._dispatchAlphaMaskEvent(el, 'alpha-mask-out', {
-                    alpha: 0, // Outside bounds, treat as transparent
-                    coordinates: { x: -1, y: -1 }, // Invalid coordinates to indicate outside bounds
+            // Dispatch custom events when this pointer moves between opaque and transparent pixels
+            if ((entry.pointerStates.get(pointerId) ?? null) !== isOpaque) {
+                this._dispatchAlphaMaskEvent(el, isOpaque ? 'alpha-mask-over' : 'alpha-mask-out', {
+                    alpha,
+                    coordinates,
+                    closest,
                     threshold,
-                    element: el
+                    element: el,
+                    pointerId,
+                    pointerType
                 });
-                entry._lastOpaqueState = null; // Reset state when outside bounds
             }
+            entry.pointerStates.set(pointerId, isOpaque);
+        } else if (entry.pointerStates.has(pointerId)) {
+            // Pointer is outside the element bounds
+            this._leavePointer(entry, pointerId, pointerType);
         }
+
+        // Opaque under any pointer => 'auto'; transparent => 'none'; no pointer inside => original style
+        this._setState(entry, this._pointerState(entry));
     });
   }
 
+  /**
+   * The registered element a pointer at a point interacts with: the topmost one that is opaque
+   * there. Elements opaque at the point but covered by another one count as transparent.
+   *
+   * @param {number} x - X in the top-level viewport, in CSS pixels
+   * @param {number} y - Y in the top-level viewport, in CSS pixels
+   * @param {string} [pointerType='mouse'] - Pointer type, for per type hit radii
+   * @returns {HTMLElement|SVGSVGElement|null} Null when no registered element is opaque there
+   */
+  targetAt(x, y, pointerType = 'mouse') {
+      const opaque = [];
+      this.registry.forEach(entry => {
+          if (this.useIntersectionObserver && entry.isVisible === false) return;
+          const offset = this._frameOffset(entry.el.ownerDocument);
+          if (this._isOpaqueAt(entry, x - offset.x, y - offset.y, pointerType)) opaque.push(entry.el);
+      });
+      return this._topmost(opaque, x, y);
+  }
+
+  /**
+   * Pick the element painted on top out of several at a point. Where the browser's
+   * `elementsFromPoint` lists both of two elements its order decides; elements it leaves out,
+   * such as those set to `pointer-events: none`, are placed by their stacking order.
+   *
+   * @param {Array<Element>} elements - Candidates
+   * @param {number} viewportX - X in the top-level viewport
+   * @param {number} viewportY - Y in the top-level viewport
+   * @param {function(Document): {x: number, y: number}} [offsetOf] - Frame offset lookup
+   * @returns {Element|null}
+   * @private
+   */
+  _topmost(elements, viewportX, viewportY, offsetOf = doc => this._frameOffset(doc)) {
+      if (elements.length < 2) return elements[0] || null;
+
+      // Position in elementsFromPoint of the root each element is in, topmost first
+      const stacks = new Map();
+      const positionOf = el => {
+          const root = el.getRootNode();
+          if (!stacks.has(root)) {
+              const offset = offsetOf(el.ownerDocument);
+              stacks.set(root, typeof root.elementsFromPoint === 'function'
+                  ? root.elementsFromPoint(viewportX - offset.x, viewportY - offset.y)
+                  : []);
+          }
+          const index = stacks.get(root).indexOf(el);
+          return index === -1 ? null : { root, index };
+      };
+      const isAbove = (a, b) => {
+          const positionA = positionOf(a);
+          const positionB = positionOf(b);
+          if (positionA && positionB && positionA.root === positionB.root) return positionA.index < positionB.index;
+          return compareStacking(a, b, computedStyleOf) > 0;
+      };
+      return elements.reduce((top, el) => (isAbove(el, top) ? el : top));
+  }
+
+  /**
+   * Stop counting a pointer as inside an element, dispatching alpha-mask-out if it was over an
+   * opaque pixel.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {number} pointerId - PointerEvent.pointerId
+   * @param {string} pointerType - PointerEvent.pointerType
+   * @private
+   */
+  _leavePointer(entry, pointerId, pointerType) {
+      if (entry.pointerStates.get(pointerId) === true) {
+          this._dispatchAlphaMaskEvent(entry.el, 'alpha-mask-out', {
+              alpha: 0, // Outside bounds, treat as transparent
+              coordinates: { x: -1, y: -1 }, // Invalid coordinates to indicate outside bounds
+              closest: null,
+              threshold: entry.threshold,
+              element: entry.el,
+              pointerId,
+              pointerType
+          });
+      }
+      entry.pointerStates.delete(pointerId);
+  }
+
+  /**
+   * Combine the pointers inside an element into the state it is given: opaque when any of them
+   * is over an opaque pixel, so that pointer's events reach it. A pressed pointer counts with the
+   * state it locked on pointerdown (dragLock) instead of where it is now; other pointers count as
+   * they move.
+   *
+   * @param {Object} entry - Registry entry
+   * @returns {string|null} 'opaque', 'transparent', or null when no pointer is inside
+   * @private
+   */
+  _pointerState(entry) {
+      const states = Array.from(entry.locks.values()).map(state => state === 'opaque');
+      entry.pointerStates.forEach((isOpaque, pointerId) => {
+          if (!entry.locks.has(pointerId)) states.push(isOpaque);
+      });
+      if (states.includes(true)) return 'opaque';
+      return states.length > 0 ? 'transparent' : null;
+  }
+
+  /**
+   * Hit-test one registered element at a point of its own document.
+   *
+   * @param {Object} entry - Registry entry with loaded layers
+   * @param {number} clientX - X in the element's document viewport
+   * @param {number} clientY - Y in the element's document viewport
+   * @param {string} [pointerType] - PointerEvent.pointerType, picking the hit radius
+   * @returns {Object|null} `{ alpha, coordinates, closest, isOpaque }` as reported in event details,
+   *          or null when the point is outside the element's bounding box
+   * @private
+   */
+  _testPoint(entry, clientX, clientY, pointerType) {
+      const { el, threshold } = entry;
+      this._beginPass();
+      const rect = el.getBoundingClientRect();
+      if (clientX < rect.left || clientX > rect.right || clientY < rect.top || clientY > rect.bottom) {
+          return null;
+      }
+
+      // Map screen coordinates to element-local coordinates through every transform
+      // applied to the element and its ancestors
+      const mapPoint = this._entryMapper(entry, rect);
+      const local = mapPoint(clientX, clientY);
+
+      // Composite the layers under the point - no canvas readback per event. Points of the
+      // bounding box a transformed element doesn't cover, or its hidden back face, are transparent.
+      const { alpha, x, y } = local
+          ? this._sampleAlpha(entry, local.x, local.y, local)
+          : { alpha: 0, x: -1, y: -1 };
+
+      // With a hit radius for this pointer type, nearby opaque pixels count too
+      const radius = this._hitRadii(entry)[pointerType || 'mouse'] || 0;
+      let closest = null;
+      let isOpaque = alpha > threshold;
+      if (radius > 0) {
+          ({ isOpaque, closest } = this._hitWithinRadius(entry, mapPoint, clientX, clientY, radius));
+      } else if (isOpaque) {
+          closest = { x: local.x, y: local.y, distance: 0, coordinates: { x, y } };
+      }
+      return { alpha, coordinates: { x, y }, closest, isOpaque };
+  }
+
+  /**
+   * Resolve the `mode` option of an element, warning about unknown values.
+   *
+   * @param {Object} options - Merged per-element options
+   * @returns {string} One of MODES
+   * @private
+   */
+  _resolveMode(options) {
+      const mode = options.mode ?? this.mode;
+      if (MODES.includes(mode)) return mode;
+      console.warn(`AME: Unknown mode "${mode}"; expected one of ${MODES.join(', ')}`);
+      return DEFAULT_MODE;
+  }
+
+  /**
+   * Apply an element's hit-test state the way its mode does. 'pointer-events' mode writes the
+   * inline style (`none` while loading or transparent, `auto` when opaque, the original value
+   * outside), skipping writes that change nothing. The other modes only touch their own class,
+   * attribute or custom property, and 'forward' mode writes nothing at all.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {string|null} state - One of STATES, or null while the pointer is outside the element
+   * @private
+   */
+  _setState(entry, state) {
+      const { el, mode } = entry;
+      if (mode === 'pointer-events') {
+          const value = state === null ? entry.originalPointerEvents : state === 'opaque' ? 'auto' : 'none';
+          if (el.style.pointerEvents !== value) {
+              el.style.pointerEvents = value;
+              this._noteStyleWrite(entry);
+          }
+      } else if (entry.state !== state) {
+          if (mode === 'class') {
+              STATES.forEach(name => el.classList.toggle(STATE_CLASS_PREFIX + name, name === state));
+          } else if (mode === 'attribute') {
+              if (state === null) el.removeAttribute(STATE_ATTRIBUTE);
+              else el.setAttribute(STATE_ATTRIBUTE, state);
+          } else if (mode === 'custom-property') {
+              if (state === null) el.style.removeProperty(STATE_PROPERTY);
+              else el.style.setProperty(STATE_PROPERTY, state === 'opaque' ? 'auto' : 'none');
+              this._noteStyleWrite(entry);
+          }
+      }
+      entry.state = state;
+  }
+
+  /**
+   * Undo _setState for an element leaving the registry: restore its original pointer-events, or
+   * remove the state class, attribute or custom property without leaving anything behind.
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _clearState(entry) {
+      const { el, mode } = entry;
+      if (mode === 'pointer-events') {
+          el.style.pointerEvents = entry.originalPointerEvents;
+          this._noteStyleWrite(entry);
+          return;
+      }
+      this._setState(entry, null);
+      if (mode === 'custom-property' && el.getAttribute('style') === '') {
+          el.removeAttribute('style'); // Ours was the only inline style
+          this._noteStyleWrite(entry);
+      }
+  }
+
+  /**
+   * Remember the style attribute an inline svg root was left with by one of our state writes,
+   * so its observer can tell that write from other style changes (see _isStateWrite).
+   *
+   * @param {Object} entry - Registry entry
+   * @private
+   */
+  _noteStyleWrite(entry) {
+      if (entry.svgObserver) entry.styleWrites.push(entry.el.getAttribute('style'));
+  }
+
+  /**
+   * Capture listener for 'forward' mode. Elements in that mode stay interactive; events that
+   * land on one of their transparent pixels, or on their content there, are stopped before any
+   * other listener sees them and dispatched again, as copies with the same coordinates, buttons
+   * and modifiers, to the element underneath. The copy's preventDefault() carries over to the original, and clicks are always
+   * prevented on the original since the copy already activates links and controls underneath.
+   *
+   * @param {Event} e - Pointer, mouse or wheel event
+   * @private
+   */
+  _onForwardEvent(e) {
+      if (FORWARDED_EVENTS.has(e) || typeof e.clientX !== 'number') return;
+
+      const entry = this._registeredInPath(e);
+      if (!entry || entry.mode !== 'forward' || this._isOpaqueAt(entry, e.clientX, e.clientY, e.pointerType)) {
+          return;
+      }
+
+      e.stopImmediatePropagation();
+      const underneath = this._elementAt(entry.el, e.clientX, e.clientY, e.pointerType, entry.el);
+      if (!underneath) {
+          // No copy reaches the document to be hit-tested in its place
+          if (POINTER_EVENT_TYPES.includes(e.type)) this._onPointerEvent(e);
+          return;
+      }
+
+      this._redispatch(e, underneath);
+  }
+
+  /**
+   * The registered element an event landed on: its innermost target or the closest registered
+   * element containing it, across shadow boundaries.
+   *
+   * @param {Event} e - Any event
+   * @returns {Object|null} Registry entry
+   * @private
+   */
+  _registeredInPath(e) {
+      const path = e.composedPath ? e.composedPath() : [];
+      const nodes = path.length > 0 ? path : [e.target];
+      for (const node of nodes) {
+          const entry = node && this.registry.get(node);
+          if (entry) return entry;
+      }
+      return null;
+  }
+
+  /**
+   * Dispatch a copy of an event, with the same coordinates, buttons and modifiers, to another
+   * element. The copy's preventDefault() carries over to the original, and clicks are always
+   * prevented on the original since the copy already activates links and controls.
+   *
+   * @param {Event} e - Original event, already stopped
+   * @param {Element} target - Element to send the copy to
+   * @returns {Event} The copy, once dispatched
+   * @private
+   */
+  _redispatch(e, target) {
+      const copy = new e.constructor(e.type, e); // Event init dictionaries read the original's fields
+      FORWARDED_EVENTS.add(copy);
+      target.dispatchEvent(copy);
+      if (e.cancelable && (copy.defaultPrevented || ACTIVATION_EVENT_TYPES.includes(e.type))) {
+          e.preventDefault();
+      }
+      return copy;
+  }
+
+  /**
+   * Capture listener for pointerdown and touchstart. Hit-tests right away, so the state is up to
+   * date before the rest of the gesture, then sends a pointerdown the browser routed by the old
+   * state where it belongs (see _retarget). Moves stay throttled to animation frames.
+   *
+   * @param {PointerEvent|TouchEvent} e - Down event
+   * @private
+   */
+  _onDownEvent(e) {
+      if (FORWARDED_EVENTS.has(e)) return;
+      const touch = e.changedTouches && e.changedTouches[0];
+      // Where pointer events exist the touch was already tested as a pointerdown with its own pointerId
+      if (touch && typeof window.PointerEvent === 'function') return;
+      const point = touch
+          ? { clientX: touch.clientX, clientY: touch.clientY, pointerType: 'touch', target: e.target }
+          : e;
+      if (typeof point.clientX !== 'number') return;
+
+      this._lastEvent = point;
+      this._pointers.set(point.pointerId ?? DEFAULT_POINTER_ID, point);
+      if (!touch && e.isPrimary !== false) this._retargeted = null; // A new gesture
+      this._hitTest(point);
+      this._lock(point.pointerId ?? DEFAULT_POINTER_ID);
+      if (!touch) this._retarget(e);
+  }
+
+  /**
+   * Hold the state every element under a pressed pointer has now, until _onUpEvent releases it,
+   * so a gesture that begins on the visible shape finishes on it (and one that begins on a
+   * transparent pixel keeps going to the element underneath).
+   *
+   * @param {number} pointerId - The pointer that went down
+   * @private
+   */
+  _lock(pointerId) {
+      this.registry.forEach(entry => {
+          if (!entry.pointerStates.has(pointerId) || !(entry.options.dragLock ?? this.dragLock)) return;
+          entry.locks.set(pointerId, entry.pointerStates.get(pointerId) ? 'opaque' : 'transparent');
+      });
+  }
+
+  /**
+   * Release the states locked by a pointer once it is lifted, cancelled or loses capture, and
+   * bring every element up to date with where the pointers are now.
+   *
+   * @param {PointerEvent|TouchEvent} e - One of UP_EVENT_TYPES
+   * @private
+   */
+  _onUpEvent(e) {
+      if (e.changedTouches && typeof window.PointerEvent === 'function') return; // Released by pointerup
+      const pointerId = e.pointerId ?? DEFAULT_POINTER_ID;
+      if (e.type === 'pointerup' && this._retargeted && this._retargeted.pointerId === pointerId) {
+          this._retargeted.up = e.composedPath ? e.composedPath()[0] : e.target;
+      }
+      let released = false;
+      this.registry.forEach(entry => {
+          if (!entry.locks.delete(pointerId)) return;
+          released = true;
+          this._setState(entry, this._pointerState(entry));
+      });
+      if (released && this._lastEvent) this._onPointerEvent(this._lastEvent);
+  }
+
+  /**
+   * Re-route a pointerdown that hit the wrong element because pointer-events were still set for
+   * the previous position: a registered element that turns out transparent there, or whatever
+   * was underneath a registered element that turns out opaque. The original is stopped, a copy
+   * goes to the element now at the point, and implicit (touch) pointer capture is released so
+   * the rest of the gesture is hit-tested afresh. The mouse, click and touch events that follow
+   * the pointerdown are moved along with it (see _onRetargetedEvent). 'forward' mode elements
+   * handle their own events.
+   *
+   * @param {PointerEvent} e - pointerdown, after _hitTest
+   * @private
+   */
+  _retarget(e) {
+      const target = e.composedPath ? e.composedPath()[0] : e.target;
+      if (!target || target.nodeType !== Node.ELEMENT_NODE) return;
+
+      const correct = this._elementAt(target, e.clientX, e.clientY, e.pointerType);
+      if (!correct || correct === target) return;
+      const involved = [target, correct].map(el => this.registry.get(el)).filter(Boolean);
+      if (involved.length === 0 || involved.some(entry => entry.mode === 'forward')) return;
+
+      e.stopImmediatePropagation();
+      if (typeof target.hasPointerCapture === 'function' && target.hasPointerCapture(e.pointerId)) {
+          target.releasePointerCapture(e.pointerId);
+      }
+      this._redispatch(e, correct);
+      if (e.isPrimary !== false) this._retargeted = { pointerId: e.pointerId, from: target, to: correct, up: null };
+  }
+
+  /**
+   * Capture listener for the events that follow a pointerdown _retarget moved (see
+   * RETARGETED_EVENT_TYPES). Those the browser sends where the pointerdown first went are stopped
+   * and sent to the element it was moved to instead, clicks to that element's common ancestor
+   * with the pointerup target. A moved mousedown doesn't focus the element it first went to:
+   * focus goes to the element it was moved to, or the closest focusable element around it.
+   *
+   * @param {MouseEvent|TouchEvent} e - One of RETARGETED_EVENT_TYPES
+   * @private
+   */
+  _onRetargetedEvent(e) {
+      const record = this._retargeted;
+      if (!record || FORWARDED_EVENTS.has(e)) return;
+      const target = e.composedPath ? e.composedPath()[0] : e.target;
+
+      const ended = GESTURE_END_EVENT_TYPES.includes(e.type);
+      if (ended) this._retargeted = null;
+      // Where the browser sends the event by the pointerdown's first target, and where it belongs
+      const [routed, destination] = ended && record.up
+          ? [this._commonAncestor(record.from, record.up), this._commonAncestor(record.to, record.up)]
+          : [record.from, record.to];
+      if (target !== routed || !destination || destination === target) return;
+
+      e.stopImmediatePropagation();
+      const copy = this._redispatch(e, destination);
+      if (e.type === 'mousedown' && e.cancelable) {
+          e.preventDefault();
+          if (!copy.defaultPrevented) this._focusAround(destination);
+      }
+  }
+
+  /**
+   * Closest element containing both of two elements, across shadow boundaries.
+   *
+   * @param {Element} a
+   * @param {Element} b
+   * @returns {Element|null}
+   * @private
+   */
+  _commonAncestor(a, b) {
+      for (let node = a; node; node = node.parentNode || node.host) {
+          if (node.nodeType === Node.ELEMENT_NODE && this._containsDeep(node, b)) return node;
+      }
+      return null;
+  }
+
+  /**
+   * Move focus the way a mousedown on an element would: to it or the closest focusable element
+   * around it, or away from the focused element when there is none.
+   *
+   * @param {Element} el - Element the mousedown belongs to
+   * @private
+   */
+  _focusAround(el) {
+      for (let node = el; node; node = this._composedParent(node)) {
+          if (typeof node.focus === 'function' && (node.tabIndex >= 0 || node.hasAttribute('tabindex'))) {
+              node.focus({ preventScroll: true });
+              return;
+          }
+      }
+      const active = el.ownerDocument.activeElement;
+      if (active && active !== el.ownerDocument.body && typeof active.blur === 'function') active.blur();
+  }
+
+  /**
+   * Whether a registered element is opaque at a point, for event forwarding. Elements still
+   * loading are transparent, as in 'pointer-events' mode.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {number} clientX - X in the element's document viewport
+   * @param {number} clientY - Y in the element's document viewport
+   * @param {string} [pointerType] - PointerEvent.pointerType
+   * @returns {boolean}
+   * @private
+   */
+  _isOpaqueAt(entry, clientX, clientY, pointerType) {
+      if (!entry.imageLoaded) return false;
+      const hit = this._testPoint(entry, clientX, clientY, pointerType);
+      return !!hit && hit.isOpaque;
+  }
+
+  /**
+   * Find the element an event at a point belongs to: the topmost element there, skipping
+   * registered elements that are transparent at the point.
+   *
+   * @param {Element} el - Element the event landed on; its (shadow) root is searched
+   * @param {number} clientX - X in the element's document viewport
+   * @param {number} clientY - Y in the element's document viewport
+   * @param {string} [pointerType] - PointerEvent.pointerType
+   * @param {Element} [except] - Element to skip as well, along with its content, e.g. the one
+   *        forwarding the event
+   * @returns {Element|null} Null without `elementsFromPoint` support
+   * @private
+   */
+  _elementAt(el, clientX, clientY, pointerType, except = null) {
+      const root = el.getRootNode();
+      const scope = typeof root.elementsFromPoint === 'function' ? root : el.ownerDocument;
+      if (typeof scope.elementsFromPoint !== 'function') return null;
+
+      return scope.elementsFromPoint(clientX, clientY).find(candidate => {
+          if (except && this._containsDeep(except, candidate)) return false;
+          const entry = this.registry.get(candidate);
+          return !entry || this._isOpaqueAt(entry, clientX, clientY, pointerType);
+      }) || null;
+  }
+
+  /**
+   * Read the `hitRadius` option of an entry once: a radius in CSS pixels for every pointer type,
+   * an object keyed by pointer type, or a string such as `'touch: 16, pen: 6'` (from a
+   * `data-ame-hit-radius` attribute). Pointer types left out get no radius.
+   *
+   * @param {Object} entry - Registry entry
+   * @returns {{mouse: number, pen: number, touch: number}} Radius per pointer type
+   * @private
+   */
+  _hitRadii(entry) {
+      if (entry.hitRadii === undefined) {
+          const value = entry.options.hitRadius ?? this.hitRadius;
+          let radii = {};
+          if (typeof value === 'number') {
+              POINTER_TYPES.forEach(type => { radii[type] = value; });
+          } else if (typeof value === 'string') {
+              const pairs = value.split(/[,;]/).map(part => part.trim().match(/^(mouse|pen|touch)\s*:?\s*([\d.]+)(?:px)?$/));
+              if (pairs.every(Boolean)) {
+                  pairs.forEach(([, type, radius]) => { radii[type] = Number(radius); });
+              } else {
+                  radii = null;
+              }
+          } else if (value && typeof value === 'object') {
+              POINTER_TYPES.forEach(type => { radii[type] = value[type]; });
+          }
+
+          const valid = radii && POINTER_TYPES.every(type => radii[type] === undefined || (Number.isFinite(radii[type]) && radii[type] >= 0));
+          if (!valid) {
+              console.warn(`AME: Invalid hitRadius "${value}"; expected a number of pixels or e.g. "touch: 16, pen: 6"`);
+          }
+          entry.hitRadii = valid ? radii : {};
+      }
+      return entry.hitRadii;
+  }
+
+  /**
+   * Hit-test the pixels within a radius of the pointer. Samples are taken on screen and mapped
+   * into the element, so the radius stays the same under transforms. They are at most one CSS
+   * pixel apart and no further apart than the element's finest bitmap pixels appear on screen
+   * (see _radiusStep), so every mask pixel within the radius is looked at. The element counts as
+   * opaque when any sample passes the threshold or, with `hitFraction`, when at least that
+   * share of them does. Samples off the element count as transparent.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Function} mapPoint - Screen to element-local mapping from _pointerMapper
+   * @param {number} clientX - Pointer X in the element's document
+   * @param {number} clientY - Pointer Y in the element's document
+   * @param {number} radius - Radius in CSS pixels
+   * @returns {{isOpaque: boolean, closest: Object|null}} Whether the element counts as opaque, and the
+   *          closest opaque sample `{ x, y, distance, coordinates }` (element-local CSS pixels, its distance
+   *          from the pointer and the mask pixel sampled there)
+   * @private
+   */
+  _hitWithinRadius(entry, mapPoint, clientX, clientY, radius) {
+      const { threshold } = entry;
+      const fraction = entry.options.hitFraction ?? this.hitFraction;
+      const offsets = discOffsets(radius, this._radiusStep(entry, mapPoint, clientX, clientY));
+      const needed = fraction > 0 ? Math.ceil(Math.min(1, fraction) * offsets.length) : 1;
+      let passing = 0;
+      let closest = null;
+
+      for (let i = 0; i < offsets.length; i++) {
+          const { dx, dy, distance } = offsets[i];
+          const local = mapPoint(clientX + dx, clientY + dy);
+          if (local && local.x >= 0 && local.y >= 0 && local.x <= local.width && local.y <= local.height) {
+              const sample = this._sampleAlpha(entry, local.x, local.y, local);
+              if (sample.alpha > threshold) {
+                  passing++;
+                  if (!closest) {
+                      closest = { x: local.x, y: local.y, distance, coordinates: { x: sample.x, y: sample.y } };
+                  }
+              }
+          }
+          // Stop once the outcome is settled and the closest opaque sample found
+          if (passing >= needed || (closest && passing + offsets.length - i - 1 < needed)) break;
+      }
+      return { isOpaque: passing >= needed, closest };
+  }
+
+  /**
+   * Distance between the screen samples of a hit radius: the size on screen of the smallest
+   * bitmap pixel of the entry's layers, at most one CSS pixel (gradients have no pixels of their
+   * own) and at least one device pixel, since nothing finer can be pointed at.
+   *
+   * @param {Object} entry - Registry entry
+   * @param {Function} mapPoint - Screen to element-local mapping from _pointerMapper
+   * @param {number} clientX - Pointer X in the element's document
+   * @param {number} clientY - Pointer Y in the element's document
+   * @returns {number} Step in CSS pixels
+   * @private
+   */
+  _radiusStep(entry, mapPoint, clientX, clientY) {
+      const origin = mapPoint(clientX, clientY);
+      if (!origin) return 1;
+      // Local pixels per screen pixel, along the more stretched axis
+      let scale = 1;
+      const across = mapPoint(clientX + 1, clientY);
+      const down = mapPoint(clientX, clientY + 1);
+      if (across && down) {
+          scale = Math.max(Math.hypot(across.x - origin.x, across.y - origin.y),
+              Math.hypot(down.x - origin.x, down.y - origin.y)) || 1;
+      }
+
+      let pixel = 1;
+      entry.layers.forEach(layer => {
+          if (!layer.loaded || !layer.bitmap) return;
+          const { dw, dh } = this._getLayout(entry, layer, origin.width, origin.height);
+          pixel = Math.min(pixel, dw / layer.bitmap.width / scale, dh / layer.bitmap.height / scale);
+      });
+      const devicePixel = 1 / ((entry.el.ownerDocument.defaultView || window).devicePixelRatio || 1);
+      return Math.max(devicePixel, pixel);
+  }
+
   /**
    * Dispatch a custom alpha mask event on the specified element.
    *
@@ -558,13 +3229,14 @@ export default class Manager {
         cancelable: false  // Not cancelable
       });
       element.dispatchEvent(event);
-    } catch (error) {
+    } catch {
+      // Best effort: environments without CustomEvent support skip custom events
     }
   }
 
 
   /**
-   * Sets up a MutationObserver to automatically add/remove elements with the class.
+   * Sets up a MutationObserver to automatically add/remove elements matching the configured selectors.
    * @private
    */
   _observeMutations() {
@@ -575,32 +3247,27 @@ export default class Manager {
         // Handle added nodes
         mutation.addedNodes.forEach(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check the node itself
-            if (node.matches && node.matches('.alpha-mask-events')) {
-              this.add(node);
-            }
-            // Check descendants if the added node is a container
-            if (node.querySelectorAll) {
-              node.querySelectorAll('.alpha-mask-events').forEach(el => this.add(el));
-            }
+            // Check the node and its descendants, including open shadow trees
+            this._discoverIn(node);
+            this._observeScope(node);
           }
         });
 
         // Handle removed nodes
         mutation.removedNodes.forEach(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check the node itself
-            if (this.registry.has(node)) { // Check if it was registered
-              this.remove(node);
-            }
-            // Check descendants (less common, but possible if a container was removed)
-             if (node.querySelectorAll) {
-                node.querySelectorAll('*').forEach(el => {
-                    if (this.registry.has(el)) {
-                        this.remove(el);
-                    }
-                });
-            }
+            // Unregister the node and registered descendants (also inside shadow trees).
+            // Elements moved elsewhere in the same batch are still connected and stay registered.
+            this.registry.forEach((entry, el) => {
+                if (!el.isConnected && this._containsDeep(node, el)) {
+                    this.remove(el);
+                }
+            });
+            this._frames.forEach((record, iframe) => {
+                if (!iframe.isConnected && this._containsDeep(node, iframe)) {
+                    this._detachFrame(iframe);
+                }
+            });
           }
         });
 
@@ -608,42 +3275,77 @@ export default class Manager {
         if (mutation.type === 'attributes') {
             const targetElement = mutation.target;
             if (targetElement.nodeType === Node.ELEMENT_NODE) {
+                if (mutation.attributeName === 'style' || mutation.attributeName === 'class') {
+                    // Transforms above registered elements may have changed
+                    this.registry.forEach((entry, el) => {
+                        if (this._containsDeep(targetElement, el)) entry.pointerMapper = null;
+                    });
+                }
                 const wasRegistered = this.registry.has(targetElement);
-                const hasClass = targetElement.classList.contains('alpha-mask-events');
-                const currentSrc = targetElement.tagName === 'IMG' ? (targetElement.currentSrc || targetElement.src) : getComputedStyle(targetElement).backgroundImage.match(/url\((['"]?)(.*?)\1\)/)?.[2];
+                const matchedOptions = this._matchSelectors(targetElement);
                 const registeredEntry = this.registry.get(targetElement);
 
-                if (hasClass && !wasRegistered) {
-                    // Class added, register it
-                    this.add(targetElement);
-                } else if (!hasClass && wasRegistered) {
-                    // Class removed, unregister it
-                    this.remove(targetElement);
-                } else if (wasRegistered && currentSrc && registeredEntry && currentSrc !== registeredEntry.currentSrc) {
-                    // Source changed (e.g., img src or background-image)
-                    // Re-process: remove old, add new (simplest way to handle src change)
+                if (matchedOptions && !wasRegistered) {
+                    // Now matches a selector (e.g. class added), register it
+                    this._addDiscovered(targetElement, matchedOptions);
+                } else if (!matchedOptions && wasRegistered && registeredEntry.autoRegistered) {
+                    // No longer matches any selector, unregister it (manual registrations stay)
                     this.remove(targetElement);
-                    this.add(targetElement); // Re-add will pick up the new source
+                } else if (!matchedOptions && !wasRegistered && this._pendingImages.has(targetElement)
+                    && this._pendingImages.get(targetElement).autoRegistered) {
+                    // Stopped matching before its first load
+                    this._cancelPendingImage(targetElement);
+                } else if (wasRegistered && registeredEntry && targetElement.tagName === 'IMG'
+                    && mutation.attributeName !== MASK_ATTRIBUTE
+                    && this._readSource(targetElement) !== registeredEntry.source) {
+                    // New img src: swap the mask in place
+                    this._swapSource(registeredEntry);
+                } else if (wasRegistered && registeredEntry && (mutation.attributeName === MASK_ATTRIBUTE
+                    || this._readSource(targetElement) !== registeredEntry.source)) {
+                    // Source or mask changed (e.g., img src or any background layer)
+                    this._reAdd(registeredEntry);
+                } else if (wasRegistered && registeredEntry && mutation.attributeName.startsWith(DATA_OPTION_PREFIX)) {
+                    // Per-element option attribute changed
+                    this._refreshOptions(registeredEntry);
                 } else if (wasRegistered && registeredEntry && mutation.attributeName === 'style') {
-                    // Style changed - invalidate transform cache for transform-related changes
-                    const currentTransform = getComputedStyle(targetElement).transform;
-                    if (registeredEntry._transformCache && registeredEntry._lastTransform !== currentTransform) {
-                        registeredEntry._transformCache = null; // Clear transform cache
-                        registeredEntry._lastTransform = currentTransform;
-                    }
+                    // Style changed - background-size/position may have changed too
+                    this._invalidateLayout(registeredEntry);
                 }
             }
         }
 
-      });
-    });
+      });
+    });
+
+    if (this.root) {
+      this._observeScope(this.root === document ? document.body : this.root);
+    }
+  }
+
+  /**
+   * Observe a scope and every open shadow root inside it with the shared MutationObserver.
+   * Shadow trees and frame documents are separate subtrees, so each needs its own observe() call.
+   *
+   * @param {Element|ShadowRoot|Document} scope - Node to observe
+   * @private
+   */
+  _observeScope(scope) {
+    if (!this._mutationObserver || !scope) return;
 
-    this._mutationObserver.observe(document.body, {
+    const options = {
         childList: true,        // Observe direct children additions/removals
         subtree: true,          // Observe all descendants
         attributes: true,       // Observe attribute changes
-        attributeFilter: ['class', 'src', 'style'] // Focus on relevant attributes (style for background-image)
-    });
+        attributeFilter: OBSERVED_ATTRIBUTES // Focus on relevant attributes (style for background-image)
+    };
+
+    const isTopScope = scope === this.root || (this.root === document && scope === document.body);
+    const isFrameDocument = scope.nodeType === Node.DOCUMENT_NODE && scope !== document;
+    if (isTopScope || isFrameDocument || scope.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        this._mutationObserver.observe(scope, options);
+    }
+    // Re-observing a node only replaces its options, so repeated calls are harmless
+    this._shadowRootsWithin(scope).forEach(shadowRoot => this._mutationObserver.observe(shadowRoot, options));
   }
 
   /**
@@ -669,7 +3371,7 @@ export default class Manager {
         // Optionally disable pointer event processing for invisible elements
         if (!isVisible) {
           // Temporarily restore original pointer events when off-screen
-          el.style.pointerEvents = registryEntry.originalPointerEvents;
+          this._setState(registryEntry, null);
         }
       });
     }, {
@@ -679,146 +3381,597 @@ export default class Manager {
   }
 
   /**
-   * Updates the canvas for an element, typically after a resize.
-   * Re-calculates dimensions and redraws the background respecting CSS styles.
+   * Look up the alpha value under an element-local point, compositing every ready layer
+   * the way the browser paints them: content layers source-over, topmost first, then
+   * multiplied by the CSS mask. An element with mask layers but no image content (e.g. a
+   * colored div cut out with mask-image) is as opaque as its mask.
    *
-   * @param {object} entry - The registry entry for the element.
+   * @param {object} entry - The registry entry for the element
+   * @param {number} x - X coordinate in the element's local CSS pixels
+   * @param {number} y - Y coordinate in the element's local CSS pixels
+   * @param {DOMRect} rect - Element bounding rectangle
+   * @returns {Object} - { alpha, x, y } with the composite alpha 0-1 and the pixel sampled in
+   *          the topmost content layer painted at the point (the topmost mask layer without content)
    * @private
    */
-  _updateCanvas(entry) {
-      if (!entry || !entry.imageLoaded || !entry.el || !entry.canvas) {
-          return;
+  _sampleAlpha(entry, x, y, rect) {
+      let transparency = 1;
+      let hit = null;
+      let hasContent = false;
+      const masks = [];
+
+      entry.layers.forEach(layer => {
+          if (layer.role === 'mask') {
+              masks.push(layer);
+              return;
+          }
+          hasContent = true;
+          if (!layer.loaded) return;
+          const sample = this._sampleLayer(entry, layer, x, y, rect);
+          transparency *= 1 - sample.alpha;
+          if (!hit || (hit.alpha === 0 && sample.alpha > 0)) {
+              hit = sample;
+          }
+      });
+
+      let alpha = hasContent ? 1 - transparency : 1;
+      if (masks.length > 0) {
+          const mask = this._sampleMask(entry, masks, x, y, rect);
+          alpha *= mask.alpha;
+          if (!hasContent) hit = mask.hit;
       }
 
-      const { el, canvas } = entry;
-      const rect = el.getBoundingClientRect();
+      return { alpha, x: hit ? hit.x : -1, y: hit ? hit.y : -1 };
+  }
+
+  /**
+   * Composite mask layers under an element-local point with their mask-composite operators,
+   * from the bottom layer up. The bottom layer's operator is ignored, as in CSS.
+   *
+   * @param {object} entry - The registry entry for the element
+   * @param {Array<object>} masks - The entry's mask layers, topmost first
+   * @param {number} x - X coordinate in the element's local CSS pixels
+   * @param {number} y - Y coordinate in the element's local CSS pixels
+   * @param {DOMRect} rect - Element bounding rectangle
+   * @returns {Object} `{ alpha, hit }` with the mask coverage 0-1 and the topmost sample that covers the point
+   * @private
+   */
+  _sampleMask(entry, masks, x, y, rect) {
+      let alpha = null;
+      let hit = null;
 
-      // Check if dimensions actually changed to avoid unnecessary redraws
-      // Note: Using integer dimensions for canvas
-      const newWidth = Math.round(rect.width);
-      const newHeight = Math.round(rect.height);
+      for (let i = masks.length - 1; i >= 0; i--) {
+          const layer = masks[i];
+          if (!layer.loaded) continue;
+          const sample = this._sampleLayer(entry, layer, x, y, rect);
+          if (sample.alpha > 0 || !hit) hit = sample;
 
-      if (canvas.width === newWidth && canvas.height === newHeight) {
-          // Dimensions haven't changed significantly, no redraw needed
-          return;
+          const source = sample.alpha;
+          if (alpha === null) {
+              alpha = source;
+              continue;
+          }
+          switch (this._getLayout(entry, layer, rect.width, rect.height).composite) {
+              case 'subtract':
+                  alpha = source * (1 - alpha);
+                  break;
+              case 'intersect':
+                  alpha = source * alpha;
+                  break;
+              case 'exclude':
+                  alpha = source * (1 - alpha) + alpha * (1 - source);
+                  break;
+              default: // add
+                  alpha = source + alpha * (1 - source);
+          }
       }
 
-      if (newWidth <= 0 || newHeight <= 0) {
-          // Optionally clear the canvas or handle as needed
-          canvas.width = 1; // Set to minimal size
-          canvas.height = 1;
-          entry.ctx.clearRect(0, 0, 1, 1);
-          return;
+      // Mask images still loading don't hide anything yet
+      return { alpha: alpha === null ? 1 : alpha, hit };
+  }
+
+  /**
+   * Look up one layer's alpha under an element-local point.
+   * Points outside the background clip area, or in the gaps between spaced tiles, are transparent.
+   *
+   * @param {object} entry - The registry entry for the element
+   * @param {object} layer - One of the entry's layers
+   * @param {number} x - X coordinate in the element's local CSS pixels
+   * @param {number} y - Y coordinate in the element's local CSS pixels
+   * @param {DOMRect} rect - Element bounding rectangle
+   * @returns {Object} - { alpha, x, y }: the bitmap pixel for images, the CSS pixel within the tile for gradients
+   * @private
+   */
+  _sampleLayer(entry, layer, x, y, rect) {
+      if ((layer.kind === 'video' || layer.kind === 'canvas') && this._frameDue(entry, layer)) {
+          // On demand: after invalidate(), or when requestVideoFrameCallback isn't available
+          this._captureFrame(entry, layer);
+      }
+      if (layer.animation && layer.animation.frames.length > 0) {
+          // Timers may lag, e.g. in background tabs
+          layer.bitmap = frameAt(layer.animation, Date.now() - layer.animation.startedAt).frame.bitmap;
+      }
+      const { bitmap } = layer;
+      if (layer.kind !== 'gradient' && !bitmap) {
+          // CORS error recovery - use fallback strategy
+          return { alpha: this._approximateAlphaFromBounds(entry.el, x, y, rect), x: Math.floor(x), y: Math.floor(y) };
+      }
+
+      const layout = this._getLayout(entry, layer, rect.width, rect.height);
+      const { clip } = layout;
+
+      const grid = layer.kind === 'image' && layout.positioning && this._spriteGrid(entry);
+      if (grid) {
+          return this._sampleSpriteFrame(layer, layout, grid, x, y);
+      }
+
+      // Offset inside the tile under the point (the only tile when not repeating)
+      const u = this._tileOffset(x, layout.dx, layout.periodX);
+      const v = this._tileOffset(y, layout.dy, layout.periodY);
+      const clipped = x < clip.left || x >= clip.right || y < clip.top || y >= clip.bottom;
+
+      if (layer.kind === 'gradient') {
+          const inside = !clipped && u >= 0 && v >= 0 && u < layout.dw && v < layout.dh;
+          return {
+              alpha: inside ? gradientAlpha(layer.gradient, u, v, layout.dw, layout.dh, layer.mode) : 0,
+              x: Math.floor(u),
+              y: Math.floor(v)
+          };
       }
 
+      const bx = Math.floor(u * (bitmap.width / layout.dw));
+      const by = Math.floor(v * (bitmap.height / layout.dh));
+      if (clipped || bx < 0 || by < 0 || bx >= bitmap.width || by >= bitmap.height) {
+          return { alpha: 0, x: bx, y: by }; // Outside the painted image
+      }
+      return { alpha: bitmap.data[by * bitmap.width + bx] / 255, x: bx, y: by };
+  }
 
-      if (this.log) console.log('AME: Resizing canvas for element', el, `from ${canvas.width}x${canvas.height} to ${newWidth}x${newHeight}`);
+  /**
+   * Read the `spriteGrid` option of an entry once: how many columns and rows of equally sized
+   * frames its background sprite sheet holds, as a number of columns, `'columns rows'` or
+   * `[columns, rows]`.
+   *
+   * @param {Object} entry - Registry entry
+   * @returns {{columns: number, rows: number}|null} Null without a (valid) grid
+   * @private
+   */
+  _spriteGrid(entry) {
+      if (entry.spriteGrid === undefined) {
+          const value = entry.options.spriteGrid;
+          entry.spriteGrid = null;
+          if (value !== undefined && value !== null && value !== false) {
+              const [columns, rows = 1] = (Array.isArray(value) ? value : String(value).trim().split(/\s+/)).map(Number);
+              if (Number.isInteger(columns) && Number.isInteger(rows) && columns >= 1 && rows >= 1) {
+                  entry.spriteGrid = { columns, rows };
+              } else {
+                  console.warn(`AME: Invalid spriteGrid "${value}"; expected columns and rows, e.g. "8 2"`);
+              }
+          }
+      }
+      return entry.spriteGrid;
+  }
 
-      // Resize the canvas
-      canvas.width = newWidth;
-      canvas.height = newHeight;
+  /**
+   * Cut a sprite sheet's bitmap into one bitmap per frame, row by row. Done once per bitmap
+   * and grid.
+   *
+   * @param {Object} layer - Image layer holding the sheet
+   * @param {{columns: number, rows: number}} grid - Frame grid
+   * @returns {Array<Object>} Frame bitmaps `{ width, height, data }`
+   * @private
+   */
+  _spriteFrames(layer, grid) {
+      const { bitmap } = layer;
+      const cached = layer.spriteFrames;
+      if (cached && cached.bitmap === bitmap && cached.columns === grid.columns && cached.rows === grid.rows) {
+          return cached.frames;
+      }
 
-      // Redraw the background with new dimensions/styles
-      this._drawBackgroundToCanvas(entry);
+      const width = Math.max(1, Math.floor(bitmap.width / grid.columns));
+      const height = Math.max(1, Math.floor(bitmap.height / grid.rows));
+      const frames = [];
+      for (let row = 0; row < grid.rows; row++) {
+          for (let column = 0; column < grid.columns; column++) {
+              const data = new Uint8Array(width * height);
+              for (let y = 0; y < height; y++) {
+                  const start = (row * height + y) * bitmap.width + column * width;
+                  data.set(bitmap.data.subarray(start, start + width), y * width);
+              }
+              frames.push({ width, height, data });
+          }
+      }
+      layer.spriteFrames = { bitmap, columns: grid.columns, rows: grid.rows, frames };
+      return frames;
   }
 
   /**
-   * Draws the element's image (src or background) onto its internal canvas,
-   * attempting to respect background-size and background-position.
+   * Sample the frame of a sprite sheet that its position shows: the cell placed closest to the
+   * positioning area's origin. Only that cell is hit-testable, so neighbouring frames never
+   * bleed in through sub-pixel offsets or a box larger than one frame.
    *
-   * @param {object} entry - The registry entry { el, canvas, ctx, img, ... }
+   * @param {Object} layer - Image layer holding the sheet
+   * @param {Object} layout - The layer's current layout
+   * @param {{columns: number, rows: number}} grid - Frame grid
+   * @param {number} x - Element-local x in CSS pixels
+   * @param {number} y - Element-local y in CSS pixels
+   * @returns {{alpha: number, x: number, y: number}} Alpha 0-1 and the pixel in the frame's bitmap
    * @private
    */
-  _drawBackgroundToCanvas(entry) {
-      const { el, canvas, ctx, img } = entry;
+  _sampleSpriteFrame(layer, layout, grid, x, y) {
+      const frames = this._spriteFrames(layer, grid);
+      const { area } = layout.positioning;
+      const cellWidth = layout.dw / grid.columns;
+      const cellHeight = layout.dh / grid.rows;
+      const column = Math.round((area.left - layout.dx) / cellWidth);
+      const row = Math.round((area.top - layout.dy) / cellHeight);
+      // A repeating sheet wraps around to its first frames
+      const wrap = (index, count, period) => (period ? ((index % count) + count) % count : index);
+      const frameColumn = wrap(column, grid.columns, layout.periodX);
+      const frameRow = wrap(row, grid.rows, layout.periodY);
+
+      const u = x - (layout.dx + column * cellWidth);
+      const v = y - (layout.dy + row * cellHeight);
+      const { clip } = layout;
+      if (frameColumn < 0 || frameRow < 0 || frameColumn >= grid.columns || frameRow >= grid.rows ||
+          x < clip.left || x >= clip.right || y < clip.top || y >= clip.bottom) {
+          return { alpha: 0, x: Math.floor(u), y: Math.floor(v) };
+      }
 
-      if (!img || !ctx || !canvas || canvas.width <= 0 || canvas.height <= 0) {
-          return; // Cannot draw if image isn't loaded or canvas is invalid
+      const frame = frames[frameRow * grid.columns + frameColumn];
+      const fx = Math.floor(u * (frame.width / cellWidth));
+      const fy = Math.floor(v * (frame.height / cellHeight));
+      if (fx < 0 || fy < 0 || fx >= frame.width || fy >= frame.height) {
+          return { alpha: 0, x: fx, y: fy }; // Outside the frame showing
       }
+      return { alpha: frame.data[fy * frame.width + fx] / 255, x: fx, y: fy };
+  }
 
-      const canvasWidth = canvas.width;
-      const canvasHeight = canvas.height;
-      const imgWidth = img.naturalWidth;
-      const imgHeight = img.naturalHeight;
+  /**
+   * Position of a coordinate relative to the start of its tile along one axis.
+   *
+   * @param {number} coord - Element-local coordinate
+   * @param {number} offset - Start of the positioned tile
+   * @param {number|null} period - Distance between tiles, or null when the axis doesn't repeat
+   * @returns {number}
+   * @private
+   */
+  _tileOffset(coord, offset, period) {
+      if (!period) return coord - offset;
+      const u = (coord - offset) % period;
+      return u < 0 ? u + period : u;
+  }
+
+  /**
+   * Start a sampling pass: every sample taken until the next one sees the same styles, so
+   * _getLayout reads positions once per hit-test or outline rather than once per sample.
+   * @private
+   */
+  _beginPass() {
+      this._pass++;
+  }
 
-      if (imgWidth <= 0 || imgHeight <= 0) {
-           return;
+  /**
+   * Return the cached layout for a layer, recomputing it when the box size changed.
+   * Background and mask layers also follow their current background-position (or mask-position),
+   * read at hit-test time: sprite sheets stepped through with animated positions are hit-tested
+   * against the frame showing, without redrawing anything. The position is read once per sampling
+   * pass (see _beginPass), however many samples a hit radius or an outline takes.
+   *
+   * @param {object} entry - The registry entry for the element
+   * @param {object} layer - One of the entry's layers
+   * @param {number} boxWidth - Element width in CSS pixels
+   * @param {number} boxHeight - Element height in CSS pixels
+   * @returns {Object} - Layout as returned by _computeLayout
+   * @private
+   */
+  _getLayout(entry, layer, boxWidth, boxHeight) {
+      const { layout } = layer;
+      if (!layout || layout.boxWidth !== boxWidth || layout.boxHeight !== boxHeight) {
+          if (this.log) console.log('AME: Computing layout for element', entry.el, `${boxWidth}x${boxHeight}`);
+          layer.layout = this._computeLayout(entry, layer, boxWidth, boxHeight);
+      } else if (layout.positioning && layer.positionPass !== this._pass) {
+          const position = this._layerValue(computedStyleOf(entry.el), layer, 'Position');
+          if (position !== layout.position) {
+              layer.layout = this._positionLayout(layout, position);
+          }
       }
+      layer.positionPass = this._pass;
+      return layer.layout;
+  }
 
+  /**
+   * Computes where a layer (the img, one background layer or one mask layer) is drawn inside
+   * the element's box. Backgrounds respect background-size, background-position, background-repeat
+   * (repeat, space, round), background-origin and background-clip, reading the value for the
+   * layer's position in each list; mask layers read the matching mask-* properties.
+   * Gradients have no intrinsic size and default to the positioning area. An `<img>`, `<video>` or
+   * `<canvas>` is placed in its content box by object-fit and object-position; an inline svg fills
+   * its content box.
+   *
+   * @param {object} entry - The registry entry { el, layers, ... }
+   * @param {object} layer - One of the entry's layers
+   * @param {number} boxWidth - Element width in CSS pixels
+   * @param {number} boxHeight - Element height in CSS pixels
+   * @returns {Object} - { boxWidth, boxHeight, dx, dy, dw, dh, periodX, periodY, clip, composite }: the
+   *          positioned tile, the spacing between tiles (null when not repeating) and the clip rectangle,
+   *          in CSS pixels, plus the mask-composite operator of mask layers. Background and mask
+   *          layers also keep `position` and `positioning` so the tile can be moved on its own.
+   * @private
+   */
+  _computeLayout(entry, layer, boxWidth, boxHeight) {
+      const { el } = entry;
+      const intrinsic = layer.bitmap; // Null for gradients
 
-      const computedStyle = getComputedStyle(el);
-      const bgSize = computedStyle.backgroundSize;
-      const bgPos = computedStyle.backgroundPosition;
-      // const bgRepeat = computedStyle.backgroundRepeat; // TODO: Handle repeat? Complex.
+      const computedStyle = computedStyleOf(el);
+      const boxes = this._backgroundBoxes(computedStyle, boxWidth, boxHeight);
+
+      if (layer.kind === 'svg') {
+          // Rasterized at the content box size, so it fills it
+          const content = boxes['content-box'];
+          return {
+              boxWidth, boxHeight,
+              dx: content.left, dy: content.top,
+              dw: Math.max(1e-3, content.right - content.left), dh: Math.max(1e-3, content.bottom - content.top),
+              periodX: null, periodY: null, clip: content, composite: null
+          };
+      }
+
+      if ((el.tagName === 'IMG' || layer.kind === 'video' || layer.kind === 'canvas') && layer.role === 'content') {
+          const content = boxes['content-box'];
+          let natural = intrinsic || (layer.img && layer.img.naturalWidth > 0
+              ? { width: layer.img.naturalWidth, height: layer.img.naturalHeight }
+              : null);
+          if (layer.kind === 'video' || layer.kind === 'canvas') {
+              natural = layer.natural; // Pixels may be sampled below the source's own resolution
+          }
+          const { dx, dy, dw, dh } = this._objectFitLayout(computedStyle, content, natural);
+          return {
+              boxWidth, boxHeight,
+              dx, dy, dw, dh,
+              periodX: null, periodY: null, clip: content, composite: null
+          };
+      }
 
-      ctx.clearRect(0, 0, canvasWidth, canvasHeight); // Clear previous content
+      const isMask = layer.role === 'mask';
+      const forLayer = name => this._layerValue(computedStyle, layer, name);
+      const bgSize = forLayer('Size');
+      const bgPos = forLayer('Position');
+      const [repeatX, repeatY] = this._parseBackgroundRepeat(forLayer('Repeat'));
+      // Masks are positioned against and clipped to the border box by default; mask-clip: no-clip doesn't clip
+      const area = boxes[forLayer('Origin')] || boxes[isMask ? 'border-box' : 'padding-box'];
+      const clipValue = forLayer('Clip');
+      const clip = clipValue === 'no-clip'
+          ? { left: -Infinity, top: -Infinity, right: Infinity, bottom: Infinity }
+          : boxes[clipValue] || boxes['border-box'];
+      const areaWidth = Math.max(0, area.right - area.left);
+      const areaHeight = Math.max(0, area.bottom - area.top);
+      const imgWidth = intrinsic ? intrinsic.width : areaWidth;
+      const imgHeight = intrinsic ? intrinsic.height : areaHeight;
 
-      // --- Calculate destination rectangle (dx, dy, dw, dh) based on background-size ---
+      // --- Calculate destination size (dw, dh) based on background-size ---
       let dw, dh;
       const imgRatio = imgWidth / imgHeight;
-      const canvasRatio = canvasWidth / canvasHeight;
+      const boxRatio = areaWidth / areaHeight;
+      const sizeParts = (bgSize || 'auto').split(' ');
+      const autoX = sizeParts[0] === 'auto';
+      const autoY = (sizeParts[1] || 'auto') === 'auto' && sizeParts[0] !== 'cover' && sizeParts[0] !== 'contain';
 
-      if (bgSize === 'cover') {
-          if (imgRatio > canvasRatio) { // Image wider than canvas ratio
-              dh = canvasHeight;
+      if (!intrinsic && (bgSize === 'cover' || bgSize === 'contain')) {
+          dw = areaWidth;
+          dh = areaHeight;
+      } else if (bgSize === 'cover') {
+          if (imgRatio > boxRatio) { // Image wider than box ratio
+              dh = areaHeight;
               dw = dh * imgRatio;
-          } else { // Image taller than canvas ratio
-              dw = canvasWidth;
+          } else { // Image taller than box ratio
+              dw = areaWidth;
               dh = dw / imgRatio;
           }
       } else if (bgSize === 'contain') {
-          if (imgRatio > canvasRatio) { // Image wider than canvas ratio
-              dw = canvasWidth;
+          if (imgRatio > boxRatio) { // Image wider than box ratio
+              dw = areaWidth;
               dh = dw / imgRatio;
-          } else { // Image taller than canvas ratio
-              dh = canvasHeight;
+          } else { // Image taller than box ratio
+              dh = areaHeight;
               dw = dh * imgRatio;
           }
-      } else if (bgSize === 'auto' || bgSize === 'auto auto') {
+      } else if (autoX && autoY) {
           dw = imgWidth;
           dh = imgHeight;
+      } else if (autoX) {
+          dh = this._parseCssDimension(sizeParts[1], areaHeight, imgHeight);
+          dw = intrinsic ? dh * imgRatio : areaWidth;
+      } else if (autoY) {
+          dw = this._parseCssDimension(sizeParts[0], areaWidth, imgWidth);
+          dh = intrinsic ? dw / imgRatio : areaHeight;
       } else {
-          // Try parsing pixel/percentage values (simplistic)
-          const parts = bgSize.split(' ');
-          const sizeX = this._parseCssDimension(parts[0], canvasWidth, imgWidth);
-          const sizeY = this._parseCssDimension(parts[1] || parts[0], canvasHeight, imgHeight); // Use first value if second is missing
-
-          if (parts[0] === 'auto' && parts[1] && parts[1] !== 'auto') {
-              dh = sizeY;
-              dw = dh * imgRatio;
-          } else if (parts[1] === 'auto' && parts[0] && parts[0] !== 'auto') {
-              dw = sizeX;
-              dh = dw / imgRatio;
-          } else {
-              dw = sizeX;
-              dh = sizeY;
-          }
+          dw = this._parseCssDimension(sizeParts[0], areaWidth, imgWidth);
+          dh = this._parseCssDimension(sizeParts[1], areaHeight, imgHeight);
       }
 
       // Ensure dimensions are positive
-      dw = Math.max(1, Math.round(dw));
-      dh = Math.max(1, Math.round(dh));
+      dw = Math.max(1e-3, dw);
+      dh = Math.max(1e-3, dh);
+
+      // 'round' rescales tiles to fit a whole number of times. When only one axis rounds
+      // and the other has an auto size, that one follows to keep the aspect ratio.
+      let roundedWidth = dw;
+      let roundedHeight = dh;
+      if (repeatX === 'round') {
+          roundedWidth = areaWidth > 0 ? areaWidth / Math.max(1, Math.round(areaWidth / dw)) : dw;
+      }
+      if (repeatY === 'round') {
+          roundedHeight = areaHeight > 0 ? areaHeight / Math.max(1, Math.round(areaHeight / dh)) : dh;
+      }
+      if (repeatX === 'round' && repeatY !== 'round' && autoY) {
+          roundedHeight = dh * (roundedWidth / dw);
+      } else if (repeatY === 'round' && repeatX !== 'round' && autoX) {
+          roundedWidth = dw * (roundedHeight / dh);
+      }
+      dw = roundedWidth;
+      dh = roundedHeight;
+
+      const composite = isMask ? forLayer('Composite') : null;
+      return this._positionLayout({
+          boxWidth, boxHeight,
+          dw, dh,
+          clip,
+          composite: WEBKIT_MASK_COMPOSITE[composite] || composite, // Mask layers only
+          positioning: { area, repeatX, repeatY }
+      }, bgPos);
+  }
+
+  /**
+   * Value of a background-* (or mask-*) property for one layer; shorter lists repeat to
+   * match the number of layers.
+   *
+   * @param {CSSStyleDeclaration} computedStyle - The element's computed style
+   * @param {Object} layer - Background or mask layer
+   * @param {string} name - Property name without prefix, e.g. 'Position'
+   * @returns {string}
+   * @private
+   */
+  _layerValue(computedStyle, layer, name) {
+      const values = splitTopLevel((layer.role === 'mask' ? maskProperty(computedStyle, name) : computedStyle[`background${name}`]) || '');
+      return values.length ? values[layer.index % values.length] : '';
+  }
 
+  /**
+   * Place a sized background or mask tile from a background-position (or mask-position) value,
+   * along with the spacing between tiles that its repeat style gives.
+   *
+   * @param {Object} layout - Layout with `dw`, `dh` and `positioning: { area, repeatX, repeatY }`
+   * @param {string} position - Position value for the layer
+   * @returns {Object} A copy of the layout with `dx`, `dy`, `periodX`, `periodY` and `position`
+   * @private
+   */
+  _positionLayout(layout, position) {
+      const { area, repeatX, repeatY } = layout.positioning;
+      const posParts = (position || '').split(' ');
+      const tileX = this._tileAxis(repeatX, area.left, Math.max(0, area.right - area.left), layout.dw, posParts[0]);
+      const tileY = this._tileAxis(repeatY, area.top, Math.max(0, area.bottom - area.top), layout.dh, posParts[1] || posParts[0]); // Use first if second missing
+      return {
+          ...layout,
+          position,
+          dx: tileX.offset, dy: tileY.offset,
+          periodX: tileX.period, periodY: tileY.period
+      };
+  }
 
-      // --- Calculate destination offset (dx, dy) based on background-position ---
-      let dx, dy;
-      const posParts = bgPos.split(' ');
-      const posX = this._parseCssPosition(posParts[0], canvasWidth, dw);
-      const posY = this._parseCssPosition(posParts[1] || posParts[0], canvasHeight, dh); // Use first if second missing
+  /**
+   * Size and place replaced content (an `<img>`) inside its content box following
+   * object-fit and object-position. Content overflowing the box is clipped by the caller.
+   *
+   * @param {CSSStyleDeclaration} computedStyle - The element's computed style
+   * @param {Object} content - Content box `{ left, top, right, bottom }`
+   * @param {Object|null} natural - Natural `{ width, height }`, or null when unknown (fills the box)
+   * @returns {Object} `{ dx, dy, dw, dh }` in element-local CSS pixels
+   * @private
+   */
+  _objectFitLayout(computedStyle, content, natural) {
+      const boxW = Math.max(0, content.right - content.left);
+      const boxH = Math.max(0, content.bottom - content.top);
+      const fit = computedStyle.objectFit || 'fill';
 
-      dx = Math.round(posX);
-      dy = Math.round(posY);
+      let dw = boxW;
+      let dh = boxH;
+      if (natural && natural.width > 0 && natural.height > 0 && fit !== 'fill') {
+          const containScale = Math.min(boxW / natural.width, boxH / natural.height);
+          let scale;
+          if (fit === 'contain') {
+              scale = containScale;
+          } else if (fit === 'cover') {
+              scale = Math.max(boxW / natural.width, boxH / natural.height);
+          } else if (fit === 'scale-down') {
+              scale = Math.min(1, containScale);
+          } else { // 'none'
+              scale = 1;
+          }
+          dw = natural.width * scale;
+          dh = natural.height * scale;
+      }
+      dw = Math.max(1e-3, dw);
+      dh = Math.max(1e-3, dh);
 
+      // object-position defaults to centering the content
+      const posParts = (computedStyle.objectPosition || '50% 50%').split(' ');
+      return {
+          dx: content.left + this._parseCssPosition(posParts[0], boxW, dw),
+          dy: content.top + this._parseCssPosition(posParts[1] || posParts[0], boxH, dh),
+          dw, dh
+      };
+  }
 
-      // --- Draw the image ---
-      // We draw the *entire* source image into the calculated destination rectangle
-      try {
-          // Use the 9-argument drawImage to draw the whole source image into the calculated dest rect
-          ctx.drawImage(img, 0, 0, imgWidth, imgHeight, dx, dy, dw, dh);
-          entry._loggedImageDataError = false; // Reset error log flag on successful draw
-      } catch (e) {
-          // This might happen with certain image types or extreme scaling
+  /**
+   * Border, padding and content boxes in element-local CSS pixels, as used by
+   * background-origin and background-clip.
+   *
+   * @param {CSSStyleDeclaration} computedStyle - The element's computed style
+   * @param {number} boxWidth - Border-box width
+   * @param {number} boxHeight - Border-box height
+   * @returns {Object} Boxes keyed by their CSS name, each `{ left, top, right, bottom }`
+   * @private
+   */
+  _backgroundBoxes(computedStyle, boxWidth, boxHeight) {
+      const px = name => parseFloat(computedStyle[name]) || 0;
+      const border = { top: px('borderTopWidth'), right: px('borderRightWidth'), bottom: px('borderBottomWidth'), left: px('borderLeftWidth') };
+      const padding = { top: px('paddingTop'), right: px('paddingRight'), bottom: px('paddingBottom'), left: px('paddingLeft') };
+      const inset = (box, by) => ({
+          left: box.left + by.left,
+          top: box.top + by.top,
+          right: box.right - by.right,
+          bottom: box.bottom - by.bottom
+      });
+
+      const borderBox = { left: 0, top: 0, right: boxWidth, bottom: boxHeight };
+      const paddingBox = inset(borderBox, border);
+      return {
+          'border-box': borderBox,
+          'padding-box': paddingBox,
+          'content-box': inset(paddingBox, padding)
+      };
+  }
+
+  /**
+   * Split a background-repeat value into its horizontal and vertical keywords.
+   *
+   * @param {string} value - e.g. 'repeat-x', 'space', 'round no-repeat'
+   * @returns {Array<string>} [repeatX, repeatY]
+   * @private
+   */
+  _parseBackgroundRepeat(value) {
+      const parts = (value || 'repeat').split(' ');
+      if (parts[0] === 'repeat-x') return ['repeat', 'no-repeat'];
+      if (parts[0] === 'repeat-y') return ['no-repeat', 'repeat'];
+      return [parts[0], parts[1] || parts[0]];
+  }
+
+  /**
+   * Place tiles along one axis of the background positioning area.
+   *
+   * 'space' spreads as many whole tiles as fit from edge to edge and ignores
+   * background-position, unless fewer than two fit. 'repeat' and 'round' tile from the
+   * positioned image in both directions.
+   *
+   * @param {string} repeat - Repeat keyword for this axis
+   * @param {number} start - Start of the positioning area
+   * @param {number} length - Size of the positioning area
+   * @param {number} size - Tile size
+   * @param {string} position - background-position component for this axis
+   * @returns {Object} `{ offset, period }` with period null when only one tile is drawn
+   * @private
+   */
+  _tileAxis(repeat, start, length, size, position) {
+      if (repeat === 'space') {
+          const count = Math.floor(length / size);
+          if (count >= 2) {
+              return { offset: start, period: size + (length - count * size) / (count - 1) };
+          }
       }
+
+      const offset = start + this._parseCssPosition(position, length, size);
+      return { offset, period: repeat === 'repeat' || repeat === 'round' ? size : null };
   }
 
   /**
@@ -882,18 +4035,18 @@ export default class Manager {
    * Uses element geometry and typical image layout patterns for best guess.
    *
    * @param {HTMLElement} el - The element 
-   * @param {number} clientX - Mouse X coordinate
-   * @param {number} clientY - Mouse Y coordinate  
+   * @param {number} x - X coordinate in the element's local CSS pixels
+   * @param {number} y - Y coordinate in the element's local CSS pixels
    * @param {DOMRect} rect - Element bounding rectangle
    * @returns {number} - Approximated alpha value (0-1)
    * @private
    */
-  _approximateAlphaFromBounds(el, clientX, clientY, rect) {
+  _approximateAlphaFromBounds(el, x, y, rect) {
       // Strategy: Use conservative heuristics for common image patterns
       
       // Calculate relative position within element (0-1)
-      const relX = (clientX - rect.left) / rect.width;
-      const relY = (clientY - rect.top) / rect.height;
+      const relX = x / rect.width;
+      const relY = y / rect.height;
       
       // Fallback 1: Center-weighted approximation (most images have content in center)
       const centerX = 0.5, centerY = 0.5;
@@ -914,192 +4067,302 @@ export default class Manager {
   }
 
   /**
-   * Maps pointer coordinates to canvas coordinates, accounting for CSS transforms.
-   * Handles rotation, scaling, skewing, translation, and complex transform matrices.
-   * 
+   * Maps pointer coordinates to element-local coordinates, accounting for CSS transforms.
+   * Without transforms on the element or its ancestors this is an offset from the bounding rect.
+   * Otherwise the point is projected back through the whole chain (see _localToViewport), since
+   * the bounding rect of a transformed element is only the axis-aligned box around it.
+   *
    * @param {number} clientX - Pointer X coordinate in viewport space
    * @param {number} clientY - Pointer Y coordinate in viewport space
    * @param {HTMLElement} el - The element being tested
    * @param {DOMRect} rect - Element bounding rectangle
-   * @param {HTMLCanvasElement} canvas - Internal canvas for the element
-   * @param {Object} entry - Registry entry for caching/optimization
-   * @returns {Object} - { canvasX, canvasY } coordinates in canvas space
+   * @returns {Object|null} - { x, y, width, height }: the point and the element's border box size in its
+   *          local CSS pixels, or null when the point misses the element or hits its hidden back face
    * @private
    */
-  _mapPointerToCanvasCoordinates(clientX, clientY, el, rect, canvas, entry) {
-    // Calculate relative coordinates within element bounds (basic case)
-    const relativeX = clientX - rect.left;
-    const relativeY = clientY - rect.top;
-    
-    // Get current computed transform
-    const computedStyle = getComputedStyle(el);
-    const transform = computedStyle.transform;
-    
-    // Check if we need to handle transforms
-    if (!transform || transform === 'none') {
-      // No transforms - use simple coordinate mapping
-      return {
-        canvasX: Math.floor(relativeX * (canvas.width / rect.width)),
-        canvasY: Math.floor(relativeY * (canvas.height / rect.height))
-      };
+  _mapPointerToLocal(clientX, clientY, el, rect) {
+    return this._pointerMapper(el, rect)(clientX, clientY);
+  }
+
+  /**
+   * The pointer mapping of a registered element, kept from one hit-test to the next while its
+   * bounding rect stays put, so pointer moves don't read the style of every ancestor again.
+   * Moving, scrolling or animating the element changes its rect; resizes and style or class
+   * changes on it or an ancestor drop the mapping (see _invalidateLayout).
+   *
+   * @param {Object} entry - Registry entry
+   * @param {DOMRect} rect - Element bounding rectangle
+   * @returns {Function} As _pointerMapper
+   * @private
+   */
+  _entryMapper(entry, rect) {
+    const cached = entry.pointerMapper;
+    if (cached && cached.left === rect.left && cached.top === rect.top
+      && cached.width === rect.width && cached.height === rect.height) {
+      return cached.map;
     }
-    
-    // Cache transform matrix calculations for performance
-    const transformCacheKey = `${transform}_${rect.width}_${rect.height}`;
-    if (entry._transformCache?.key === transformCacheKey) {
-      // Use cached inverse transform
-      const { inverseMatrix } = entry._transformCache;
-      const transformedCoords = this._applyInverseTransform(
-        relativeX - rect.width / 2,  // Center-relative coordinates
-        relativeY - rect.height / 2,
-        inverseMatrix
-      );
-      
-      return {
-        canvasX: Math.floor((transformedCoords.x + rect.width / 2) * (canvas.width / rect.width)),
-        canvasY: Math.floor((transformedCoords.y + rect.height / 2) * (canvas.height / rect.height))
-      };
+    const map = this._pointerMapper(entry.el, rect);
+    entry.pointerMapper = { left: rect.left, top: rect.top, width: rect.width, height: rect.height, map };
+    return map;
+  }
+
+  /**
+   * Build the mapping used by _mapPointerToLocal once, for hit-tests that map several points
+   * around the pointer into the same element.
+   *
+   * @param {HTMLElement} el - The element being tested
+   * @param {DOMRect} rect - Element bounding rectangle
+   * @returns {Function} `(clientX, clientY)` to `{ x, y, width, height }` or null, as _mapPointerToLocal
+   * @private
+   */
+  _pointerMapper(el, rect) {
+    const computedStyle = computedStyleOf(el);
+    const transformed = this._localToViewport(el, computedStyle);
+    if (!transformed) {
+      const { left, top, width, height } = rect;
+      return (clientX, clientY) => ({ x: clientX - left, y: clientY - top, width, height });
     }
-    
-    // Parse and invert the transform matrix
-    try {
-      const matrix = this._parseTransformMatrix(transform);
-      const inverseMatrix = this._invertMatrix(matrix);
-      
-      // Cache the result for performance
-      entry._transformCache = {
-        key: transformCacheKey,
-        matrix,
-        inverseMatrix
-      };
-      
-      // Apply inverse transform to get coordinates in element's local space
-      const transformedCoords = this._applyInverseTransform(
-        relativeX - rect.width / 2,  // Center-relative coordinates
-        relativeY - rect.height / 2,
-        inverseMatrix
-      );
-      
-      // Convert back to canvas coordinates
-      return {
-        canvasX: Math.floor((transformedCoords.x + rect.width / 2) * (canvas.width / rect.width)),
-        canvasY: Math.floor((transformedCoords.y + rect.height / 2) * (canvas.height / rect.height))
-      };
-      
-    } catch (error) {
-      // Transform parsing failed - fall back to simple mapping
-      return {
-        canvasX: Math.floor(relativeX * (canvas.width / rect.width)),
-        canvasY: Math.floor(relativeY * (canvas.height / rect.height))
-      };
+
+    const { matrix, context, box } = transformed;
+    if (computedStyle.backfaceVisibility === 'hidden' && isBackFacing(context)) {
+      return () => null;
     }
+    return (clientX, clientY) => {
+      const point = unproject(matrix, clientX, clientY);
+      if (!point || point.x < 0 || point.y < 0 || point.x > box.width || point.y > box.height) {
+        return null;
+      }
+      return { x: point.x, y: point.y, width: box.width, height: box.height };
+    };
   }
 
+
   /**
-   * Parses a CSS transform matrix string into a numeric matrix array.
-   * Supports both matrix() and matrix3d() formats.
-   * 
-   * @param {string} transformString - CSS transform value (e.g., "matrix(1, 0, 0, 1, 0, 0)")
-   * @returns {Array<number>} - 6-element array for 2D matrix [a, b, c, d, e, f]
+   * Build the matrix drawing an element's border box (local CSS pixels, origin at its top-left
+   * corner) in the viewport. Going up the composed tree, each transformed ancestor contributes
+   * its `translate`, `rotate`, `scale` and `transform` about its `transform-origin`, a parent's
+   * `perspective` about its `perspective-origin` applies to its children, and everything is
+   * flattened into the plane of any ancestor that doesn't `preserve-3d`. Ancestors without
+   * transforms only offset their descendants.
+   *
+   * @param {Element} el - Registered element
+   * @param {CSSStyleDeclaration} computedStyle - Its computed style
+   * @returns {Object|null} `{ matrix, context, box }`: the matrix, the part of it within the element's
+   *          3D rendering context (for backface-visibility) and the element's border box size;
+   *          null when neither the element nor any ancestor is transformed
    * @private
    */
-  _parseTransformMatrix(transformString) {
-    // Handle matrix3d - extract 2D components
-    if (transformString.includes('matrix3d')) {
-      const match = transformString.match(/matrix3d\(([-\d.\s,]+)\)/);
-      if (match) {
-        const values = match[1].split(',').map(v => parseFloat(v.trim()));
-        // Extract 2D transformation from 3D matrix (take relevant 2D components)
-        return [values[0], values[1], values[4], values[5], values[12], values[13]];
-      }
+  _localToViewport(el, computedStyle) {
+    const chain = [];
+    for (let node = this._composedParent(el); node; node = this._composedParent(node)) {
+      const style = computedStyleOf(node);
+      if (this._hasTransformStyles(style)) chain.push({ node, style });
     }
-    
-    // Handle matrix
-    if (transformString.includes('matrix')) {
-      const match = transformString.match(/matrix\(([-\d.\s,]+)\)/);
-      if (match) {
-        const values = match[1].split(',').map(v => parseFloat(v.trim()));
-        return values; // [a, b, c, d, e, f]
-      }
+    if (chain.length === 0 && !this._hasTransformStyles(computedStyle)) {
+      return null;
     }
-    
-    // Handle individual transform functions (rotate, scale, etc.)
-    // This is more complex but covers common cases
-    if (transformString.includes('rotate') || transformString.includes('scale') || 
-        transformString.includes('skew') || transformString.includes('translate')) {
-      
-      // Create a temporary element to let the browser compute the matrix
-      const tempEl = document.createElement('div');
-      tempEl.style.transform = transformString;
-      tempEl.style.position = 'absolute';
-      tempEl.style.visibility = 'hidden';
-      document.body.appendChild(tempEl);
-      
-      try {
-        const computedTransform = getComputedStyle(tempEl).transform;
-        document.body.removeChild(tempEl);
-        
-        if (computedTransform && computedTransform !== 'none') {
-          return this._parseTransformMatrix(computedTransform);
-        }
-      } catch (error) {
-        document.body.removeChild(tempEl);
-        throw error;
+
+    const box = this._borderBoxSize(el, computedStyle);
+    let current = { node: el, style: computedStyle, box };
+    let matrix = this._ownTransform(current);
+    let context = null;
+    const flattenMatrix = () => {
+      if (!context) context = matrix;
+      matrix = flatten(matrix);
+    };
+
+    chain.forEach(ancestor => {
+      ancestor.box = this._borderBoxSize(ancestor.node, ancestor.style);
+      const offset = this._layoutOffset(current.node, ancestor.node);
+      matrix = multiply(translation(offset.x, offset.y), matrix);
+      if (this._composedParent(current.node) === ancestor.node) {
+        matrix = multiply(this._perspectiveOf(ancestor), matrix);
+        if (ancestor.style.transformStyle !== 'preserve-3d') flattenMatrix();
+      } else {
+        flattenMatrix(); // Drawn into an untransformed, flat element in between
       }
+      matrix = multiply(this._ownTransform(ancestor), matrix);
+      current = ancestor;
+    });
+
+    // Nothing above the outermost transformed element is transformed: place it by layout
+    const parent = this._composedParent(current.node);
+    let origin;
+    if (parent) {
+      const parentRect = parent.getBoundingClientRect();
+      const offset = this._layoutOffset(current.node, parent);
+      origin = { x: parentRect.left + offset.x, y: parentRect.top + offset.y };
+    } else {
+      const view = current.node.ownerDocument.defaultView || window;
+      origin = { x: -(view.scrollX || 0), y: -(view.scrollY || 0) };
     }
-    
-    // Fallback - identity matrix
-    return [1, 0, 0, 1, 0, 0];
+    flattenMatrix();
+    matrix = multiply(translation(origin.x, origin.y), matrix);
+
+    return { matrix, context, box };
+  }
+
+  /**
+   * Parent of a node in the flat tree: the slot it is assigned to, its parent element, or the
+   * host of the shadow root it sits in.
+   *
+   * @param {Element} node - Any element
+   * @returns {Element|null}
+   * @private
+   */
+  _composedParent(node) {
+    if (node.assignedSlot) return node.assignedSlot;
+    if (node.parentElement) return node.parentElement;
+    const parent = node.parentNode;
+    return parent && parent.host ? parent.host : null;
   }
 
   /**
-   * Calculates the inverse of a 2D transformation matrix.
-   * Uses the mathematical formula for 2D matrix inversion.
-   * 
-   * @param {Array<number>} matrix - 6-element matrix [a, b, c, d, e, f]
-   * @returns {Array<number>} - Inverted 6-element matrix
+   * Whether computed style transforms an element or the children drawn onto it.
+   *
+   * @param {CSSStyleDeclaration} style - Computed style
+   * @returns {boolean}
    * @private
    */
-  _invertMatrix(matrix) {
-    const [a, b, c, d, e, f] = matrix;
-    
-    // Calculate determinant
-    const det = a * d - b * c;
-    
-    // Check for singular matrix (non-invertible)
-    if (Math.abs(det) < 1e-10) {
-      return [1, 0, 0, 1, 0, 0];
+  _hasTransformStyles(style) {
+    return [style.transform, style.translate, style.rotate, style.scale, style.perspective]
+      .some(value => value && value !== 'none') || style.transformStyle === 'preserve-3d';
+  }
+
+  /**
+   * Untransformed border box size of an element, from computed width and height (which keep
+   * sub-pixel precision) or its offset size.
+   *
+   * @param {Element} node - Element
+   * @param {CSSStyleDeclaration} style - Its computed style
+   * @returns {{width: number, height: number}}
+   * @private
+   */
+  _borderBoxSize(node, style) {
+    let width = parseFloat(style.width);
+    let height = parseFloat(style.height);
+    if (Number.isFinite(width) && Number.isFinite(height) && /px$/.test(style.width) && /px$/.test(style.height)) {
+      if (style.boxSizing !== 'border-box') {
+        const px = name => parseFloat(style[name]) || 0;
+        width += px('paddingLeft') + px('paddingRight') + px('borderLeftWidth') + px('borderRightWidth');
+        height += px('paddingTop') + px('paddingBottom') + px('borderTopWidth') + px('borderBottomWidth');
+      }
+      return { width, height };
     }
-    
-    // Calculate inverse matrix elements
-    const invDet = 1 / det;
-    
-    return [
-      d * invDet,           // a'
-      -b * invDet,          // b'  
-      -c * invDet,          // c'
-      a * invDet,           // d'
-      (c * f - d * e) * invDet,  // e'
-      (b * e - a * f) * invDet   // f'
+    if (typeof node.offsetWidth === 'number') {
+      return { width: node.offsetWidth, height: node.offsetHeight };
+    }
+    const rect = node.getBoundingClientRect();
+    return { width: rect.width, height: rect.height };
+  }
+
+  /**
+   * The transform an element applies to itself: `translate`, `rotate`, `scale`, then `transform`,
+   * about its `transform-origin`.
+   *
+   * @param {Object} item - `{ style, box }` of the element
+   * @returns {Array<number>} Matrix in the element's local coordinates
+   * @private
+   */
+  _ownTransform({ style, box }) {
+    const parts = [
+      parseTranslate(style.translate, box.width, box.height),
+      parseRotate(style.rotate),
+      parseScale(style.scale),
+      this._resolveTransform(style.transform)
     ];
+    if (parts.every(part => part === IDENTITY)) return IDENTITY;
+
+    const origin = parseOrigin(style.transformOrigin, box.width, box.height);
+    return [translation(origin.x, origin.y, origin.z), ...parts, translation(-origin.x, -origin.y, -origin.z)]
+      .reduce(multiply);
   }
 
   /**
-   * Applies an inverse transform matrix to a point.
-   * 
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate  
-   * @param {Array<number>} inverseMatrix - 6-element inverse transform matrix
-   * @returns {Object} - Transformed coordinates { x, y }
+   * Parse a computed transform. Browsers report `matrix()` or `matrix3d()`; anything else
+   * (e.g. a raw function list) is resolved through a temporary element.
+   *
+   * @param {string} value - Computed `transform`
+   * @returns {Array<number>}
    * @private
    */
-  _applyInverseTransform(x, y, inverseMatrix) {
-    const [a, b, c, d, e, f] = inverseMatrix;
-    
-    return {
-      x: a * x + c * y + e,
-      y: b * x + d * y + f
+  _resolveTransform(value) {
+    const matrix = parseMatrix(value);
+    if (matrix) return matrix;
+
+    const tempEl = document.createElement('div');
+    tempEl.style.transform = value;
+    tempEl.style.position = 'absolute';
+    tempEl.style.visibility = 'hidden';
+    document.body.appendChild(tempEl);
+    try {
+      return parseMatrix(computedStyleOf(tempEl).transform) || IDENTITY;
+    } finally {
+      document.body.removeChild(tempEl);
+    }
+  }
+
+  /**
+   * The perspective an element gives its children, about its `perspective-origin`.
+   *
+   * @param {Object} item - `{ style, box }` of the parent
+   * @returns {Array<number>}
+   * @private
+   */
+  _perspectiveOf({ style, box }) {
+    const distance = parseFloat(style.perspective);
+    if (!(distance > 0)) return IDENTITY;
+    const origin = parseOrigin(style.perspectiveOrigin, box.width, box.height);
+    return [translation(origin.x, origin.y), perspective(distance), translation(-origin.x, -origin.y)].reduce(multiply);
+  }
+
+  /**
+   * Position of an element's border box inside an ancestor's border box, by layout alone:
+   * offsets along the offsetParent chains (which ignore transforms) minus the scroll of every
+   * container in between. Elements without offsets (an outer `<svg>`) fall back to comparing
+   * bounding rects.
+   *
+   * @param {Element} node - Element
+   * @param {Element} ancestor - One of its ancestors in the flat tree
+   * @returns {{x: number, y: number}}
+   * @private
+   */
+  _layoutOffset(node, ancestor) {
+    // Offsets of an element's border box from each border box up its offsetParent chain
+    const offsets = el => {
+      const found = new Map([[el, { x: 0, y: 0 }]]);
+      let x = 0;
+      let y = 0;
+      for (let current = el; typeof current.offsetLeft === 'number' && current.offsetParent;) {
+        const parent = current.offsetParent;
+        x += current.offsetLeft + (parent.clientLeft || 0);
+        y += current.offsetTop + (parent.clientTop || 0);
+        found.set(parent, { x, y });
+        current = parent;
+      }
+      return found;
     };
+
+    const fromNode = offsets(node);
+    const fromAncestor = offsets(ancestor);
+    const common = Array.from(fromNode.keys()).find(el => fromAncestor.has(el));
+    if (!common) {
+      const rect = node.getBoundingClientRect();
+      const ancestorRect = ancestor.getBoundingClientRect();
+      return { x: rect.left - ancestorRect.left - (ancestor.clientLeft || 0), y: rect.top - ancestorRect.top - (ancestor.clientTop || 0) };
+    }
+
+    let x = fromNode.get(common).x - fromAncestor.get(common).x;
+    let y = fromNode.get(common).y - fromAncestor.get(common).y;
+    const { scrollingElement } = node.ownerDocument;
+    for (let parent = this._composedParent(node); parent; parent = this._composedParent(parent)) {
+      if (parent !== scrollingElement) { // The viewport's scroll is already in bounding rects
+        x -= parent.scrollLeft || 0;
+        y -= parent.scrollTop || 0;
+      }
+      if (parent === ancestor) break;
+    }
+    return { x, y };
   }
 
   /**
@@ -0,0 +1,140 @@
+/**
+ * Tracing the opaque region of a sampled mask into simplified polygons.
+ *
+ * A mask is a grid of cells that are either opaque or not. Outlines follow the cell edges, so
+ * they never cut into opaque cells, and are then simplified within a tolerance. Outer
+ * boundaries run clockwise on screen and holes counter-clockwise, so the polygons fill
+ * correctly with either fill rule.
+ */
+
+/**
+ * Steps along the cell edges, by direction: right, down, left, up (y grows downwards)
+ */
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Trace the boundaries between opaque and transparent cells.
+ *
+ * @param {function(number, number): boolean} opaque - Whether the cell at (column, row) is opaque
+ * @param {number} columns - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Array<Array<Array<number>>>} Closed polygons of `[x, y]` cell corners, without repeated end points
+ */
+export function traceOutline(opaque, columns, rows) {
+  const inside = (column, row) => column >= 0 && row >= 0 && column < columns && row < rows && opaque(column, row);
+
+  // Directed edges with the opaque cell on their right, keyed by the corner they start at
+  const edges = new Map();
+  const addEdge = (x, y, direction) => {
+    const key = y * (columns + 1) + x;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push(direction);
+  };
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      if (!inside(column, row)) continue;
+      if (!inside(column, row - 1)) addEdge(column, row, 0);
+      if (!inside(column + 1, row)) addEdge(column + 1, row, 1);
+      if (!inside(column, row + 1)) addEdge(column + 1, row + 1, 2);
+      if (!inside(column - 1, row)) addEdge(column, row + 1, 3);
+    }
+  }
+
+  const polygons = [];
+  edges.forEach((directions, start) => {
+    while (directions.length > 0) {
+      const polygon = [];
+      let key = start;
+      let direction = directions.pop();
+      for (;;) {
+        const x = key % (columns + 1);
+        const y = Math.floor(key / (columns + 1));
+        polygon.push([x, y]);
+        key = (y + STEPS[direction][1]) * (columns + 1) + x + STEPS[direction][0];
+        const next = edges.get(key);
+        if (!next || next.length === 0) break;
+        // Where two regions touch diagonally, turn right to keep them apart
+        const right = next.indexOf((direction + 1) % 4);
+        direction = next.splice(right === -1 ? 0 : right, 1)[0];
+      }
+      polygons.push(removeCollinear(polygon));
+    }
+  });
+  return polygons;
+}
+
+/**
+ * Drop the points of a closed polygon that lie on a straight run.
+ *
+ * @param {Array<Array<number>>} points - Closed polygon
+ * @returns {Array<Array<number>>}
+ */
+function removeCollinear(points) {
+  return points.filter((point, i) => {
+    const previous = points[(i + points.length - 1) % points.length];
+    const next = points[(i + 1) % points.length];
+    return (point[0] - previous[0]) * (next[1] - point[1]) !== (point[1] - previous[1]) * (next[0] - point[0]);
+  });
+}
+
+/**
+ * Distance from a point to the segment between two others.
+ *
+ * @param {Array<number>} point - `[x, y]`
+ * @param {Array<number>} a - Segment start
+ * @param {Array<number>} b - Segment end
+ * @returns {number}
+ */
+function segmentDistance(point, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared));
+  return Math.hypot(point[0] - a[0] - t * dx, point[1] - a[1] - t * dy);
+}
+
+/**
+ * Ramer-Douglas-Peucker simplification of an open polyline.
+ *
+ * @param {Array<Array<number>>} points - Polyline
+ * @param {number} tolerance - Largest distance a dropped point may have from the result
+ * @returns {Array<Array<number>>} The kept points, including both ends
+ */
+function simplifyLine(points, tolerance) {
+  if (points.length < 3) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  let farthest = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = segmentDistance(points[i], first, last);
+    if (distance > farthest) {
+      farthest = distance;
+      index = i;
+    }
+  }
+  if (farthest <= tolerance) return [first, last];
+  const head = simplifyLine(points.slice(0, index + 1), tolerance);
+  return head.slice(0, -1).concat(simplifyLine(points.slice(index), tolerance));
+}
+
+/**
+ * Simplify a closed polygon, splitting it at the point farthest from its first one.
+ *
+ * @param {Array<Array<number>>} points - Closed polygon
+ * @param {number} tolerance - Largest distance a dropped point may have from the result
+ * @returns {Array<Array<number>>} The simplified polygon; fewer than 3 points when it collapses
+ */
+export function simplify(points, tolerance) {
+  if (points.length < 4 || !(tolerance > 0)) return points;
+  let split = 1;
+  points.forEach((point, i) => {
+    const distance = Math.hypot(point[0] - points[0][0], point[1] - points[0][1]);
+    if (distance > Math.hypot(points[split][0] - points[0][0], points[split][1] - points[0][1])) split = i;
+  });
+  const there = simplifyLine(points.slice(0, split + 1), tolerance);
+  const back = simplifyLine(points.slice(split).concat([points[0]]), tolerance);
+  return there.slice(0, -1).concat(back.slice(0, -1));
+}
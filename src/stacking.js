@@ -0,0 +1,131 @@
+/**
+ * Paint order of overlapping elements, for telling which of several registered elements is on top
+ * at a point when `elementsFromPoint` can't: it leaves out elements with `pointer-events: none`.
+ *
+ * This follows the CSS stacking rules as far as overlapping content needs: stacking contexts and
+ * their z-index, positioned elements above in-flow ones, and tree order within a layer. Floats,
+ * inline content and the top layer are not told apart. Shadow roots are crossed at their host and
+ * frame documents at their frame element, whose content stays inside its layer.
+ */
+
+/**
+ * Layer of in-flow (non-positioned) content within a stacking context: above negative z-index,
+ * below z-index 0 and positioned elements
+ */
+const IN_FLOW = -0.5;
+
+/**
+ * Parent in the rendered tree: the host of a shadow root, the frame element of a frame document.
+ *
+ * @param {Element} el
+ * @returns {Element|null}
+ */
+function parentOf(el) {
+  if (el.parentElement) return el.parentElement;
+  const parent = el.parentNode;
+  if (parent && parent.host) return parent.host;
+  const view = el.ownerDocument && el.ownerDocument.defaultView;
+  return (parent && parent.nodeType === Node.DOCUMENT_NODE && view && view.frameElement) || null;
+}
+
+/**
+ * @param {Element} el
+ * @returns {Array<Element>} The element and its ancestors, outermost first
+ */
+function ancestry(el) {
+  const chain = [];
+  for (let node = el; node; node = parentOf(node)) chain.unshift(node);
+  return chain;
+}
+
+/**
+ * Whether an element starts a stacking context of its own.
+ *
+ * @param {CSSStyleDeclaration} style - Computed style of the element
+ * @param {CSSStyleDeclaration} parentStyle - Computed style of its parent
+ * @returns {boolean}
+ */
+function formsStackingContext(style, parentStyle) {
+  const positioned = !!style.position && style.position !== 'static';
+  const flexItem = /flex|grid/.test(parentStyle.display || '');
+  const has = value => !!value && value !== 'none';
+  return (!isNaN(parseInt(style.zIndex, 10)) && (positioned || flexItem))
+    || style.position === 'fixed'
+    || style.position === 'sticky'
+    || parseFloat(style.opacity) < 1
+    || has(style.transform) || has(style.translate) || has(style.rotate) || has(style.scale)
+    || has(style.filter) || has(style.perspective) || has(style.clipPath)
+    || has(style.maskImage) || has(style.webkitMaskImage)
+    || style.isolation === 'isolate'
+    || (!!style.mixBlendMode && style.mixBlendMode !== 'normal')
+    || /paint|layout|strict|content/.test(style.contain || '')
+    || /transform|opacity|filter|z-index/.test(style.willChange || '');
+}
+
+/**
+ * Layer a branch of the tree paints in, within the stacking context its top belongs to: the
+ * z-index of its outermost stacking context, 0 for positioned content, IN_FLOW otherwise.
+ *
+ * @param {Array<Element>} branch - Elements below a common ancestor, outermost first
+ * @param {Element} parent - The common ancestor
+ * @param {function(Element): CSSStyleDeclaration} styleOf - Computed style lookup
+ * @returns {number}
+ */
+function layerOf(branch, parent, styleOf) {
+  let layer = IN_FLOW;
+  let parentStyle = styleOf(parent);
+  for (const el of branch) {
+    if (el.ownerDocument !== branch[0].ownerDocument) break; // Inside a frame, which paints as one
+    const style = styleOf(el);
+    if (formsStackingContext(style, parentStyle)) {
+      const zIndex = parseInt(style.zIndex, 10);
+      return isNaN(zIndex) ? 0 : zIndex;
+    }
+    if (style.position && style.position !== 'static') layer = 0;
+    parentStyle = style;
+  }
+  return layer;
+}
+
+/**
+ * Whether content inside an element paints above it: always within a stacking context the element
+ * starts, otherwise unless the content has a negative z-index and so paints below it.
+ *
+ * @param {Element} container - Ancestor of the branch
+ * @param {Array<Element>} branch - Elements below the container, outermost first
+ * @param {function(Element): CSSStyleDeclaration} styleOf - Computed style lookup
+ * @returns {boolean}
+ */
+function paintsAboveContainer(container, branch, styleOf) {
+  const parent = parentOf(container);
+  if (!parent || formsStackingContext(styleOf(container), styleOf(parent))) return true;
+  return layerOf(branch, container, styleOf) >= IN_FLOW;
+}
+
+/**
+ * Compare the paint order of two elements.
+ *
+ * @param {Element} a
+ * @param {Element} b
+ * @param {function(Element): CSSStyleDeclaration} styleOf - Computed style lookup
+ * @returns {number} Negative when `a` paints below `b`, positive when above, 0 when unrelated
+ */
+export function compareStacking(a, b, styleOf) {
+  if (a === b) return 0;
+  const chainA = ancestry(a);
+  const chainB = ancestry(b);
+  let shared = 0;
+  while (shared < chainA.length && shared < chainB.length && chainA[shared] === chainB[shared]) shared++;
+  if (shared === 0) return 0; // Not in the same tree
+
+  const branchA = chainA.slice(shared);
+  const branchB = chainB.slice(shared);
+  if (branchA.length === 0) return paintsAboveContainer(a, branchB, styleOf) ? -1 : 1;
+  if (branchB.length === 0) return paintsAboveContainer(b, branchA, styleOf) ? 1 : -1;
+
+  const parent = chainA[shared - 1];
+  const difference = layerOf(branchA, parent, styleOf) - layerOf(branchB, parent, styleOf);
+  if (difference !== 0) return difference;
+  // Same layer: later in tree order paints on top
+  return branchA[0].compareDocumentPosition(branchB[0]) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
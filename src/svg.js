@@ -0,0 +1,199 @@
+/**
+ * Inline SVG support for hit-testing.
+ *
+ * An inline `<svg>` has no image URL to load, so it is serialized into a standalone
+ * document at its rendered size and rasterized like any other image. Styles coming from
+ * page stylesheets are inlined from computed style, and everything referenced by id
+ * (`<use>` targets, gradients, clip paths, masks) is copied in, including symbols from
+ * external sprite files.
+ */
+
+/**
+ * SVG namespace
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * XLink namespace, for `xlink:href` on older markup
+ */
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Computed properties that decide which pixels a shape covers, copied inline onto each
+ * descendant so page stylesheets still apply once the SVG stands alone
+ */
+const SHAPE_PROPERTIES = [
+  'display', 'visibility', 'opacity',
+  'fill', 'fill-opacity', 'fill-rule',
+  'stroke', 'stroke-opacity', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray',
+  'clip-path', 'clip-rule', 'mask', 'transform', 'transform-origin'
+];
+
+/**
+ * Attributes whose `url(#id)` values reference other elements
+ */
+const URL_REFERENCE_PATTERN = /url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/g;
+
+/**
+ * Parsed external SVG documents (sprites) keyed by absolute URL
+ */
+const SVG_DOCUMENTS = new Map();
+
+/**
+ * Check for an outer `<svg>` element from any window.
+ *
+ * @param {*} el - Value to test
+ * @returns {boolean}
+ */
+export function isSvgRoot(el) {
+  return !!el && el.nodeType === 1 && el.namespaceURI === SVG_NAMESPACE && el.localName === 'svg';
+}
+
+/**
+ * Fetch and parse an external SVG document once per URL.
+ *
+ * @param {string} url - Absolute URL without fragment
+ * @returns {Promise<Document|null>} Null when the request or parsing fails
+ */
+function loadSvgDocument(url) {
+  if (!SVG_DOCUMENTS.has(url)) {
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+      })
+      .then(text => new window.DOMParser().parseFromString(text, 'image/svg+xml'))
+      .catch(error => {
+        console.warn(`AME: Failed to load SVG sprite ${url}: ${error.message}`);
+        return null;
+      });
+    SVG_DOCUMENTS.set(url, request);
+  }
+  return SVG_DOCUMENTS.get(url);
+}
+
+/**
+ * Find an element by id in a document, an element subtree or a detached clone.
+ *
+ * @param {Document|Element} scope - Where to look
+ * @param {string} id - Element id
+ * @returns {Element|null}
+ */
+function findById(scope, id) {
+  if (scope.nodeType === 1 && scope.getAttribute('id') === id) return scope;
+  return scope.querySelector(`[id="${id.replace(/["\\]/g, '\\$&')}"]`);
+}
+
+/**
+ * Copy each original element's shape-related computed style onto its clone.
+ *
+ * @param {Element} original - Registered `<svg>`
+ * @param {Element} clone - Deep clone of it
+ */
+function inlineComputedStyles(original, clone) {
+  const view = original.ownerDocument.defaultView || window;
+  const originals = original.querySelectorAll('*');
+  const clones = clone.querySelectorAll('*');
+  originals.forEach((node, i) => {
+    const style = view.getComputedStyle(node);
+    SHAPE_PROPERTIES.forEach(property => {
+      const value = style.getPropertyValue(property);
+      // A transform attribute may not show up in computed style; don't override it with 'none'
+      if (value && !(property === 'transform' && value === 'none')) {
+        clones[i].style.setProperty(property, value);
+      }
+    });
+  });
+}
+
+/**
+ * Copy every element referenced by id but missing from the clone into a `<defs>` of it.
+ * `<use>` targets may live in the page or in an external sprite file; their href is
+ * rewritten to the local copy. Copied elements are searched for references in turn.
+ *
+ * @param {Element} clone - Standalone `<svg>` being built
+ * @param {Document} doc - Document the registered `<svg>` lives in
+ * @returns {Promise<void>}
+ */
+async function inlineReferences(clone, doc) {
+  let defs = null;
+  const queue = [{ node: clone, source: doc }];
+
+  while (queue.length > 0) {
+    const { node, source } = queue.shift();
+    const references = [];
+
+    [node, ...node.querySelectorAll('*')].forEach(child => {
+      if (child.localName === 'use') {
+        const href = child.getAttribute('href') || child.getAttributeNS(XLINK_NAMESPACE, 'href') || '';
+        const hash = href.indexOf('#');
+        if (hash === -1) return;
+        const id = href.slice(hash + 1);
+        const url = href.slice(0, hash);
+        references.push({ id, url });
+        if (url) {
+          // Point at the local copy
+          child.setAttribute('href', `#${id}`);
+          child.removeAttributeNS(XLINK_NAMESPACE, 'href');
+        }
+      }
+      Array.from(child.attributes).forEach(({ value }) => {
+        for (const match of value.matchAll(URL_REFERENCE_PATTERN)) {
+          references.push({ id: match[1], url: '' });
+        }
+      });
+    });
+
+    for (const { id, url } of references) {
+      if (findById(clone, id)) continue;
+
+      let owner = source;
+      if (url) {
+        const base = source.baseURI || (source.ownerDocument && source.ownerDocument.baseURI) || document.baseURI;
+        owner = await loadSvgDocument(new URL(url, base).href);
+        if (!owner) continue;
+      }
+      const target = findById(owner, id);
+      if (!target) continue;
+
+      if (!defs) {
+        defs = clone.ownerDocument.createElementNS(SVG_NAMESPACE, 'defs');
+        clone.insertBefore(defs, clone.firstChild);
+      }
+      const copy = clone.ownerDocument.importNode(target, true);
+      defs.appendChild(copy);
+      queue.push({ node: copy, source: owner });
+    }
+  }
+}
+
+/**
+ * Serialize an inline `<svg>` into a standalone document drawn at the given size.
+ *
+ * The root keeps its viewBox (one matching the CSS size is added when missing) and gets
+ * width/height in device pixels, so the rasterized image covers the rendered box pixel for pixel.
+ * The root's inline style is dropped; its box and transforms are handled by the manager.
+ *
+ * @param {SVGSVGElement} el - Registered `<svg>`
+ * @param {number} width - Rendered content width in CSS px
+ * @param {number} height - Rendered content height in CSS px
+ * @param {number} [pixelRatio=1] - Device pixels per CSS pixel
+ * @returns {Promise<string>} SVG markup
+ */
+export async function serializeSvg(el, width, height, pixelRatio = 1) {
+  const clone = el.cloneNode(true);
+  inlineComputedStyles(el, clone);
+  await inlineReferences(clone, el.ownerDocument);
+
+  clone.removeAttribute('style');
+  clone.removeAttribute('class');
+  if (!clone.hasAttribute('viewBox')) {
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  }
+  clone.setAttribute('width', String(Math.max(1, Math.round(width * pixelRatio))));
+  clone.setAttribute('height', String(Math.max(1, Math.round(height * pixelRatio))));
+
+  return new window.XMLSerializer().serializeToString(clone);
+}
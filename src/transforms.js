@@ -0,0 +1,243 @@
+/**
+ * 4x4 transform matrices for mapping pointer coordinates into an element's own box.
+ *
+ * Matrices are row-major arrays of 16 numbers that map column vectors `[x, y, z, 1]`,
+ * so `multiply(a, b)` applies `b` first. Values come from computed style, where browsers
+ * report `transform` as `matrix()` or `matrix3d()` and resolve lengths to pixels.
+ */
+
+/**
+ * The identity matrix
+ */
+export const IDENTITY = Object.freeze([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+/**
+ * Degrees per angle unit accepted in rotate values
+ */
+const ANGLE_UNITS = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 };
+
+/**
+ * Rotation axes named by keyword in the `rotate` property
+ */
+const ROTATION_AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+/**
+ * Multiply two matrices.
+ *
+ * @param {Array<number>} a - Applied second
+ * @param {Array<number>} b - Applied first
+ * @returns {Array<number>}
+ */
+export function multiply(a, b) {
+  const out = new Array(16);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      out[row * 4 + col] = a[row * 4] * b[col] + a[row * 4 + 1] * b[4 + col] +
+        a[row * 4 + 2] * b[8 + col] + a[row * 4 + 3] * b[12 + col];
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [z=0]
+ * @returns {Array<number>} Translation matrix
+ */
+export function translation(x, y, z = 0) {
+  return [1, 0, 0, x, 0, 1, 0, y, 0, 0, 1, z, 0, 0, 0, 1];
+}
+
+/**
+ * @param {number} distance - `perspective` in px
+ * @returns {Array<number>} Perspective matrix looking at the origin from `distance` in front of it
+ */
+export function perspective(distance) {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, -1 / distance, 1];
+}
+
+/**
+ * Flatten a matrix into the plane it is drawn onto, as `transform-style: flat` does:
+ * z no longer feeds into or comes out of it.
+ *
+ * @param {Array<number>} m - Matrix
+ * @returns {Array<number>}
+ */
+export function flatten(m) {
+  return [
+    m[0], m[1], 0, m[3],
+    m[4], m[5], 0, m[7],
+    0, 0, 1, 0,
+    m[12], m[13], 0, m[15]
+  ];
+}
+
+/**
+ * Parse a computed `transform` value.
+ *
+ * @param {string} value - `matrix(...)`, `matrix3d(...)` or `none`
+ * @returns {Array<number>|null} The matrix, or null for anything else
+ */
+export function parseMatrix(value) {
+  if (!value || value === 'none') return IDENTITY;
+
+  const match = value.trim().match(/^matrix(3d)?\(([^)]*)\)$/);
+  if (!match) return null;
+  const v = match[2].split(',').map(n => parseFloat(n));
+  if (v.some(n => !Number.isFinite(n))) return null;
+
+  if (match[1]) {
+    if (v.length !== 16) return null;
+    // matrix3d() lists columns
+    return [v[0], v[4], v[8], v[12], v[1], v[5], v[9], v[13], v[2], v[6], v[10], v[14], v[3], v[7], v[11], v[15]];
+  }
+  if (v.length !== 6) return null;
+  const [a, b, c, d, e, f] = v;
+  return [a, c, 0, e, b, d, 0, f, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+/**
+ * Resolve a length or percentage to px.
+ *
+ * @param {string} value - e.g. '10px', '50%'
+ * @param {number} basis - What percentages refer to
+ * @returns {number}
+ */
+function length(value, basis) {
+  if (!value) return 0;
+  return value.endsWith('%') ? (parseFloat(value) / 100) * basis : parseFloat(value) || 0;
+}
+
+/**
+ * Parse a computed `translate` value.
+ *
+ * @param {string} value - e.g. '10px 20%', 'none'
+ * @param {number} width - Box width, for x percentages
+ * @param {number} height - Box height, for y percentages
+ * @returns {Array<number>}
+ */
+export function parseTranslate(value, width, height) {
+  if (!value || value === 'none') return IDENTITY;
+  const [x, y, z] = value.trim().split(/\s+/);
+  return translation(length(x, width), length(y, height), length(z, 0));
+}
+
+/**
+ * Parse a computed `scale` value.
+ *
+ * @param {string} value - e.g. '2', '1 -1', 'none'
+ * @returns {Array<number>}
+ */
+export function parseScale(value) {
+  if (!value || value === 'none') return IDENTITY;
+  const factors = value.trim().split(/\s+/).map(n => (n.endsWith('%') ? parseFloat(n) / 100 : parseFloat(n)));
+  const [sx, sy = sx, sz = 1] = factors;
+  return [sx, 0, 0, 0, 0, sy, 0, 0, 0, 0, sz, 0, 0, 0, 0, 1];
+}
+
+/**
+ * Parse a computed `rotate` value: an angle about z, or an axis (keyword or vector) and angle.
+ *
+ * @param {string} value - e.g. '45deg', 'y 180deg', '1 1 0 0.5turn', 'none'
+ * @returns {Array<number>}
+ */
+export function parseRotate(value) {
+  if (!value || value === 'none') return IDENTITY;
+  const parts = value.trim().split(/\s+/);
+  const angle = parts.pop();
+  const unit = angle.match(/[a-z]+$/);
+  const degrees = parseFloat(angle) * (unit ? ANGLE_UNITS[unit[0]] || 0 : 0);
+  const axis = parts.length === 1 ? ROTATION_AXES[parts[0]] : parts.length === 3 ? parts.map(Number) : ROTATION_AXES.z;
+  return rotation(axis || ROTATION_AXES.z, degrees);
+}
+
+/**
+ * Rotation about an axis through the origin, as `rotate3d()` defines it.
+ *
+ * @param {Array<number>} axis - `[x, y, z]`, any length
+ * @param {number} degrees - Clockwise angle on screen for the z axis
+ * @returns {Array<number>}
+ */
+function rotation(axis, degrees) {
+  const norm = Math.hypot(...axis);
+  if (!norm) return IDENTITY;
+  const [x, y, z] = axis.map(n => n / norm);
+  const half = (degrees * Math.PI) / 360;
+  const sc = Math.sin(half) * Math.cos(half);
+  const sq = Math.sin(half) ** 2;
+  return [
+    1 - 2 * (y * y + z * z) * sq, 2 * (x * y * sq - z * sc), 2 * (x * z * sq + y * sc), 0,
+    2 * (x * y * sq + z * sc), 1 - 2 * (x * x + z * z) * sq, 2 * (y * z * sq - x * sc), 0,
+    2 * (x * z * sq - y * sc), 2 * (y * z * sq + x * sc), 1 - 2 * (x * x + y * y) * sq, 0,
+    0, 0, 0, 1
+  ];
+}
+
+/**
+ * Parse a computed `transform-origin` or `perspective-origin` value to px.
+ *
+ * @param {string} value - e.g. '20px 10px', '50% 50% 0px'
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function parseOrigin(value, width, height) {
+  const [x = '50%', y = '50%', z = '0px'] = (value || '').trim().split(/\s+/).filter(Boolean);
+  return { x: length(x, width), y: length(y, height), z: length(z, 0) };
+}
+
+/**
+ * Find the point of the local plane z = 0 that a matrix draws at a screen position.
+ *
+ * @param {Array<number>} m - Local to screen matrix
+ * @param {number} screenX - Screen x
+ * @param {number} screenY - Screen y
+ * @returns {{x: number, y: number}|null} Null when the plane is seen edge-on or the point is behind the viewer
+ */
+export function unproject(m, screenX, screenY) {
+  // screenX = (m0 x + m1 y + m3) / w and screenY = (m4 x + m5 y + m7) / w with w = m12 x + m13 y + m15
+  const a11 = m[0] - screenX * m[12];
+  const a12 = m[1] - screenX * m[13];
+  const a21 = m[4] - screenY * m[12];
+  const a22 = m[5] - screenY * m[13];
+  const b1 = screenX * m[15] - m[3];
+  const b2 = screenY * m[15] - m[7];
+
+  const det = a11 * a22 - a12 * a21;
+  if (Math.abs(det) < 1e-12) return null;
+  const x = (b1 * a22 - a12 * b2) / det;
+  const y = (a11 * b2 - b1 * a21) / det;
+  if (m[12] * x + m[13] * y + m[15] <= 0) return null;
+  return { x, y };
+}
+
+/**
+ * Determinant of a 3x3 matrix given row by row.
+ *
+ * @param {Array<number>} m - 9 values
+ * @returns {number}
+ */
+function determinant3(m) {
+  return m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+}
+
+/**
+ * Whether an element shows its back, as a card flipped in 3D does: its normal points away from
+ * the viewer, i.e. the z-to-z entry of the inverse of its transform within its 3D rendering
+ * context is negative. Mirroring in 2D (e.g. `scaleX(-1)`) doesn't count.
+ *
+ * @param {Array<number>} m - Accumulated matrix within the element's 3D rendering context, before flattening
+ * @returns {boolean}
+ */
+export function isBackFacing(m) {
+  const minor = index => {
+    const rows = [0, 1, 2, 3].filter(r => r !== Math.floor(index / 4));
+    const cols = [0, 1, 2, 3].filter(c => c !== index % 4);
+    return determinant3(rows.flatMap(r => cols.map(c => m[r * 4 + c])));
+  };
+  // Laplace expansion along the first row
+  const det = m[0] * minor(0) - m[1] * minor(1) + m[2] * minor(2) - m[3] * minor(3);
+  if (Math.abs(det) < 1e-12) return false;
+  return minor(10) / det < 0; // Cofactor sign of (2, 2) is positive
+}
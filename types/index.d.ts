@@ -3,34 +3,112 @@ export interface AMEOptions {
   threshold?: number;
   /** enable debug logging */
   log?: boolean;
+  /** radius in CSS pixels around the pointer within which an opaque pixel makes the element interactive, for every pointer type or per type (default 0) */
+  hitRadius?: number | string | AMEHitRadius;
+  /** share (0-1) of the pixels within hitRadius that must be opaque; 0 needs any one (default 0) */
+  hitFraction?: number;
+  /** toggle pointer-events, keep elements interactive and forward events on transparent pixels to the element underneath,
+   *  or only expose the state as ame-* classes, data-ame-state or --ame-pointer-events (default 'pointer-events') */
+  mode?: 'pointer-events' | 'forward' | 'class' | 'attribute' | 'custom-property';
+  /** hold the state found on pointerdown until the pointer is released or loses capture (default true) */
+  dragLock?: boolean;
+  /** called with the instance the first time it is destroyed */
+  onDestroy?: (manager: AMEManager) => void;
+  /** frames in an element's background sprite sheet: columns, 'columns rows' or [columns, rows] */
+  spriteGrid?: number | string | [number, number];
   /** enable automatic performance optimization for off-screen elements */
   useIntersectionObserver?: boolean;
   /** root margin for IntersectionObserver */
   intersectionRootMargin?: string;
+  /** scan for and observe matching elements on init (default true) */
+  autoScan?: boolean;
+  /** selector(s) used for discovery (default '.alpha-mask-events') */
+  selector?: string | Array<string | AMESelector>;
+  /** scope for scanning, observing and selector registration (default document) */
+  root?: Document | HTMLElement | ShadowRoot | string;
+  /** walk and observe open shadow roots inside the scope (default true) */
+  shadowDom?: boolean;
+  /** also scan, observe and listen to same-origin iframes inside the scope (default false) */
+  frames?: boolean;
+  /** most times per second a <video> frame is sampled into its mask (default 15) */
+  videoSampleRate?: number;
+  /** times per second a <canvas> is resampled on its own; 0 resamples only after invalidate() (default 0) */
+  canvasSampleRate?: number;
+  /** hit-test animated GIF/APNG/WebP against the union of their frames or the frame showing; false for a single frame (default 'union') */
+  animation?: 'union' | 'frames' | false;
+  /** precomputed masks from `ame-generate-masks`: JSON URL or inline object */
+  masks?: string | AMEMaskTable | AMEMask;
 }
 
+/** Hit radius per PointerEvent.pointerType; types left out get none */
+export interface AMEHitRadius {
+  mouse?: number;
+  pen?: number;
+  touch?: number;
+}
+
+/** A discovery selector with options applied to the elements it matches */
+export interface AMESelector {
+  selector: string;
+  options?: AMEOptions;
+}
+
+/** A mask written by `ame-generate-masks`: opaque pixel runs at the image's natural size */
+export interface AMEMask {
+  width: number;
+  height: number;
+  rects: Array<{ x: number; y: number; w: number; h: number }>;
+}
+
+/** CLI output: masks keyed by image path */
+export type AMEMaskTable = Record<string, AMEMask>;
+
 export interface AMEEventDetail {
   /** The HTML element that triggered the event */
-  element: HTMLElement;
+  element: HTMLElement | SVGSVGElement;
   /** The alpha value (0-1) at the cursor position */
   alpha: number;
-  /** Canvas coordinates where the event occurred */
+  /** Mask pixel (at the image's natural size) where the event occurred, in the topmost painted background layer */
   coordinates: { x: number; y: number };
+  /** Opaque pixel nearest the pointer within the hit radius (element-local CSS pixels, distance from the pointer and mask pixel), or null */
+  closest: { x: number; y: number; distance: number; coordinates: { x: number; y: number } } | null;
   /** The threshold value used for this element */
   threshold: number;
+  /** The pointer that moved (1 for events without a pointerId) */
+  pointerId: number;
+  /** Its type: 'mouse', 'pen' or 'touch' */
+  pointerType: string;
 }
 
 export interface AlphaMaskEvent extends CustomEvent<AMEEventDetail> {
   detail: AMEEventDetail;
 }
 
+export interface AMEOutlineOptions {
+  /** 'clip-path' for a polygon() or path() value, 'svg-path' for path data (default 'clip-path') */
+  format?: 'clip-path' | 'svg-path';
+  /** most CSS pixels the simplified outline may stray from the mask edge (default 1) */
+  tolerance?: number;
+}
+
 export interface AMEManager {
-  scan(): void;
-  add(elOrSelector: HTMLElement|string, opts?: AMEOptions): void;
-  remove(elOrSelector: HTMLElement|string): void;
-  setThreshold(value: number): void;
+  scan(scope?: Document | HTMLElement | ShadowRoot): void;
+  add(elOrSelector: HTMLElement|SVGSVGElement|ShadowRoot|string|Iterable<HTMLElement|SVGSVGElement>, opts?: AMEOptions): void;
+  remove(elOrSelector: HTMLElement|SVGSVGElement|string|Iterable<HTMLElement|SVGSVGElement>): void;
+  setThreshold(value: number, elOrSelector?: HTMLElement|string): void;
+  /** Resample masks of elements whose pixels changed (all registered elements when omitted) and hit-test again */
+  invalidate(elOrSelector?: HTMLElement|SVGSVGElement|string|Iterable<HTMLElement|SVGSVGElement>): void;
+  /** Trace the opaque region into a CSS clip-path value or SVG path data, in border box CSS pixels; null until registered and loaded */
+  getOutline(elOrSelector: HTMLElement|SVGSVGElement|string, options?: AMEOutlineOptions): string | null;
+  /** The topmost registered element opaque at a viewport point, or null */
+  targetAt(x: number, y: number, pointerType?: string): HTMLElement | SVGSVGElement | null;
+  loadMasks(source: string | AMEMaskTable | AMEMask): Promise<void>;
   attachListeners(): void;
   detachListeners(): void;
+  /** Remove listeners, disconnect observers and restore every element; the instance becomes inert */
+  destroy(): void;
+  /** whether destroy() has been called */
+  readonly destroyed: boolean;
 }
 
 /** 
@@ -64,21 +142,47 @@ export interface ImageFormatInfo {
  */
 export function init(options?: AMEOptions): AMEManager;
 
+/**
+ * Create an independent manager with its own options, scoped to `options.root`.
+ */
+export function createManager(options?: AMEOptions): AMEManager;
+
+/** Destroy every manager created by init() or createManager() */
+export function destroy(): void;
+
+/** Destroy the default manager and initialize a new one with the given options */
+export function reinit(options?: AMEOptions): AMEManager;
+
 /**
  * Register an element or selector for click-through.
  * Automatically detects image format and provides appropriate warnings.
  */
-export function register(elOrSelector: HTMLElement|string, opts?: AMEOptions): void;
+export function register(elOrSelector: HTMLElement|SVGSVGElement|ShadowRoot|string, opts?: AMEOptions): void;
 
-/** Unregister an element (stop hit‑testing it) */
-export function unregister(elOrSelector: HTMLElement|string): void;
+/** Unregister an element, or every element matching a selector (stop hit‑testing it) */
+export function unregister(elOrSelector: HTMLElement|SVGSVGElement|string): void;
 
 /** Adjust the global transparency threshold (0–1) */
 export function setThreshold(value: number): void;
 
+/** Resample masks of elements whose pixels changed, e.g. after drawing into a registered <canvas> */
+export function invalidate(elOrSelector?: HTMLElement|SVGSVGElement|string): void;
+
+/** Trace a registered element's opaque region into a CSS clip-path value or SVG path data */
+export function getOutline(elOrSelector: HTMLElement|SVGSVGElement|string, options?: AMEOutlineOptions): string | null;
+
+/** The topmost registered element opaque at a viewport point, or null */
+export function targetAt(x: number, y: number, pointerType?: string): HTMLElement | SVGSVGElement | null;
+
 export default {
   init,
+  createManager,
+  destroy,
+  reinit,
   register,
   unregister,
-  setThreshold
+  setThreshold,
+  invalidate,
+  getOutline,
+  targetAt
 };
\ No newline at end of file